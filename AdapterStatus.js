@@ -0,0 +1,59 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import {View, StyleSheet, Text, Button, Platform} from 'react-native';
+import {enableBluetooth} from './actions';
+
+const EXPLANATIONS = {
+  Unknown: 'Checking the Bluetooth state...',
+  Resetting: 'Bluetooth is restarting. Scanning resumes once it is back.',
+  Unsupported: 'This phone does not support Bluetooth Low Energy.',
+  Unauthorized:
+    'This app is not allowed to use Bluetooth. Allow it in the system settings.',
+  PoweredOff: 'Bluetooth is turned off. Turn it on to scan for devices.',
+};
+
+// Explains why nothing is happening while the adapter isn't PoweredOn.
+function AdapterStatus(ReduxStore) {
+  if (ReduxStore.adapterState === 'PoweredOn') {
+    return null;
+  }
+  return (
+    <View style={styles.banner}>
+      <Text style={styles.text}>
+        {EXPLANATIONS[ReduxStore.adapterState] ||
+          `Bluetooth is ${ReduxStore.adapterState}.`}
+      </Text>
+      {ReduxStore.adapterState === 'PoweredOff' &&
+        Platform.OS === 'android' && (
+          <Button title="Turn on" onPress={ReduxStore.enableBluetooth} />
+        )}
+    </View>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    adapterState: state.BLEs.adapterState,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  enableBluetooth: () => dispatch(enableBluetooth()),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(AdapterStatus);
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff3c4',
+    padding: 8,
+  },
+  text: {
+    flex: 1,
+  },
+});
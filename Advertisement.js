@@ -0,0 +1,178 @@
+// Decodes the advertisement data react-native-ble-plx reports for scanned
+// devices: manufacturer specific data, service data, and the beacon formats
+// we know about (iBeacon, Eddystone UID/URL/TLM).
+import {base64ToBytes, bytesToHex} from './Encoding';
+import {sameUUID} from './UUID';
+
+const APPLE_COMPANY_ID = 0x004c;
+const EDDYSTONE_SERVICE_UUID = 'feaa';
+
+const uint16be = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+const uint32be = (bytes, offset) =>
+  ((bytes[offset] << 24) >>> 0) +
+  (bytes[offset + 1] << 16) +
+  (bytes[offset + 2] << 8) +
+  bytes[offset + 3];
+
+const int8 = byte => (byte > 0x7f ? byte - 0x100 : byte);
+
+const formatUUID = bytes => {
+  const digits = bytesToHex(bytes, '').toLowerCase();
+  return [
+    digits.slice(0, 8),
+    digits.slice(8, 12),
+    digits.slice(12, 16),
+    digits.slice(16, 20),
+    digits.slice(20),
+  ].join('-');
+};
+
+// Manufacturer specific data starts with the little-endian company id.
+// Returns null when there is none or it's too short to hold an id.
+export const parseManufacturerData = base64 => {
+  const bytes = base64ToBytes(base64);
+  if (bytes.length < 2) {
+    return null;
+  }
+  return {
+    companyId: bytes[0] | (bytes[1] << 8),
+    payload: bytes.slice(2),
+  };
+};
+
+export const parseIBeacon = manufacturerData => {
+  const {companyId, payload} = manufacturerData;
+  if (
+    companyId !== APPLE_COMPANY_ID ||
+    payload.length < 23 ||
+    payload[0] !== 0x02 ||
+    payload[1] !== 0x15
+  ) {
+    return null;
+  }
+  return {
+    format: 'iBeacon',
+    fields: [
+      {label: 'Proximity UUID', value: formatUUID(payload.slice(2, 18))},
+      {label: 'Major', value: String(uint16be(payload, 18))},
+      {label: 'Minor', value: String(uint16be(payload, 20))},
+      {label: 'Measured power', value: `${int8(payload[22])} dBm at 1 m`},
+    ],
+  };
+};
+
+const URL_SCHEMES = ['http://www.', 'https://www.', 'http://', 'https://'];
+
+const URL_EXPANSIONS = [
+  '.com/',
+  '.org/',
+  '.edu/',
+  '.net/',
+  '.info/',
+  '.biz/',
+  '.gov/',
+  '.com',
+  '.org',
+  '.edu',
+  '.net',
+  '.info',
+  '.biz',
+  '.gov',
+];
+
+export const decodeEddystoneURL = (scheme, encoded) =>
+  (URL_SCHEMES[scheme] || '') +
+  Array.from(encoded, byte =>
+    byte < URL_EXPANSIONS.length
+      ? URL_EXPANSIONS[byte]
+      : String.fromCharCode(byte),
+  ).join('');
+
+const eddystoneUID = bytes =>
+  bytes.length < 18
+    ? null
+    : {
+        format: 'Eddystone UID',
+        fields: [
+          {label: 'Tx power', value: `${int8(bytes[1])} dBm at 0 m`},
+          {label: 'Namespace', value: bytesToHex(bytes.slice(2, 12), '')},
+          {label: 'Instance', value: bytesToHex(bytes.slice(12, 18), '')},
+        ],
+      };
+
+const eddystoneURL = bytes =>
+  bytes.length < 3
+    ? null
+    : {
+        format: 'Eddystone URL',
+        fields: [
+          {label: 'Tx power', value: `${int8(bytes[1])} dBm at 0 m`},
+          {label: 'URL', value: decodeEddystoneURL(bytes[2], bytes.slice(3))},
+        ],
+      };
+
+// Only the unencrypted (version 0) telemetry frame is readable.
+const eddystoneTLM = bytes => {
+  if (bytes.length < 14 || bytes[1] !== 0x00) {
+    return null;
+  }
+  const battery = uint16be(bytes, 2);
+  const temperature = uint16be(bytes, 4);
+  return {
+    format: 'Eddystone TLM',
+    fields: [
+      {label: 'Battery', value: battery === 0 ? 'n/a' : `${battery} mV`},
+      {
+        // signed 8.8 fixed point, 0x8000 when there is no sensor
+        label: 'Temperature',
+        value:
+          temperature === 0x8000
+            ? 'n/a'
+            : `${((temperature << 16) >> 16) / 256} °C`,
+      },
+      {label: 'Advertisements', value: String(uint32be(bytes, 6))},
+      {label: 'Uptime', value: `${uint32be(bytes, 10) / 10} s`},
+    ],
+  };
+};
+
+const EDDYSTONE_FRAMES = {
+  0x00: eddystoneUID,
+  0x10: eddystoneURL,
+  0x20: eddystoneTLM,
+};
+
+export const parseEddystone = (uuid, base64) => {
+  if (!sameUUID(uuid, EDDYSTONE_SERVICE_UUID)) {
+    return null;
+  }
+  const bytes = base64ToBytes(base64);
+  const frame = EDDYSTONE_FRAMES[bytes[0]];
+  return frame ? frame(bytes) : null;
+};
+
+// Everything the inspector shows, in plain data:
+// {manufacturerData: {companyId, payload, beacon} | null,
+//  serviceData: [{uuid, data, beacon}], beacons: [{format, fields}]}
+export const describeAdvertisement = device => {
+  const manufacturerData = device.manufacturerData
+    ? parseManufacturerData(device.manufacturerData)
+    : null;
+  if (manufacturerData) {
+    manufacturerData.beacon = parseIBeacon(manufacturerData);
+  }
+  const serviceData = Object.keys(device.serviceData || {}).map(uuid => ({
+    uuid,
+    data: base64ToBytes(device.serviceData[uuid]),
+    beacon: parseEddystone(uuid, device.serviceData[uuid]),
+  }));
+  return {
+    manufacturerData,
+    serviceData,
+    beacons: [
+      manufacturerData && manufacturerData.beacon,
+      ...serviceData.map(entry => entry.beacon),
+    ].filter(Boolean),
+  };
+};
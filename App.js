@@ -12,14 +12,30 @@ import React from 'react';
 import { Provider } from 'react-redux';
 import { createStore,applyMiddleware } from 'redux';
 import rootReducer from './reducers/index';
+import {
+  loadFormats,
+  loadMacros,
+  loadPreferences,
+  loadUUIDNames,
+  monitorAdapterState,
+} from './actions';
 import thunk from 'redux-thunk';
 
 import {BleManager} from 'react-native-ble-plx';
+import SimulatedBleManager from './SimulatedBleManager';
+import {SIMULATE_BLE} from './Config';
+import peripherals from './fixtures/peripherals.json';
 
 import BLEList from './BLElist';
 import BLEservices from './BLEservices'
-import BLEservicecharacteristics from './BLEservicecharacteristics'
 import BLECharacteristic from './BLEcharacteristics'
+import BLEScanSettings from './BLEScanSettings';
+import BLEAdvertisement from './BLEAdvertisement';
+import BLEUUIDNames from './BLEUUIDNames';
+import BLEFormats from './BLEFormats';
+import BLEExportProfile from './BLEExportProfile';
+import BLETerminal from './BLETerminal';
+import BLEMacros from './BLEMacros';
 import { composeWithDevTools } from 'redux-devtools-extension';
 
 import {
@@ -40,7 +56,9 @@ import {
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 
-const DeviceManager = new BleManager();
+const DeviceManager = SIMULATE_BLE
+  ? new SimulatedBleManager(peripherals)
+  : new BleManager();
 
 const Stack = createStackNavigator();
 
@@ -50,6 +68,12 @@ const composeEnhancers = composeWithDevTools({
 
 const store = createStore(rootReducer, composeEnhancers(applyMiddleware(thunk.withExtraArgument(DeviceManager))));
 
+store.dispatch(monitorAdapterState());
+store.dispatch(loadUUIDNames());
+store.dispatch(loadFormats());
+store.dispatch(loadMacros());
+store.dispatch(loadPreferences());
+
 const App: () => React$Node = () => {
 
 
@@ -60,8 +84,14 @@ const App: () => React$Node = () => {
           <Stack.Navigator>
             <Stack.Screen name="BLEDevices" component={BLEList} />
             <Stack.Screen name="BLEServices" component={BLEservices} />
-            <Stack.Screen name="BLECharacteristics" component={BLEservicecharacteristics} />
             <Stack.Screen name="BLECharacteristic" component={BLECharacteristic} />
+            <Stack.Screen name="ScanSettings" component={BLEScanSettings} />
+            <Stack.Screen name="Advertisement" component={BLEAdvertisement} />
+            <Stack.Screen name="UUIDNames" component={BLEUUIDNames} />
+            <Stack.Screen name="Formats" component={BLEFormats} />
+            <Stack.Screen name="ExportProfile" component={BLEExportProfile} />
+            <Stack.Screen name="Terminal" component={BLETerminal} />
+            <Stack.Screen name="Macros" component={BLEMacros} />
           </Stack.Navigator>
         </NavigationContainer>
       </Provider>
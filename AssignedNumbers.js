@@ -0,0 +1,252 @@
+// Bluetooth SIG assigned numbers for the services, characteristics,
+// descriptors, units and companies we are likely to run into, keyed by their
+// 16-bit number. This is a subset of https://www.bluetooth.com/specifications/assigned-numbers/;
+// anything missing can be named by the user instead, see UUIDNames.js.
+
+export const SERVICES = {
+  0x1800: 'Generic Access',
+  0x1801: 'Generic Attribute',
+  0x1802: 'Immediate Alert',
+  0x1803: 'Link Loss',
+  0x1804: 'Tx Power',
+  0x1805: 'Current Time Service',
+  0x1806: 'Reference Time Update Service',
+  0x1807: 'Next DST Change Service',
+  0x1808: 'Glucose',
+  0x1809: 'Health Thermometer',
+  0x180a: 'Device Information',
+  0x180d: 'Heart Rate',
+  0x180e: 'Phone Alert Status Service',
+  0x180f: 'Battery Service',
+  0x1810: 'Blood Pressure',
+  0x1811: 'Alert Notification Service',
+  0x1812: 'Human Interface Device',
+  0x1813: 'Scan Parameters',
+  0x1814: 'Running Speed and Cadence',
+  0x1815: 'Automation IO',
+  0x1816: 'Cycling Speed and Cadence',
+  0x1818: 'Cycling Power',
+  0x1819: 'Location and Navigation',
+  0x181a: 'Environmental Sensing',
+  0x181b: 'Body Composition',
+  0x181c: 'User Data',
+  0x181d: 'Weight Scale',
+  0x181e: 'Bond Management Service',
+  0x181f: 'Continuous Glucose Monitoring',
+  0x1820: 'Internet Protocol Support Service',
+  0x1821: 'Indoor Positioning',
+  0x1822: 'Pulse Oximeter Service',
+  0x1823: 'HTTP Proxy',
+  0x1824: 'Transport Discovery',
+  0x1825: 'Object Transfer Service',
+  0x1826: 'Fitness Machine',
+  0x1827: 'Mesh Provisioning Service',
+  0x1828: 'Mesh Proxy Service',
+  0x1829: 'Reconnection Configuration',
+  // 16-bit UUIDs allocated to member companies
+  0xfe59: 'Nordic Secure DFU',
+  0xfeaa: 'Eddystone',
+};
+
+export const CHARACTERISTICS = {
+  0x2a00: 'Device Name',
+  0x2a01: 'Appearance',
+  0x2a02: 'Peripheral Privacy Flag',
+  0x2a03: 'Reconnection Address',
+  0x2a04: 'Peripheral Preferred Connection Parameters',
+  0x2a05: 'Service Changed',
+  0x2a06: 'Alert Level',
+  0x2a07: 'Tx Power Level',
+  0x2a08: 'Date Time',
+  0x2a09: 'Day of Week',
+  0x2a0a: 'Day Date Time',
+  0x2a0c: 'Exact Time 256',
+  0x2a0d: 'DST Offset',
+  0x2a0e: 'Time Zone',
+  0x2a0f: 'Local Time Information',
+  0x2a11: 'Time with DST',
+  0x2a12: 'Time Accuracy',
+  0x2a13: 'Time Source',
+  0x2a14: 'Reference Time Information',
+  0x2a16: 'Time Update Control Point',
+  0x2a17: 'Time Update State',
+  0x2a18: 'Glucose Measurement',
+  0x2a19: 'Battery Level',
+  0x2a1c: 'Temperature Measurement',
+  0x2a1d: 'Temperature Type',
+  0x2a1e: 'Intermediate Temperature',
+  0x2a21: 'Measurement Interval',
+  0x2a22: 'Boot Keyboard Input Report',
+  0x2a23: 'System ID',
+  0x2a24: 'Model Number String',
+  0x2a25: 'Serial Number String',
+  0x2a26: 'Firmware Revision String',
+  0x2a27: 'Hardware Revision String',
+  0x2a28: 'Software Revision String',
+  0x2a29: 'Manufacturer Name String',
+  0x2a2a: 'IEEE 11073-20601 Regulatory Certification Data List',
+  0x2a2b: 'Current Time',
+  0x2a31: 'Scan Refresh',
+  0x2a32: 'Boot Keyboard Output Report',
+  0x2a33: 'Boot Mouse Input Report',
+  0x2a34: 'Glucose Measurement Context',
+  0x2a35: 'Blood Pressure Measurement',
+  0x2a36: 'Intermediate Cuff Pressure',
+  0x2a37: 'Heart Rate Measurement',
+  0x2a38: 'Body Sensor Location',
+  0x2a39: 'Heart Rate Control Point',
+  0x2a3f: 'Alert Status',
+  0x2a40: 'Ringer Control Point',
+  0x2a41: 'Ringer Setting',
+  0x2a42: 'Alert Category ID Bit Mask',
+  0x2a43: 'Alert Category ID',
+  0x2a44: 'Alert Notification Control Point',
+  0x2a45: 'Unread Alert Status',
+  0x2a46: 'New Alert',
+  0x2a47: 'Supported New Alert Category',
+  0x2a48: 'Supported Unread Alert Category',
+  0x2a49: 'Blood Pressure Feature',
+  0x2a4a: 'HID Information',
+  0x2a4b: 'Report Map',
+  0x2a4c: 'HID Control Point',
+  0x2a4d: 'Report',
+  0x2a4e: 'Protocol Mode',
+  0x2a4f: 'Scan Interval Window',
+  0x2a50: 'PnP ID',
+  0x2a51: 'Glucose Feature',
+  0x2a52: 'Record Access Control Point',
+  0x2a53: 'RSC Measurement',
+  0x2a54: 'RSC Feature',
+  0x2a55: 'SC Control Point',
+  0x2a5b: 'CSC Measurement',
+  0x2a5c: 'CSC Feature',
+  0x2a5d: 'Sensor Location',
+  0x2a5e: 'PLX Spot-Check Measurement',
+  0x2a5f: 'PLX Continuous Measurement',
+  0x2a60: 'PLX Features',
+  0x2a63: 'Cycling Power Measurement',
+  0x2a64: 'Cycling Power Vector',
+  0x2a65: 'Cycling Power Feature',
+  0x2a66: 'Cycling Power Control Point',
+  0x2a67: 'Location and Speed',
+  0x2a68: 'Navigation',
+  0x2a6c: 'Elevation',
+  0x2a6d: 'Pressure',
+  0x2a6e: 'Temperature',
+  0x2a6f: 'Humidity',
+  0x2a70: 'True Wind Speed',
+  0x2a71: 'True Wind Direction',
+  0x2a76: 'UV Index',
+  0x2a77: 'Irradiance',
+  0x2a7a: 'Heat Index',
+  0x2a7b: 'Dew Point',
+  0x2a98: 'Weight',
+  0x2a9c: 'Body Composition Measurement',
+  0x2a9d: 'Weight Measurement',
+  0x2a9e: 'Weight Scale Feature',
+  0x2aa6: 'Central Address Resolution',
+  0x2ac9: 'Resolvable Private Address Only',
+  0x2acc: 'Fitness Machine Feature',
+  0x2ad9: 'Fitness Machine Control Point',
+  0x2b29: 'Client Supported Features',
+  0x2b2a: 'Database Hash',
+  0x2b3a: 'Server Supported Features',
+};
+
+export const DESCRIPTORS = {
+  0x2900: 'Characteristic Extended Properties',
+  0x2901: 'Characteristic User Description',
+  0x2902: 'Client Characteristic Configuration',
+  0x2903: 'Server Characteristic Configuration',
+  0x2904: 'Characteristic Presentation Format',
+  0x2905: 'Characteristic Aggregate Format',
+  0x2906: 'Valid Range',
+  0x2907: 'External Report Reference',
+  0x2908: 'Report Reference',
+  0x2909: 'Number of Digitals',
+  0x290a: 'Value Trigger Setting',
+  0x290b: 'Environmental Sensing Configuration',
+  0x290c: 'Environmental Sensing Measurement',
+  0x290d: 'Environmental Sensing Trigger Setting',
+  0x290e: 'Time Trigger Setting',
+};
+
+// Units, as found in the Characteristic Presentation Format descriptor.
+export const UNITS = {
+  0x2700: 'unitless',
+  0x2701: 'metre',
+  0x2702: 'kilogram',
+  0x2703: 'second',
+  0x2704: 'ampere',
+  0x2705: 'kelvin',
+  0x2706: 'mole',
+  0x2707: 'candela',
+  0x2710: 'square metres',
+  0x2711: 'cubic metres',
+  0x2712: 'metres per second',
+  0x2713: 'metres per second squared',
+  0x2720: 'radian',
+  0x2721: 'steradian',
+  0x2722: 'hertz',
+  0x2723: 'newton',
+  0x2724: 'pascal',
+  0x2725: 'joule',
+  0x2726: 'watt',
+  0x2727: 'coulomb',
+  0x2728: 'volt',
+  0x2729: 'farad',
+  0x272a: 'ohm',
+  0x272b: 'siemens',
+  0x272c: 'weber',
+  0x272d: 'tesla',
+  0x272e: 'henry',
+  0x272f: 'degree Celsius',
+  0x2730: 'lumen',
+  0x2731: 'lux',
+  0x2760: 'minute',
+  0x2761: 'hour',
+  0x2762: 'day',
+  0x2763: 'degree',
+  0x2767: 'litre',
+  0x2780: 'bar',
+  0x2781: 'millimetre of mercury',
+  0x27a2: 'inch',
+  0x27a3: 'foot',
+  0x27a6: 'kilometre per hour',
+  0x27a7: 'mile per hour',
+  0x27a8: 'revolution per minute',
+  0x27ab: 'kilowatt hour',
+  0x27ac: 'degree Fahrenheit',
+  0x27ad: 'percentage',
+  0x27ae: 'per mille',
+  0x27af: 'beats per minute',
+  0x27b0: 'ampere hours',
+};
+
+// Company identifiers, as found at the start of manufacturer specific data.
+export const COMPANIES = {
+  0x0000: 'Ericsson Technology Licensing',
+  0x0001: 'Nokia Mobile Phones',
+  0x0002: 'Intel Corp.',
+  0x0003: 'IBM Corp.',
+  0x0004: 'Toshiba Corp.',
+  0x0005: '3Com',
+  0x0006: 'Microsoft',
+  0x0007: 'Lucent',
+  0x0008: 'Motorola',
+  0x0009: 'Infineon Technologies AG',
+  0x000a: 'Qualcomm Technologies International, Ltd. (QTIL)',
+  0x000d: 'Texas Instruments Inc.',
+  0x000f: 'Broadcom Corporation',
+  0x001d: 'Qualcomm',
+  0x0030: 'ST Microelectronics',
+  0x004c: 'Apple, Inc.',
+  0x0059: 'Nordic Semiconductor ASA',
+  0x0075: 'Samsung Electronics Co. Ltd.',
+  0x0087: 'Garmin International, Inc.',
+  0x00e0: 'Google',
+  0x0131: 'Cypress Semiconductor Corporation',
+  0x0171: 'Amazon.com Services, LLC',
+  0x02e5: 'Espressif Incorporated',
+  0x0499: 'Ruuvi Innovations Ltd.',
+};
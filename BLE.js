@@ -1,37 +1,75 @@
 import React from 'react';
-import { connect } from 'react-redux';
-import { Container, Text} from 'native-base';
-import { NavigationContainer } from '@react-navigation/native';
-import { createStackNavigator } from '@react-navigation/stack';
-import { SegmentedControlIOSComponent } from 'react-native';
+import {connect} from 'react-redux';
+import {Container, Text} from 'native-base';
+import {Button, Switch, View, StyleSheet} from 'react-native';
+import {disconnectDevice, setAutoReconnect} from './actions';
+import {deviceLabel} from './Devices';
+import {selectConnectedDevice, selectConnectedKnownDevice} from './Selectors';
 
 class BLE extends React.Component {
-    constructor(props) {
-        super(props);
-    };
+  constructor(props) {
+    super(props);
+  }
 
-    render() {
-        return ( 
-            <Container>
-                <Text>
-                    Status: {this.props.status} 
-                </Text>
-                {this.props.connectedDevice && <Text>Device: {this.props.connectedDevice.name}</Text>}
-            </Container>
-        );
+  status() {
+    if (this.props.status === 'Reconnecting') {
+      return `Reconnecting (${this.props.reconnectAttempt}/${
+        this.props.autoReconnect.maxAttempts
+      })`;
     }
+    return this.props.status;
+  }
+
+  render() {
+    return (
+      <Container>
+        <Text>Status: {this.status()}</Text>
+        {Boolean(this.props.connectedDevice.id) && (
+          <View style={styles.row}>
+            <Text>
+              Device:{' '}
+              {deviceLabel(this.props.connectedDevice, this.props.known)}
+            </Text>
+            <Button title="Disconnect" onPress={this.props.disconnectDevice} />
+          </View>
+        )}
+        <View style={styles.row}>
+          <Text>Auto-reconnect</Text>
+          <Switch
+            value={this.props.autoReconnect.enabled}
+            onValueChange={this.props.setAutoReconnect}
+          />
+        </View>
+      </Container>
+    );
+  }
 }
 
-function mapStateToProps(state){
-  return{
-    BLEList : state.BLEs.BLEList,
-    connectedDevice: state.BLEs.connectedDevice,
-    status: state.BLEs.status
+function mapStateToProps(state) {
+  return {
+    connectedDevice: selectConnectedDevice(state),
+    known: selectConnectedKnownDevice(state),
+    status: state.BLEs.status,
+    autoReconnect: state.BLEs.autoReconnect,
+    reconnectAttempt: state.BLEs.reconnectAttempt,
   };
 }
 
 const mapDispatchToProps = dispatch => ({
-  addBLE: device => dispatch(addBLE(device))
-})
+  disconnectDevice: () => dispatch(disconnectDevice()),
+  setAutoReconnect: enabled => dispatch(setAutoReconnect(enabled)),
+});
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+});
 
-export default connect(mapStateToProps,mapDispatchToProps,null,{ forwardRef: true })(BLE);
\ No newline at end of file
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  null,
+  {forwardRef: true},
+)(BLE);
@@ -0,0 +1,215 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {
+  SafeAreaView,
+  ScrollView,
+  View,
+  StyleSheet,
+  Switch,
+  Text,
+  TextInput,
+} from 'react-native';
+import {setFavorite, setNickname} from './actions';
+import {bytesToHex} from './Encoding';
+import {describeAdvertisement} from './Advertisement';
+import {companyLabel, uuidLabel} from './UUIDNames';
+import {deviceLabel} from './Devices';
+import {selectDevice} from './Selectors';
+
+function Section({title, children}) {
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>{title}</Text>
+      {children}
+    </View>
+  );
+}
+
+function Field({label, value}) {
+  return (
+    <Text style={styles.subtext}>
+      {label}: <Text style={styles.value}>{value}</Text>
+    </Text>
+  );
+}
+
+const uuidList = (uuids, names) =>
+  uuids && uuids.length > 0
+    ? uuids.map(uuid => uuidLabel(uuid, 'service', names)).join('\n')
+    : 'none';
+
+const dBm = value => (value === null ? 'n/a' : `${value} dBm`);
+
+// Favorite and nickname, kept across restarts.
+function Saved({id, known, ReduxStore}) {
+  const [nickname, setNicknameText] = useState(known ? known.nickname : '');
+  return (
+    <View style={styles.item}>
+      <View style={styles.row}>
+        <Text style={styles.title}>Favorite</Text>
+        <Switch
+          value={Boolean(known && known.favorite)}
+          onValueChange={favorite => ReduxStore.setFavorite(id, favorite)}
+        />
+      </View>
+      <Text style={styles.subtext}>Nickname</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="its own name"
+        value={nickname}
+        onChangeText={setNicknameText}
+        onEndEditing={() => ReduxStore.setNickname(id, nickname)}
+      />
+    </View>
+  );
+}
+
+// What a scanned device advertises, opened by long-pressing it in the device
+// list. Follows the device's latest advertisement without connecting.
+function BLEAdvertisement(ReduxStore) {
+  const device = ReduxStore.device;
+  if (!device) {
+    return (
+      <Section title="Device gone">
+        <Text style={styles.subtext}>
+          This device is no longer in the device list.
+        </Text>
+      </Section>
+    );
+  }
+  const advertisement = describeAdvertisement(device);
+  const manufacturerData = advertisement.manufacturerData;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView>
+        <Saved
+          id={device.id}
+          known={ReduxStore.known}
+          ReduxStore={ReduxStore}
+        />
+        <Section title={deviceLabel(device, ReduxStore.known)}>
+          <Field label="Id" value={device.id} />
+          <Field label="Name" value={device.name || 'none'} />
+          <Field label="Local name" value={device.localName || 'none'} />
+          <Field label="RSSI" value={dBm(device.rssi)} />
+          <Field label="Tx power" value={dBm(device.txPowerLevel)} />
+          <Field
+            label="Connectable"
+            value={
+              device.isConnectable === null
+                ? 'unknown'
+                : String(device.isConnectable)
+            }
+          />
+        </Section>
+        {advertisement.beacons.map(beacon => (
+          <Section key={beacon.format} title={beacon.format}>
+            {beacon.fields.map(field => (
+              <Field
+                key={field.label}
+                label={field.label}
+                value={field.value}
+              />
+            ))}
+          </Section>
+        ))}
+        <Section title="Manufacturer data">
+          {manufacturerData ? (
+            <>
+              <Field
+                label="Company"
+                value={companyLabel(manufacturerData.companyId)}
+              />
+              <Field
+                label="Payload"
+                value={bytesToHex(manufacturerData.payload) || 'empty'}
+              />
+            </>
+          ) : (
+            <Text style={styles.subtext}>none</Text>
+          )}
+        </Section>
+        <Section title="Service data">
+          {advertisement.serviceData.length > 0 ? (
+            advertisement.serviceData.map(entry => (
+              <Field
+                key={entry.uuid}
+                label={uuidLabel(entry.uuid, 'service', ReduxStore.uuidNames)}
+                value={bytesToHex(entry.data) || 'empty'}
+              />
+            ))
+          ) : (
+            <Text style={styles.subtext}>none</Text>
+          )}
+        </Section>
+        <Section title="Service UUIDs">
+          <Text style={styles.subtext}>
+            {uuidList(device.serviceUUIDs, ReduxStore.uuidNames)}
+          </Text>
+        </Section>
+        <Section title="Solicited service UUIDs">
+          <Text style={styles.subtext}>
+            {uuidList(device.solicitedServiceUUIDs, ReduxStore.uuidNames)}
+          </Text>
+        </Section>
+        <Section title="Overflow service UUIDs">
+          <Text style={styles.subtext}>
+            {uuidList(device.overflowServiceUUIDs, ReduxStore.uuidNames)}
+          </Text>
+        </Section>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function mapStateToProps(state, ownProps) {
+  return {
+    device: selectDevice(state, ownProps.route.params.deviceId),
+    known: state.preferences.devices[ownProps.route.params.deviceId],
+    uuidNames: state.uuidNames.names,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  setFavorite: (id, favorite) => dispatch(setFavorite(id, favorite)),
+  setNickname: (id, nickname) => dispatch(setNickname(id, nickname)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEAdvertisement);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  value: {
+    fontFamily: 'monospace',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  input: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    padding: 4,
+    marginVertical: 4,
+  },
+});
@@ -0,0 +1,190 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {View, StyleSheet, Text, TextInput, Button} from 'react-native';
+import {descriptorKey, readDescriptor, writeDescriptor} from './actions';
+import {decodeDescriptor} from './Decoders';
+import {base64ToBytes, bytesToHex, hexToBytes} from './Encoding';
+import {gattDescriptors} from './Gatt';
+import {selectConnectedGatt} from './Selectors';
+import {uuidLabel} from './UUIDNames';
+
+function Value({uuid, value}) {
+  if (!value) {
+    return <Text style={styles.subtext}>Not read</Text>;
+  }
+  if (value.error) {
+    return <Text style={styles.error}>Failed: {value.error}</Text>;
+  }
+  if (value.value === undefined) {
+    return <Text style={styles.subtext}>Reading...</Text>;
+  }
+  const bytes = base64ToBytes(value.value || '');
+  const decoded = decodeDescriptor(uuid, bytes);
+  return (
+    <View>
+      <Text selectable style={styles.value}>
+        {bytes.length > 0 ? bytesToHex(bytes) : '(empty)'}
+      </Text>
+      {decoded &&
+        (decoded.error ? (
+          <Text style={styles.error}>Can't decode: {decoded.error}</Text>
+        ) : (
+          decoded.fields.map(field => (
+            <Text key={field.label} selectable style={styles.subtext}>
+              {field.label}: <Text style={styles.bold}>{field.value}</Text>
+            </Text>
+          ))
+        ))}
+    </View>
+  );
+}
+
+function Descriptor({descriptor, value, names, onRead, onWrite}) {
+  const [text, setText] = useState('');
+  let bytes = null;
+  try {
+    bytes = hexToBytes(text);
+  } catch (error) {
+    // the Write button stays disabled
+  }
+  const pending = Boolean(value && value.pending);
+  return (
+    <View style={styles.descriptor}>
+      <Text style={styles.name}>
+        {uuidLabel(descriptor.uuid, 'descriptor', names)}
+      </Text>
+      <Value uuid={descriptor.uuid} value={value} />
+      <View style={styles.row}>
+        <TextInput
+          style={styles.input}
+          autoCapitalize="none"
+          autoCorrect={false}
+          placeholder="hex, e.g. 01 00"
+          value={text}
+          onChangeText={setText}
+        />
+        <Button
+          title="Write"
+          disabled={pending || !bytes || bytes.length === 0}
+          onPress={() => onWrite(bytes)}
+        />
+        <Button
+          title={pending ? '...' : 'Read'}
+          disabled={pending}
+          onPress={onRead}
+        />
+      </View>
+    </View>
+  );
+}
+
+// The descriptors of one characteristic, with their values decoded where we
+// know the descriptor (see DESCRIPTOR_DECODERS in Decoders.js).
+function BLEDescriptors(ReduxStore) {
+  const {serviceUUID, characteristicUUID, descriptors} = ReduxStore;
+  if (descriptors.length === 0) {
+    return null;
+  }
+  return (
+    <View>
+      <Text style={styles.title}>Descriptors</Text>
+      {descriptors.map(descriptor => (
+        <Descriptor
+          key={descriptor.uuid}
+          descriptor={descriptor}
+          names={ReduxStore.uuidNames}
+          value={
+            ReduxStore.descriptorValues[
+              descriptorKey(serviceUUID, characteristicUUID, descriptor.uuid)
+            ]
+          }
+          onRead={() =>
+            ReduxStore.readDescriptor(
+              serviceUUID,
+              characteristicUUID,
+              descriptor.uuid,
+            )
+          }
+          onWrite={bytes =>
+            ReduxStore.writeDescriptor(
+              serviceUUID,
+              characteristicUUID,
+              descriptor.uuid,
+              bytes,
+            )
+          }
+        />
+      ))}
+    </View>
+  );
+}
+
+function mapStateToProps(state, ownProps) {
+  return {
+    descriptors: gattDescriptors(
+      selectConnectedGatt(state),
+      ownProps.serviceUUID,
+      ownProps.characteristicUUID,
+    ),
+    descriptorValues: state.BLEs.descriptorValues,
+    uuidNames: state.uuidNames.names,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  readDescriptor: (serviceUUID, characteristicUUID, descriptorUUID) =>
+    dispatch(readDescriptor(serviceUUID, characteristicUUID, descriptorUUID)),
+  writeDescriptor: (serviceUUID, characteristicUUID, descriptorUUID, bytes) =>
+    dispatch(
+      writeDescriptor(serviceUUID, characteristicUUID, descriptorUUID, bytes),
+    ),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEDescriptors);
+
+const styles = StyleSheet.create({
+  title: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  descriptor: {
+    marginTop: 4,
+    paddingLeft: 8,
+    borderLeftWidth: 2,
+    borderLeftColor: '#c080c0',
+  },
+  name: {
+    fontSize: 12,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  value: {
+    fontSize: 10,
+    fontFamily: 'monospace',
+  },
+  error: {
+    fontSize: 10,
+    color: 'red',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    color: 'black',
+    borderColor: 'gray',
+    borderWidth: 1,
+    padding: 2,
+    marginRight: 4,
+    fontFamily: 'monospace',
+  },
+});
@@ -0,0 +1,85 @@
+// Turns whatever a failed BLE operation rejected with (usually a
+// react-native-ble-plx BleError) into a plain, serializable error for the store.
+import {BleErrorCode} from 'react-native-ble-plx';
+
+export const ERROR_TYPES = {
+  PERMISSION: 'permission',
+  UNAUTHORIZED: 'unauthorized',
+  UNSUPPORTED: 'unsupported',
+  POWERED_OFF: 'poweredOff',
+  CONNECTION_FAILED: 'connectionFailed',
+  DISCONNECTED: 'disconnected',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  GATT: 'gatt',
+  SCAN: 'scan',
+  UNKNOWN: 'unknown',
+};
+
+export const ERROR_TITLES = {
+  [ERROR_TYPES.PERMISSION]: 'Permission denied',
+  [ERROR_TYPES.UNAUTHORIZED]: 'Bluetooth not authorized',
+  [ERROR_TYPES.UNSUPPORTED]: 'Bluetooth not supported',
+  [ERROR_TYPES.POWERED_OFF]: 'Bluetooth is off',
+  [ERROR_TYPES.CONNECTION_FAILED]: 'Connection failed',
+  [ERROR_TYPES.DISCONNECTED]: 'Device disconnected',
+  [ERROR_TYPES.TIMEOUT]: 'Timed out',
+  [ERROR_TYPES.CANCELLED]: 'Cancelled',
+  [ERROR_TYPES.GATT]: 'GATT error',
+  [ERROR_TYPES.SCAN]: 'Scan failed',
+  [ERROR_TYPES.UNKNOWN]: 'Error',
+};
+
+const typeOf = error => {
+  if (error.attErrorCode) {
+    return ERROR_TYPES.GATT;
+  }
+  switch (error.errorCode) {
+    case BleErrorCode.BluetoothUnauthorized:
+      return ERROR_TYPES.UNAUTHORIZED;
+    case BleErrorCode.BluetoothUnsupported:
+      return ERROR_TYPES.UNSUPPORTED;
+    case BleErrorCode.BluetoothPoweredOff:
+      return ERROR_TYPES.POWERED_OFF;
+    case BleErrorCode.DeviceConnectionFailed:
+    case BleErrorCode.DeviceNotFound:
+    case BleErrorCode.DeviceNotConnected:
+      return ERROR_TYPES.CONNECTION_FAILED;
+    case BleErrorCode.DeviceDisconnected:
+      return ERROR_TYPES.DISCONNECTED;
+    case BleErrorCode.OperationTimedOut:
+      return ERROR_TYPES.TIMEOUT;
+    case BleErrorCode.OperationCancelled:
+      return ERROR_TYPES.CANCELLED;
+    case BleErrorCode.ScanStartFailed:
+      return ERROR_TYPES.SCAN;
+  }
+  // 3xx services, 4xx characteristics, 5xx descriptors
+  if (error.errorCode >= 300 && error.errorCode < 600) {
+    return ERROR_TYPES.GATT;
+  }
+  return ERROR_TYPES.UNKNOWN;
+};
+
+// source names the operation that failed ('scan', 'connect', 'read', ...),
+// context carries what is needed to retry it (device id, UUIDs).
+export const toBLEError = (source, error, context = {}) => ({
+  type: error.type || typeOf(error),
+  message: error.reason || error.message || String(error),
+  code: error.errorCode !== undefined ? error.errorCode : null,
+  attErrorCode: error.attErrorCode || null,
+  source,
+  context,
+  time: Date.now(),
+});
+
+export const permissionError = message => ({
+  type: ERROR_TYPES.PERMISSION,
+  message,
+});
+
+// what operations on the connected device fail with while there is none
+export const notConnectedError = () => ({
+  type: ERROR_TYPES.DISCONNECTED,
+  message: 'Not connected to a device',
+});
@@ -0,0 +1,132 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {
+  SafeAreaView,
+  ScrollView,
+  View,
+  StyleSheet,
+  Text,
+  Button,
+  Switch,
+  Share,
+} from 'react-native';
+import {dismissErrors, exportProfile, reportError} from './actions';
+import DeviceDisconnected from './DeviceDisconnected';
+import ErrorBanner from './ErrorBanner';
+import {displayName} from './Devices';
+import {profileJSON, profileMarkdown} from './Profile';
+import {selectConnectedDevice, selectConnectedGatt} from './Selectors';
+
+const FORMATS = {
+  json: {title: 'Share JSON', toText: profileJSON},
+  markdown: {title: 'Share Markdown', toText: profileMarkdown},
+};
+
+// Shares the connected device's GATT profile, for attaching to bug reports.
+function BLEExportProfile(ReduxStore) {
+  const [includeValues, setIncludeValues] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  if (!ReduxStore.connectedDevice.id || !ReduxStore.gatt) {
+    return <DeviceDisconnected navigation={ReduxStore.navigation} />;
+  }
+  const name = displayName(ReduxStore.connectedDevice);
+
+  // A disconnect while reading the values and a failed share show up in the
+  // error banner, values that couldn't be read are marked in the profile.
+  const share = async format => {
+    setExporting(true);
+    ReduxStore.dismissErrors();
+    try {
+      const profile = await ReduxStore.exportProfile(includeValues);
+      setExporting(false);
+      await Share.share({
+        title: `GATT profile of ${name}`,
+        message: FORMATS[format].toText(profile),
+      });
+    } catch (error) {
+      setExporting(false);
+      ReduxStore.reportError(error);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ErrorBanner sources={['export']} />
+      <ScrollView>
+        <View style={styles.item}>
+          <Text style={styles.title}>{name}</Text>
+          <Text style={styles.subtext}>
+            {ReduxStore.gatt.serviceUUIDs.length} services,{' '}
+            {Object.keys(ReduxStore.gatt.characteristics).length}{' '}
+            characteristics, {Object.keys(ReduxStore.gatt.descriptors).length}{' '}
+            descriptors
+          </Text>
+        </View>
+        <View style={[styles.item, styles.row]}>
+          <View style={styles.rowText}>
+            <Text style={styles.title}>Include values</Text>
+            <Text style={styles.subtext}>
+              Reads every readable characteristic first
+            </Text>
+          </View>
+          <Switch value={includeValues} onValueChange={setIncludeValues} />
+        </View>
+        <View style={styles.item}>
+          {Object.keys(FORMATS).map(format => (
+            <Button
+              key={format}
+              title={exporting ? 'Reading values...' : FORMATS[format].title}
+              disabled={exporting}
+              onPress={() => share(format)}
+            />
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    connectedDevice: selectConnectedDevice(state),
+    gatt: selectConnectedGatt(state),
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  exportProfile: includeValues => dispatch(exportProfile(includeValues)),
+  reportError: error => dispatch(reportError('export', error)),
+  dismissErrors: () => dispatch(dismissErrors('export')),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEExportProfile);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  rowText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+});
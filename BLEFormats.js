@@ -0,0 +1,156 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {
+  SafeAreaView,
+  ScrollView,
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  Button,
+  Share,
+} from 'react-native';
+import {characteristicKey, importFormats, removeFormat} from './actions';
+import {exportFormats, parseFormats} from './ValueFormat';
+import {uuidLabel} from './UUIDNames';
+
+// All value formats, for export and import. They are defined and edited on
+// the characteristic they belong to.
+function BLEFormats(ReduxStore) {
+  const [json, setJSON] = useState('');
+  const [importError, setImportError] = useState(null);
+  const definitions = ReduxStore.definitions;
+  const keys = Object.keys(definitions).sort();
+
+  const importJSON = () => {
+    try {
+      ReduxStore.importFormats(parseFormats(json, characteristicKey));
+      setJSON('');
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView>
+        <View style={styles.item}>
+          <Text style={styles.title}>Saved formats</Text>
+          {keys.length === 0 && <Text style={styles.subtext}>none</Text>}
+          {keys.map(key => (
+            <View key={key} style={styles.row}>
+              <View style={styles.rowText}>
+                <Text>
+                  {uuidLabel(
+                    definitions[key].characteristicUUID,
+                    'characteristic',
+                    ReduxStore.uuidNames,
+                  )}
+                </Text>
+                <Text style={styles.subtext}>
+                  in{' '}
+                  {uuidLabel(
+                    definitions[key].serviceUUID,
+                    'service',
+                    ReduxStore.uuidNames,
+                  )}
+                </Text>
+                <Text style={styles.value}>{definitions[key].format}</Text>
+              </View>
+              <Button
+                title="Remove"
+                onPress={() => ReduxStore.removeFormat(key)}
+              />
+            </View>
+          ))}
+          <Button
+            title="Export"
+            disabled={keys.length === 0}
+            onPress={() => Share.share({message: exportFormats(definitions)})}
+          />
+        </View>
+        <View style={styles.item}>
+          <Text style={styles.title}>Import</Text>
+          <Text style={styles.subtext}>
+            Paste an export. Its formats are added to, and replace, the saved
+            ones.
+          </Text>
+          <TextInput
+            style={styles.input}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder='{"formats": [{"service": ..., "characteristic": ..., "format": ...}]}'
+            value={json}
+            onChangeText={setJSON}
+          />
+          {importError && <Text style={styles.error}>{importError}</Text>}
+          <Button
+            title="Import"
+            disabled={json.trim() === ''}
+            onPress={importJSON}
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    definitions: state.formats.definitions,
+    uuidNames: state.uuidNames.names,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  removeFormat: key => dispatch(removeFormat(key)),
+  importFormats: definitions => dispatch(importFormats(definitions)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEFormats);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  rowText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  value: {
+    fontSize: 10,
+    fontFamily: 'monospace',
+  },
+  input: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    padding: 4,
+    marginVertical: 4,
+  },
+  error: {
+    color: 'red',
+    fontSize: 10,
+  },
+});
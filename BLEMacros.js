@@ -0,0 +1,418 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {
+  SafeAreaView,
+  ScrollView,
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  Button,
+  Share,
+} from 'react-native';
+import {
+  importMacros,
+  removeMacro,
+  removeSequence,
+  runSequence,
+  saveSequence,
+  stopSequence,
+} from './actions';
+import ErrorBanner from './ErrorBanner';
+import {gattCharacteristics, gattServices} from './Gatt';
+import {
+  DEFAULT_NOTIFICATION_TIMEOUT,
+  STEP_TYPES,
+  describeRun,
+  describeStep,
+  exportMacros,
+  exportSteps,
+  parseMacros,
+  parseSteps,
+} from './Macros';
+import {selectConnectedDevice, selectConnectedGatt} from './Selectors';
+import {uuidLabel} from './UUIDNames';
+
+const STATUS_MARKS = {
+  pending: '·',
+  running: '…',
+  passed: '✓',
+  failed: '✗',
+  skipped: '–',
+};
+
+// A step to start editing from, on the first of the connected device's
+// characteristics that supports it.
+const stepTemplate = (type, gatt) => {
+  if (type === 'delay') {
+    return {type, ms: 1000};
+  }
+  const supports = {
+    write: c => c.isWritableWithResponse || c.isWritableWithoutResponse,
+    read: c => c.isReadable,
+    notification: c => c.isNotifiable || c.isIndicatable,
+  }[type];
+  const characteristic = gattServices(gatt)
+    .reduce(
+      (all, service) => [...all, ...gattCharacteristics(gatt, service.uuid)],
+      [],
+    )
+    .find(supports);
+  const step = {
+    type,
+    service: characteristic ? characteristic.serviceUUID : '',
+    characteristic: characteristic ? characteristic.uuid : '',
+  };
+  switch (type) {
+    case 'write':
+      return {...step, encoding: 'utf8', text: '', lineEnding: 'none'};
+    case 'read':
+      return {...step, pattern: ''};
+    default:
+      return {...step, pattern: '', timeout: DEFAULT_NOTIFICATION_TIMEOUT};
+  }
+};
+
+const parseEditedSteps = json => {
+  let steps;
+  try {
+    steps = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  return parseSteps(steps);
+};
+
+// The steps are edited as JSON, in the form they are exported in; the
+// buttons append a template of each kind of step.
+function SequenceEditor({sequence, gatt, onSave, onCancel}) {
+  const [name, setName] = useState(sequence ? sequence.name : '');
+  const [json, setJSON] = useState(
+    JSON.stringify(sequence ? exportSteps(sequence.steps) : [], null, 2),
+  );
+  let steps = null;
+  let error = null;
+  try {
+    steps = parseEditedSteps(json);
+  } catch (parseError) {
+    error = parseError.message;
+  }
+  const append = type => {
+    let current;
+    try {
+      current = JSON.parse(json);
+    } catch (parseError) {
+      return;
+    }
+    setJSON(
+      JSON.stringify(
+        [...(Array.isArray(current) ? current : []), stepTemplate(type, gatt)],
+        null,
+        2,
+      ),
+    );
+  };
+
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>
+        {sequence ? 'Edit sequence' : 'New sequence'}
+      </Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Name"
+        value={name}
+        onChangeText={setName}
+      />
+      <Text style={styles.subtext}>
+        Steps: write (encoding, text, lineEnding, withResponse), read (pattern),
+        notification (pattern, timeout ms) and delay (ms). Patterns are regular
+        expressions, matched against the value as text, or as hex with "on":
+        "hex".
+      </Text>
+      <View style={styles.buttons}>
+        {STEP_TYPES.map(type => (
+          <Button
+            key={type.value}
+            title={`+ ${type.label}`}
+            onPress={() => append(type.value)}
+          />
+        ))}
+      </View>
+      <TextInput
+        style={[styles.input, styles.value]}
+        multiline
+        autoCapitalize="none"
+        autoCorrect={false}
+        value={json}
+        onChangeText={setJSON}
+      />
+      {error && <Text style={styles.error}>{error}</Text>}
+      <View style={styles.buttons}>
+        <Button
+          title="Save"
+          disabled={Boolean(error) || name.trim() === ''}
+          onPress={() => onSave({name: name.trim(), steps})}
+        />
+        <Button title="Cancel" onPress={onCancel} />
+      </View>
+    </View>
+  );
+}
+
+function Sequence({sequence, run, ReduxStore, onEdit}) {
+  const running = Boolean(run && run.status === 'running');
+  const ownRun = run && run.name === sequence.name ? run : null;
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>{sequence.name}</Text>
+      {sequence.steps.map((step, index) => {
+        const result = ownRun && ownRun.steps[index];
+        return (
+          <View key={index}>
+            <Text style={styles.subtext}>
+              {result ? STATUS_MARKS[result.status] : STATUS_MARKS.pending}{' '}
+              {index + 1}. {describeStep(step)}
+              {step.characteristicUUID
+                ? ` on ${uuidLabel(
+                    step.characteristicUUID,
+                    'characteristic',
+                    ReduxStore.uuidNames,
+                  )}`
+                : ''}
+            </Text>
+            {result && result.message && (
+              <Text
+                style={
+                  result.status === 'failed' ? styles.error : styles.result
+                }>
+                {result.message}
+              </Text>
+            )}
+          </View>
+        );
+      })}
+      {ownRun && <Text style={styles.summary}>{describeRun(ownRun)}</Text>}
+      <View style={styles.buttons}>
+        {ownRun && running ? (
+          <Button title="Stop" onPress={ReduxStore.stopSequence} />
+        ) : (
+          <Button
+            title="Run"
+            disabled={running || !ReduxStore.connectedDevice.id}
+            onPress={() => ReduxStore.runSequence(sequence.name)}
+          />
+        )}
+        <Button title="Edit" disabled={running} onPress={onEdit} />
+        <Button
+          title="Remove"
+          disabled={running}
+          onPress={() => ReduxStore.removeSequence(sequence.name)}
+        />
+      </View>
+    </View>
+  );
+}
+
+// Sequences, to run against the connected device, and all saved macros and
+// sequences for export and import. Macros are made and sent on the
+// characteristic they belong to.
+function BLEMacros(ReduxStore) {
+  // the name of the sequence being edited, '' for a new one
+  const [editing, setEditing] = useState(null);
+  const [json, setJSON] = useState('');
+  const [importError, setImportError] = useState(null);
+  const {macros, sequences} = ReduxStore;
+  const macroKeys = Object.keys(macros).sort();
+  const names = Object.keys(sequences).sort();
+
+  const importJSON = () => {
+    try {
+      ReduxStore.importMacros(parseMacros(json));
+      setJSON('');
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ErrorBanner sources={['storage']} />
+      <ScrollView>
+        {editing !== null ? (
+          <SequenceEditor
+            sequence={sequences[editing]}
+            gatt={ReduxStore.gatt}
+            onSave={sequence => {
+              if (editing && editing !== sequence.name) {
+                ReduxStore.removeSequence(editing);
+              }
+              ReduxStore.saveSequence(sequence);
+              setEditing(null);
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <View style={styles.item}>
+            <Text style={styles.title}>Sequences</Text>
+            {!ReduxStore.connectedDevice.id && (
+              <Text style={styles.subtext}>
+                Connect to a device to run them.
+              </Text>
+            )}
+            <Button title="New sequence" onPress={() => setEditing('')} />
+          </View>
+        )}
+        {names.map(name => (
+          <Sequence
+            key={name}
+            sequence={sequences[name]}
+            run={ReduxStore.run}
+            ReduxStore={ReduxStore}
+            onEdit={() => setEditing(name)}
+          />
+        ))}
+        <View style={styles.item}>
+          <Text style={styles.title}>Saved macros</Text>
+          {macroKeys.length === 0 && (
+            <Text style={styles.subtext}>
+              none, save them from a characteristic's write panel
+            </Text>
+          )}
+          {macroKeys.map(key => (
+            <View key={key} style={styles.row}>
+              <View style={styles.rowText}>
+                <Text>{macros[key].name}</Text>
+                <Text style={styles.subtext}>
+                  {uuidLabel(
+                    macros[key].characteristicUUID,
+                    'characteristic',
+                    ReduxStore.uuidNames,
+                  )}
+                </Text>
+                <Text style={styles.value}>
+                  {macros[key].text} ({macros[key].encoding})
+                </Text>
+              </View>
+              <Button
+                title="Remove"
+                onPress={() => ReduxStore.removeMacro(key)}
+              />
+            </View>
+          ))}
+          <Button
+            title="Export macros and sequences"
+            disabled={macroKeys.length === 0 && names.length === 0}
+            onPress={() =>
+              Share.share({message: exportMacros(macros, sequences)})
+            }
+          />
+        </View>
+        <View style={styles.item}>
+          <Text style={styles.title}>Import</Text>
+          <Text style={styles.subtext}>
+            Paste an export. Its macros and sequences are added to, and replace
+            those with the same names.
+          </Text>
+          <TextInput
+            style={styles.input}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder='{"macros": [...], "sequences": [...]}'
+            value={json}
+            onChangeText={setJSON}
+          />
+          {importError && <Text style={styles.error}>{importError}</Text>}
+          <Button
+            title="Import"
+            disabled={json.trim() === ''}
+            onPress={importJSON}
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    connectedDevice: selectConnectedDevice(state),
+    gatt: selectConnectedGatt(state),
+    macros: state.macros.macros,
+    sequences: state.macros.sequences,
+    run: state.macros.run,
+    uuidNames: state.uuidNames.names,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  removeMacro: key => dispatch(removeMacro(key)),
+  saveSequence: sequence => dispatch(saveSequence(sequence)),
+  removeSequence: name => dispatch(removeSequence(name)),
+  runSequence: name => dispatch(runSequence(name)),
+  stopSequence: () => dispatch(stopSequence()),
+  importMacros: imported => dispatch(importMacros(imported)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEMacros);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  rowText: {
+    flex: 1,
+  },
+  buttons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-around',
+    marginTop: 8,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  result: {
+    fontSize: 10,
+    marginLeft: 16,
+    fontFamily: 'monospace',
+  },
+  summary: {
+    fontSize: 12,
+    marginTop: 8,
+  },
+  value: {
+    fontSize: 10,
+    fontFamily: 'monospace',
+  },
+  input: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    padding: 4,
+    marginVertical: 4,
+  },
+  error: {
+    color: 'red',
+    fontSize: 10,
+  },
+});
@@ -0,0 +1,168 @@
+import React, {useEffect} from 'react';
+import {connect} from 'react-redux';
+import {View, ScrollView, StyleSheet, Text, Button} from 'react-native';
+import {
+  characteristicKey,
+  subscribeCharacteristic,
+  unsubscribeCharacteristic,
+  clearNotifications,
+} from './actions';
+import {base64ToBytes, bytesToHex, bytesToUtf8} from './Encoding';
+import DecodedValue from './DecodedValue';
+import {selectSelectedCharacteristic, selectSelectedService} from './Selectors';
+
+function Notification({notification, serviceUUID, characteristicUUID}) {
+  const bytes = base64ToBytes(notification.value);
+  return (
+    <View style={styles.notification}>
+      <Text style={styles.subtext}>
+        {new Date(notification.receivedAt).toLocaleTimeString()}
+      </Text>
+      <Text selectable style={styles.value}>
+        {bytesToHex(bytes)}
+      </Text>
+      <DecodedValue
+        serviceUUID={serviceUUID}
+        characteristicUUID={characteristicUUID}
+        bytes={bytes}
+      />
+      <Text selectable style={styles.value}>
+        {bytesToUtf8(bytes)}
+      </Text>
+    </View>
+  );
+}
+
+function BLENotifycharacteristic(ReduxStore) {
+  const serviceUUID = ReduxStore.selectedService.uuid;
+  const characteristicUUID = ReduxStore.selectedCharacteristic.uuid;
+  const unsubscribe = ReduxStore.unsubscribeCharacteristic;
+
+  // notifications only make sense while someone is looking at them
+  useEffect(() => () => unsubscribe(serviceUUID, characteristicUUID), [
+    unsubscribe,
+    serviceUUID,
+    characteristicUUID,
+  ]);
+
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>Notify</Text>
+      <Text style={styles.subtext}>
+        {ReduxStore.subscription
+          ? 'Subscribed since ' +
+            new Date(ReduxStore.subscription.subscribedAt).toLocaleTimeString()
+          : 'Not subscribed'}
+      </Text>
+      <View style={styles.buttons}>
+        {ReduxStore.subscription ? (
+          <Button
+            title="Unsubscribe"
+            onPress={() => unsubscribe(serviceUUID, characteristicUUID)}
+          />
+        ) : (
+          <Button
+            title="Subscribe"
+            onPress={() =>
+              ReduxStore.subscribeCharacteristic(
+                serviceUUID,
+                characteristicUUID,
+              )
+            }
+          />
+        )}
+        <Button
+          title="Clear log"
+          onPress={() =>
+            ReduxStore.clearNotifications(
+              characteristicKey(serviceUUID, characteristicUUID),
+            )
+          }
+        />
+      </View>
+      <ScrollView style={styles.log} nestedScrollEnabled>
+        {ReduxStore.notifications.length === 0 && (
+          <Text style={styles.empty}>No notifications received</Text>
+        )}
+        {ReduxStore.notifications
+          .slice()
+          .reverse()
+          .map((notification, index) => (
+            <Notification
+              key={notification.receivedAt + '-' + index}
+              notification={notification}
+              serviceUUID={serviceUUID}
+              characteristicUUID={characteristicUUID}
+            />
+          ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const NO_NOTIFICATIONS = [];
+
+function mapStateToProps(state) {
+  const key = characteristicKey(
+    state.BLEs.selectedServiceUUID,
+    state.BLEs.selectedCharacteristicUUID,
+  );
+  return {
+    selectedService: selectSelectedService(state),
+    selectedCharacteristic: selectSelectedCharacteristic(state),
+    subscription: state.BLEs.subscriptions[key],
+    notifications: state.BLEs.notifications[key] || NO_NOTIFICATIONS,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  subscribeCharacteristic: (serviceUUID, characteristicUUID) =>
+    dispatch(subscribeCharacteristic(serviceUUID, characteristicUUID)),
+  unsubscribeCharacteristic: (serviceUUID, characteristicUUID) =>
+    dispatch(unsubscribeCharacteristic(serviceUUID, characteristicUUID)),
+  clearNotifications: key => dispatch(clearNotifications(key)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  null,
+  {forwardRef: true},
+)(BLENotifycharacteristic);
+
+const styles = StyleSheet.create({
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginTop: 8,
+  },
+  log: {
+    maxHeight: 300,
+    marginTop: 8,
+  },
+  notification: {
+    borderBottomColor: '#ccc',
+    borderBottomWidth: 1,
+    paddingVertical: 4,
+  },
+  value: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
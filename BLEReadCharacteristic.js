@@ -1,87 +1,119 @@
-import React, {useState} from 'react';
-import { connect } from 'react-redux';
-import { NavigationContainer } from '@react-navigation/native';
-import { createStackNavigator } from '@react-navigation/stack';
-import { SafeAreaView, View, FlatList, StyleSheet, Text , TextInput,Button} from 'react-native';
-import { writeCharacteristic} from './actions';
-import DataActivityIndicator from './DataActivityIndicator';
+import React, {useEffect} from 'react';
+import {connect} from 'react-redux';
+import {View, StyleSheet, Text, Button} from 'react-native';
+import {characteristicKey, readCharacteristic} from './actions';
+import {base64ToBytes, bytesToHex, bytesToUtf8} from './Encoding';
+import DecodedValue from './DecodedValue';
 
-function Item({ characteristic }) {
-    return (
-      <View style={styles.item}>
-        <Text style={styles.title}>{characteristic.uuid}</Text>
-        <Text style={styles.subtext}>Notifiable: {characteristic.isNotifiable.toString()}</Text>
-        <Text style={styles.subtext}>Notifying: {characteristic.isNotifying.toString()}</Text>
-        <Text style={styles.subtext}>Readable: {characteristic.isReadable.toString()}</Text>
-        <Text style={styles.subtext}>Indicatable: {characteristic.isIndicatable.toString()}</Text>
-        <Text style={styles.subtext}>Writeable with Response: {characteristic.isWritableWithResponse.toString()}</Text>
-        <Text style={styles.subtext}>Writeable without Response: {characteristic.isWritableWithoutResponse.toString()}</Text>
-        
-      </View>
-    );
+function Value({read, serviceUUID, characteristicUUID}) {
+  if (read && read.error) {
+    return <Text style={styles.error}>Read failed: {read.error}</Text>;
   }
-
-function handleClick (ReduxStore,text){
-    ReduxStore.writeCharacteristic(text + '\n');
+  if (!read || read.value === undefined) {
+    return <Text style={styles.subtext}>No value read yet</Text>;
+  }
+  const bytes = base64ToBytes(read.value);
+  return (
+    <View>
+      <Text style={styles.label}>Hex ({bytes.length} bytes)</Text>
+      <Text selectable style={styles.value}>
+        {bytesToHex(bytes)}
+      </Text>
+      <DecodedValue
+        title="Decoded"
+        serviceUUID={serviceUUID}
+        characteristicUUID={characteristicUUID}
+        bytes={bytes}
+      />
+      <Text style={styles.label}>UTF-8</Text>
+      <Text selectable style={styles.value}>
+        {bytesToUtf8(bytes)}
+      </Text>
+      <Text style={styles.label}>Base64</Text>
+      <Text selectable style={styles.value}>
+        {read.value}
+      </Text>
+      <Text style={styles.subtext}>
+        Read at: {new Date(read.readAt).toLocaleTimeString()}
+      </Text>
+    </View>
+  );
 }
 
 function BLEReadcharacteristic(ReduxStore) {
+  const refresh = ReduxStore.readCharacteristic;
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
 
-  const [text,setText] = useState({'text':'write something to device'});
-
-    return(
-        <SafeAreaView style={styles.container}>
-          <Text>{ReduxStore.selectedCharacteristic.uuid}</Text>
-            <FlatList
-                data={[ReduxStore.selectedCharacteristic]}
-                renderItem={({ item }) => 
-                <>
-                <Item characteristic={item} />
-                <TextInput
-                 onChangeText={(text) => setText({text})}
-                  style={{ height: 40, color: 'black', borderColor: 'gray', borderWidth: 1 }}
-                  value={text.text}
-                />
-                <Button
-                  title="Write"
-                  onPress={() => handleClick(ReduxStore,text.text)}
-                ></Button>
-                </>
-                }
-                keyExtractor={item => item.id.toString()}
-                ListEmptyComponent={DataActivityIndicator}
-            />
-        </SafeAreaView>
-    );
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>Read</Text>
+      <Value
+        read={ReduxStore.read}
+        serviceUUID={ReduxStore.serviceUUID}
+        characteristicUUID={ReduxStore.characteristicUUID}
+      />
+      <Button
+        title={
+          ReduxStore.read && ReduxStore.read.reading ? 'Reading...' : 'Refresh'
+        }
+        disabled={Boolean(ReduxStore.read && ReduxStore.read.reading)}
+        onPress={refresh}
+      />
+    </View>
+  );
 }
 
-function mapStateToProps(state){
-  return{
-    selectedCharacteristic: state.BLEs.selectedCharacteristic,
+function mapStateToProps(state) {
+  return {
+    read:
+      state.BLEs.characteristicReads[
+        characteristicKey(
+          state.BLEs.selectedServiceUUID,
+          state.BLEs.selectedCharacteristicUUID,
+        )
+      ],
+    serviceUUID: state.BLEs.selectedServiceUUID,
+    characteristicUUID: state.BLEs.selectedCharacteristicUUID,
   };
 }
 
 const mapDispatchToProps = dispatch => ({
-  writeCharacteristic: text => dispatch(writeCharacteristic(text))
-})
+  readCharacteristic: () => dispatch(readCharacteristic()),
+});
 
-export default connect(mapStateToProps,mapDispatchToProps,null,{ forwardRef: true })(BLEReadcharacteristic);
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  null,
+  {forwardRef: true},
+)(BLEReadcharacteristic);
 
 const styles = StyleSheet.create({
-    container: {
-      flex: 1,
-      marginTop: 2,
-    },
-    item: {
-      backgroundColor: '#f9c2ff',
-      padding: 20,
-      marginVertical: 8,
-      marginHorizontal: 16,
-    },
-    title: {
-      fontSize: 14,
-    },
-    subtext: {
-        fontSize: 10,
-      }
-  });
\ No newline at end of file
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  value: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+  },
+  error: {
+    fontSize: 12,
+    color: 'red',
+  },
+});
@@ -0,0 +1,296 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {
+  SafeAreaView,
+  ScrollView,
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  Button,
+  Switch,
+  Platform,
+} from 'react-native';
+import OptionPicker from './OptionPicker';
+import {
+  forgetDevice,
+  setListOptions,
+  setScanOptions,
+  setWritePreferences,
+} from './actions';
+import {ENCODINGS, LINE_ENDINGS} from './Encoding';
+
+const SCAN_MODES = [
+  {label: 'Opportunistic', value: 'Opportunistic'},
+  {label: 'Low power', value: 'LowPower'},
+  {label: 'Balanced', value: 'Balanced'},
+  {label: 'Low latency', value: 'LowLatency'},
+];
+
+const CALLBACK_TYPES = [
+  {label: 'All matches', value: 'AllMatches'},
+  {label: 'First match', value: 'FirstMatch'},
+  {label: 'Match lost', value: 'MatchLost'},
+];
+
+// Service UUIDs are entered one per line or comma separated.
+const parseServiceUUIDs = text =>
+  text
+    .split(/[\s,]+/)
+    .map(uuid => uuid.trim().toLowerCase())
+    .filter(uuid => uuid.length > 0);
+
+const toSeconds = text => {
+  const seconds = Number(text);
+  return Number.isInteger(seconds) && seconds >= 0 ? seconds : null;
+};
+
+// Changing the options while scanning restarts the scan with them.
+function BLEScanSettings(ReduxStore) {
+  const options = ReduxStore.scanOptions;
+  const listOptions = ReduxStore.listOptions;
+  const [timeout, setTimeoutText] = useState(String(options.timeout));
+  const [serviceUUIDs, setServiceUUIDs] = useState(
+    options.serviceUUIDs.join('\n'),
+  );
+  const [staleAfter, setStaleAfter] = useState(String(listOptions.staleAfter));
+  const writePreferences = ReduxStore.writePreferences;
+  const [customLineEnding, setCustomLineEnding] = useState(
+    writePreferences.customLineEnding,
+  );
+  const knownDevices = ReduxStore.knownDevices;
+  const knownIds = Object.keys(knownDevices).sort(
+    (a, b) => knownDevices[b].lastConnectedAt - knownDevices[a].lastConnectedAt,
+  );
+  const seconds = toSeconds(timeout);
+  const staleSeconds = toSeconds(staleAfter);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView>
+        <View style={styles.item}>
+          <Text style={styles.title}>Timeout (seconds, 0 = never)</Text>
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            value={timeout}
+            onChangeText={setTimeoutText}
+            onEndEditing={() =>
+              seconds !== null && ReduxStore.setScanOptions({timeout: seconds})
+            }
+          />
+          {seconds === null && (
+            <Text style={styles.error}>Enter a whole number of seconds</Text>
+          )}
+        </View>
+        <View style={styles.item}>
+          <Text style={styles.title}>Service UUIDs</Text>
+          <Text style={styles.subtext}>
+            Only devices advertising one of these services are listed. Leave
+            empty to list all devices.
+          </Text>
+          <TextInput
+            style={styles.input}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder="180d, 6e400001-b5a3-f393-e0a9-e50e24dcca9e"
+            value={serviceUUIDs}
+            onChangeText={setServiceUUIDs}
+            onEndEditing={() =>
+              ReduxStore.setScanOptions({
+                serviceUUIDs: parseServiceUUIDs(serviceUUIDs),
+              })
+            }
+          />
+        </View>
+        <View style={[styles.item, styles.row]}>
+          <Text style={styles.title}>Allow duplicates</Text>
+          <Switch
+            value={options.allowDuplicates}
+            onValueChange={allowDuplicates =>
+              ReduxStore.setScanOptions({allowDuplicates})
+            }
+          />
+        </View>
+        {Platform.OS === 'android' && (
+          <View style={styles.item}>
+            <Text style={styles.title}>Scan mode</Text>
+            <OptionPicker
+              options={SCAN_MODES}
+              selected={options.scanMode}
+              onSelect={scanMode => ReduxStore.setScanOptions({scanMode})}
+            />
+            <Text style={styles.title}>Callback type</Text>
+            <OptionPicker
+              options={CALLBACK_TYPES}
+              selected={options.callbackType}
+              onSelect={callbackType =>
+                ReduxStore.setScanOptions({callbackType})
+              }
+            />
+          </View>
+        )}
+        <View style={styles.item}>
+          <Text style={styles.title}>
+            Stale after (seconds without advertising, 0 = never)
+          </Text>
+          {Platform.OS === 'ios' && (
+            <Text style={styles.subtext}>
+              iOS reports each device once unless duplicates are allowed,
+              devices only go stale when they are.
+            </Text>
+          )}
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            value={staleAfter}
+            onChangeText={setStaleAfter}
+            onEndEditing={() =>
+              staleSeconds !== null &&
+              ReduxStore.setListOptions({staleAfter: staleSeconds})
+            }
+          />
+          {staleSeconds === null && (
+            <Text style={styles.error}>Enter a whole number of seconds</Text>
+          )}
+          <View style={styles.row}>
+            <Text style={styles.title}>Remove stale devices</Text>
+            <Switch
+              value={listOptions.removeStale}
+              onValueChange={removeStale =>
+                ReduxStore.setListOptions({removeStale})
+              }
+            />
+          </View>
+        </View>
+        <View style={styles.item}>
+          <Text style={styles.title}>Writing</Text>
+          <Text style={styles.subtext}>
+            What the write panel starts with on devices nothing was written to
+            yet; on the others it starts with what was used last.
+          </Text>
+          <OptionPicker
+            options={ENCODINGS}
+            selected={writePreferences.encoding}
+            onSelect={encoding => ReduxStore.setWritePreferences({encoding})}
+          />
+          <OptionPicker
+            options={LINE_ENDINGS}
+            selected={writePreferences.lineEnding}
+            onSelect={lineEnding =>
+              ReduxStore.setWritePreferences({lineEnding})
+            }
+          />
+          {writePreferences.lineEnding === 'custom' && (
+            <TextInput
+              style={styles.input}
+              autoCapitalize="characters"
+              placeholder="e.g. 0D 0A"
+              value={customLineEnding}
+              onChangeText={setCustomLineEnding}
+              onEndEditing={() =>
+                ReduxStore.setWritePreferences({customLineEnding})
+              }
+            />
+          )}
+        </View>
+        <View style={styles.item}>
+          <Text style={styles.title}>Known devices</Text>
+          {knownIds.length === 0 && (
+            <Text style={styles.subtext}>
+              none yet, devices are remembered once connected to
+            </Text>
+          )}
+          {knownIds.map(id => (
+            <View key={id} style={styles.row}>
+              <View style={styles.rowText}>
+                <Text>
+                  {knownDevices[id].favorite ? '★ ' : ''}
+                  {knownDevices[id].nickname || knownDevices[id].name || id}
+                </Text>
+                <Text style={styles.subtext}>{id}</Text>
+              </View>
+              <Button
+                title="Forget"
+                onPress={() => ReduxStore.forgetDevice(id)}
+              />
+            </View>
+          ))}
+        </View>
+        <Button
+          title="UUID names"
+          onPress={() => ReduxStore.navigation.navigate('UUIDNames')}
+        />
+        <Button
+          title="Value formats"
+          onPress={() => ReduxStore.navigation.navigate('Formats')}
+        />
+        <Button
+          title="Macros and sequences"
+          onPress={() => ReduxStore.navigation.navigate('Macros')}
+        />
+        <Button title="Done" onPress={() => ReduxStore.navigation.goBack()} />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    scanOptions: state.BLEs.scanOptions,
+    listOptions: state.BLEs.listOptions,
+    writePreferences: state.preferences.write,
+    knownDevices: state.preferences.devices,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  setScanOptions: options => dispatch(setScanOptions(options)),
+  setListOptions: options => dispatch(setListOptions(options)),
+  setWritePreferences: preferences =>
+    dispatch(setWritePreferences(preferences)),
+  forgetDevice: id => dispatch(forgetDevice(id)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEScanSettings);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  rowText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  input: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    padding: 4,
+    marginVertical: 4,
+  },
+  error: {
+    color: 'red',
+    fontSize: 10,
+  },
+});
@@ -0,0 +1,444 @@
+import React, {useEffect, useRef, useState} from 'react';
+import {connect} from 'react-redux';
+import {
+  SafeAreaView,
+  ScrollView,
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  Button,
+  Switch,
+} from 'react-native';
+import {
+  openTerminal,
+  sendTerminalLine,
+  terminalCleared,
+  terminalSettingsChanged,
+  unsubscribeCharacteristic,
+} from './actions';
+import DeviceDisconnected from './DeviceDisconnected';
+import ErrorBanner from './ErrorBanner';
+import OptionPicker from './OptionPicker';
+import {
+  LINE_ENDINGS,
+  base64ToBytes,
+  bytesToHex,
+  bytesToUtf8,
+  lineEndingBytes,
+} from './Encoding';
+import {characteristicKey, userDescription} from './Gatt';
+import {
+  RECEIVE_LINE_ENDINGS,
+  detectUART,
+  historyStep,
+  isUsablePair,
+  terminalCandidates,
+} from './Terminal';
+import {selectConnectedDevice, selectConnectedGatt} from './Selectors';
+import {uuidLabel, uuidName} from './UUIDNames';
+
+const DISPLAYS = [{label: 'Text', value: 'text'}, {label: 'Hex', value: 'hex'}];
+
+const show = (value, display) => {
+  const bytes = base64ToBytes(value);
+  return display === 'hex' ? bytesToHex(bytes) : bytesToUtf8(bytes);
+};
+
+// Picks the TX characteristic, then an RX characteristic of the same service.
+function PairPicker({ReduxStore, pair, onPick, onCancel}) {
+  const [tx, setTx] = useState(pair);
+  const [rxUUID, setRxUUID] = useState(pair && pair.rxUUID);
+  const candidates = terminalCandidates(ReduxStore.gatt);
+  const label = characteristic =>
+    (!uuidName(characteristic.uuid, 'characteristic', ReduxStore.uuidNames) &&
+      userDescription(
+        ReduxStore.descriptorValues,
+        characteristic.serviceUUID,
+        characteristic.uuid,
+      )) ||
+    uuidLabel(characteristic.uuid, 'characteristic', ReduxStore.uuidNames);
+  const options = characteristics =>
+    characteristics.map(characteristic => ({
+      label: label(characteristic),
+      value: characteristicKey(characteristic.serviceUUID, characteristic.uuid),
+    }));
+  const rxCandidates = tx
+    ? candidates.rx.filter(
+        characteristic => characteristic.serviceUUID === tx.serviceUUID,
+      )
+    : [];
+
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>Characteristics</Text>
+      <Text style={styles.subtext}>
+        {pair ? '' : 'No Nordic UART service found. '}
+        Pick the characteristic lines are written to (TX) and the one they are
+        received on (RX).
+      </Text>
+      <Text style={styles.subtext}>TX (write)</Text>
+      <OptionPicker
+        options={options(candidates.tx)}
+        selected={tx && characteristicKey(tx.serviceUUID, tx.txUUID)}
+        onSelect={key => {
+          const characteristic = candidates.tx.find(
+            candidate =>
+              characteristicKey(candidate.serviceUUID, candidate.uuid) === key,
+          );
+          setTx({
+            serviceUUID: characteristic.serviceUUID,
+            txUUID: characteristic.uuid,
+          });
+          setRxUUID(null);
+        }}
+      />
+      <Text style={styles.subtext}>RX (notify)</Text>
+      {tx && rxCandidates.length === 0 && (
+        <Text style={styles.subtext}>
+          The TX characteristic's service has nothing to subscribe to.
+        </Text>
+      )}
+      <OptionPicker
+        options={options(rxCandidates)}
+        selected={tx && rxUUID && characteristicKey(tx.serviceUUID, rxUUID)}
+        onSelect={key =>
+          setRxUUID(
+            rxCandidates.find(
+              candidate =>
+                characteristicKey(candidate.serviceUUID, candidate.uuid) ===
+                key,
+            ).uuid,
+          )
+        }
+      />
+      <View style={styles.buttons}>
+        <Button
+          title="Open"
+          disabled={!tx || !rxUUID}
+          onPress={() => onPick({...tx, rxUUID})}
+        />
+        {onCancel && <Button title="Cancel" onPress={onCancel} />}
+      </View>
+    </View>
+  );
+}
+
+function Settings({settings, onChange}) {
+  let lineEndingError = null;
+  try {
+    lineEndingBytes(settings.lineEnding, settings.customLineEnding);
+  } catch (error) {
+    lineEndingError = error.message;
+  }
+  return (
+    <View style={styles.item}>
+      <Text style={styles.subtext}>Display</Text>
+      <OptionPicker
+        options={DISPLAYS}
+        selected={settings.display}
+        onSelect={display => onChange({display})}
+      />
+      <View style={styles.row}>
+        <Text style={[styles.subtext, styles.rowText]}>Local echo</Text>
+        <Switch
+          value={settings.localEcho}
+          onValueChange={localEcho => onChange({localEcho})}
+        />
+      </View>
+      <Text style={styles.subtext}>Sent line ending</Text>
+      <OptionPicker
+        options={LINE_ENDINGS}
+        selected={settings.lineEnding}
+        onSelect={lineEnding => onChange({lineEnding})}
+      />
+      {settings.lineEnding === 'custom' && (
+        <TextInput
+          onChangeText={customLineEnding => onChange({customLineEnding})}
+          style={styles.input}
+          placeholder="e.g. 0D 0A"
+          autoCapitalize="characters"
+          value={settings.customLineEnding}
+        />
+      )}
+      {lineEndingError && <Text style={styles.error}>{lineEndingError}</Text>}
+      <Text style={styles.subtext}>Received line ending</Text>
+      <OptionPicker
+        options={RECEIVE_LINE_ENDINGS}
+        selected={settings.receiveLineEnding}
+        onSelect={receiveLineEnding => onChange({receiveLineEnding})}
+      />
+    </View>
+  );
+}
+
+function Console({lines, pending, display}) {
+  const scrollView = useRef(null);
+  return (
+    <ScrollView
+      ref={scrollView}
+      style={styles.console}
+      onContentSizeChange={() => scrollView.current.scrollToEnd()}>
+      {lines.length === 0 && !pending && (
+        <Text style={styles.empty}>Nothing sent or received yet</Text>
+      )}
+      {lines.map((line, index) => (
+        <Text
+          key={index}
+          selectable
+          style={
+            line.direction === 'sent'
+              ? [styles.sent, line.failed && styles.failed]
+              : styles.received
+          }>
+          {line.direction === 'sent' ? '> ' : ''}
+          {show(line.value, display)}
+          {line.failed ? ' (not sent)' : ''}
+        </Text>
+      ))}
+      {pending !== '' && (
+        <Text selectable style={styles.pending}>
+          {show(pending, display)}
+        </Text>
+      )}
+    </ScrollView>
+  );
+}
+
+// A serial console on a TX/RX pair of characteristics, the Nordic UART ones
+// unless the user picks others.
+function BLETerminal(ReduxStore) {
+  const [text, setText] = useState('');
+  const [historyPosition, setHistoryPosition] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [choosing, setChoosing] = useState(false);
+  const gatt = ReduxStore.gatt;
+  const pair = isUsablePair(gatt, ReduxStore.pair)
+    ? ReduxStore.pair
+    : detectUART(gatt);
+  const {open, unsubscribe} = ReduxStore;
+  const serviceUUID = pair && pair.serviceUUID;
+  const txUUID = pair && pair.txUUID;
+  const rxUUID = pair && pair.rxUUID;
+
+  // like the notify panel, the RX characteristic is only listened to while
+  // the console is on screen
+  useEffect(() => {
+    if (!serviceUUID) {
+      return;
+    }
+    open({serviceUUID, txUUID, rxUUID});
+    return () => unsubscribe(serviceUUID, rxUUID);
+  }, [open, unsubscribe, serviceUUID, txUUID, rxUUID]);
+
+  if (!ReduxStore.connectedDevice.id || !gatt) {
+    return <DeviceDisconnected navigation={ReduxStore.navigation} />;
+  }
+  if (!pair || choosing) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <ScrollView>
+          <PairPicker
+            ReduxStore={ReduxStore}
+            pair={pair}
+            onPick={picked => {
+              setChoosing(false);
+              ReduxStore.open(picked);
+            }}
+            onCancel={pair ? () => setChoosing(false) : null}
+          />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  const history = ReduxStore.history;
+  const recall = step => {
+    const position = historyStep(
+      history,
+      historyPosition === null ? history.length : historyPosition,
+      step,
+    );
+    setHistoryPosition(position);
+    setText(position < history.length ? history[position] : '');
+  };
+  const send = () => {
+    ReduxStore.send(text);
+    setText('');
+    setHistoryPosition(null);
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ErrorBanner sources={['write', 'notify']} />
+      <View style={styles.item}>
+        <Text style={styles.title}>
+          {uuidLabel(serviceUUID, 'service', ReduxStore.uuidNames)}
+        </Text>
+        <Text style={styles.subtext}>TX {txUUID}</Text>
+        <Text style={styles.subtext}>
+          RX {rxUUID}
+          {ReduxStore.subscribed ? '' : ' (not subscribed)'}
+        </Text>
+        <View style={styles.buttons}>
+          <Button
+            title={showSettings ? 'Hide settings' : 'Settings'}
+            onPress={() => setShowSettings(!showSettings)}
+          />
+          <Button title="Clear" onPress={ReduxStore.clear} />
+          <Button title="Change" onPress={() => setChoosing(true)} />
+        </View>
+      </View>
+      {showSettings && (
+        <Settings
+          settings={ReduxStore.settings}
+          onChange={ReduxStore.changeSettings}
+        />
+      )}
+      <Console
+        lines={ReduxStore.lines}
+        pending={ReduxStore.pending}
+        display={ReduxStore.settings.display}
+      />
+      <View style={styles.sendBox}>
+        <Button
+          title="↑"
+          disabled={history.length === 0 || historyPosition === 0}
+          onPress={() => recall(-1)}
+        />
+        <Button
+          title="↓"
+          disabled={historyPosition === null}
+          onPress={() => recall(1)}
+        />
+        <TextInput
+          style={[styles.input, styles.command]}
+          autoCapitalize="none"
+          autoCorrect={false}
+          blurOnSubmit={false}
+          returnKeyType="send"
+          onSubmitEditing={send}
+          onChangeText={setText}
+          value={text}
+        />
+        <Button title="Send" onPress={send} />
+      </View>
+    </SafeAreaView>
+  );
+}
+
+function mapStateToProps(state) {
+  const terminal = state.terminal;
+  return {
+    connectedDevice: selectConnectedDevice(state),
+    gatt: selectConnectedGatt(state),
+    descriptorValues: state.BLEs.descriptorValues,
+    uuidNames: state.uuidNames.names,
+    pair: terminal.pair,
+    subscribed: Boolean(
+      terminal.pair &&
+        state.BLEs.subscriptions[
+          characteristicKey(terminal.pair.serviceUUID, terminal.pair.rxUUID)
+        ],
+    ),
+    lines: terminal.lines,
+    pending: terminal.pending,
+    history: terminal.history,
+    settings: terminal.settings,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  open: pair => dispatch(openTerminal(pair)),
+  unsubscribe: (serviceUUID, characteristicUUID) =>
+    dispatch(unsubscribeCharacteristic(serviceUUID, characteristicUUID)),
+  send: command => dispatch(sendTerminalLine(command)),
+  clear: () => dispatch(terminalCleared()),
+  changeSettings: settings => dispatch(terminalSettingsChanged(settings)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLETerminal);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  error: {
+    fontSize: 10,
+    color: 'red',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowText: {
+    flex: 1,
+  },
+  console: {
+    flex: 1,
+    marginHorizontal: 16,
+    padding: 8,
+    backgroundColor: 'black',
+  },
+  sent: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    color: '#8cf',
+  },
+  failed: {
+    color: '#f88',
+  },
+  received: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    color: 'white',
+  },
+  pending: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    color: 'gray',
+  },
+  empty: {
+    textAlign: 'center',
+    color: 'gray',
+  },
+  sendBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    marginVertical: 8,
+  },
+  input: {
+    height: 40,
+    color: 'black',
+    borderColor: 'gray',
+    borderWidth: 1,
+    marginVertical: 8,
+  },
+  command: {
+    flex: 1,
+    marginHorizontal: 4,
+    fontFamily: 'monospace',
+  },
+});
@@ -0,0 +1,181 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {
+  SafeAreaView,
+  ScrollView,
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  Button,
+  Share,
+} from 'react-native';
+import {importUUIDNames, removeUUIDName, setUUIDName} from './actions';
+import {exportUUIDNames, parseUUIDNames} from './UUIDNames';
+import {fullUUID, isUUID} from './UUID';
+
+// Names for vendor UUIDs, shown instead of the bare UUID everywhere. Opened
+// from the settings, or by long-pressing a service or characteristic, which
+// fills in its UUID.
+function BLEUUIDNames(ReduxStore) {
+  const params = ReduxStore.route.params || {};
+  const [uuid, setUUID] = useState(params.uuid || '');
+  const [name, setName] = useState(
+    (params.uuid && ReduxStore.names[fullUUID(params.uuid)]) || '',
+  );
+  const [json, setJSON] = useState('');
+  const [importError, setImportError] = useState(null);
+  const names = ReduxStore.names;
+  const uuidValid = isUUID(uuid);
+
+  const add = () => {
+    ReduxStore.setUUIDName(uuid, name.trim());
+    setUUID('');
+    setName('');
+  };
+
+  const importJSON = () => {
+    try {
+      ReduxStore.importUUIDNames(parseUUIDNames(json));
+      setJSON('');
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView>
+        <View style={styles.item}>
+          <Text style={styles.title}>Name a UUID</Text>
+          <TextInput
+            style={styles.input}
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder="UUID, e.g. 6e400001-b5a3-f393-e0a9-e50e24dcca9e"
+            value={uuid}
+            onChangeText={setUUID}
+          />
+          {uuid !== '' && !uuidValid && (
+            <Text style={styles.error}>
+              Enter a 16-bit, 32-bit or 128-bit UUID
+            </Text>
+          )}
+          <TextInput
+            style={styles.input}
+            placeholder="Name"
+            value={name}
+            onChangeText={setName}
+          />
+          <Button
+            title="Save"
+            disabled={!uuidValid || name.trim() === ''}
+            onPress={add}
+          />
+        </View>
+        <View style={styles.item}>
+          <Text style={styles.title}>Saved names</Text>
+          {Object.keys(names).length === 0 && (
+            <Text style={styles.subtext}>none</Text>
+          )}
+          {Object.keys(names)
+            .sort()
+            .map(saved => (
+              <View key={saved} style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text>{names[saved]}</Text>
+                  <Text style={styles.subtext}>{saved}</Text>
+                </View>
+                <Button
+                  title="Remove"
+                  onPress={() => ReduxStore.removeUUIDName(saved)}
+                />
+              </View>
+            ))}
+          <Button
+            title="Export"
+            disabled={Object.keys(names).length === 0}
+            onPress={() => Share.share({message: exportUUIDNames(names)})}
+          />
+        </View>
+        <View style={styles.item}>
+          <Text style={styles.title}>Import</Text>
+          <Text style={styles.subtext}>
+            Paste an export. Its names are added to, and replace, the saved
+            ones.
+          </Text>
+          <TextInput
+            style={styles.input}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder='{"names": {"<uuid>": "<name>"}}'
+            value={json}
+            onChangeText={setJSON}
+          />
+          {importError && <Text style={styles.error}>{importError}</Text>}
+          <Button
+            title="Import"
+            disabled={json.trim() === ''}
+            onPress={importJSON}
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    names: state.uuidNames.names,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  setUUIDName: (uuid, name) => dispatch(setUUIDName(uuid, name)),
+  removeUUIDName: uuid => dispatch(removeUUIDName(uuid)),
+  importUUIDNames: names => dispatch(importUUIDNames(names)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEUUIDNames);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  rowText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  input: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    padding: 4,
+    marginVertical: 4,
+  },
+  error: {
+    color: 'red',
+    fontSize: 10,
+  },
+});
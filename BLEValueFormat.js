@@ -0,0 +1,146 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {View, StyleSheet, Text, TextInput, Button} from 'react-native';
+import {characteristicKey, removeFormat, setFormat} from './actions';
+import {parseFormat} from './ValueFormat';
+
+// Edits the format definition attached to the selected characteristic, which
+// decodes its reads and notifications and gives writes a form of its fields.
+function BLEValueFormat(ReduxStore) {
+  const definition = ReduxStore.definition;
+  const [text, setText] = useState('');
+  const [editing, setEditing] = useState(false);
+  let error = null;
+  try {
+    parseFormat(text);
+  } catch (parseError) {
+    error = parseError.message;
+  }
+
+  if (!editing) {
+    return (
+      <View style={styles.item}>
+        <Text style={styles.title}>Format</Text>
+        <Text selectable style={styles.value}>
+          {definition ? definition.format : 'none'}
+        </Text>
+        <Button
+          title={definition ? 'Edit format' : 'Define format'}
+          onPress={() => {
+            setText(definition ? definition.format : '');
+            setEditing(true);
+          }}
+        />
+      </View>
+    );
+  }
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>Format</Text>
+      <Text style={styles.subtext}>
+        Fields separated by ";" or newlines: type name [/scale or *scale]
+        ["unit"]. Types: u8 i8 u16 i16 u24 i24 u32 i32 (append "be" for big
+        endian), f32, hex[N], utf8[N].
+      </Text>
+      <TextInput
+        style={styles.input}
+        multiline
+        autoCapitalize="none"
+        autoCorrect={false}
+        placeholder={'u8 flags; i16le temp/100 "°C"; u32le counter'}
+        value={text}
+        onChangeText={setText}
+      />
+      {text.trim() !== '' && error && <Text style={styles.error}>{error}</Text>}
+      <View style={styles.buttons}>
+        <Button
+          title="Save"
+          disabled={Boolean(error)}
+          onPress={() => {
+            ReduxStore.setFormat(
+              ReduxStore.serviceUUID,
+              ReduxStore.characteristicUUID,
+              text.trim(),
+            );
+            setEditing(false);
+          }}
+        />
+        {definition && (
+          <Button
+            title="Remove"
+            onPress={() => {
+              ReduxStore.removeFormat(
+                characteristicKey(
+                  ReduxStore.serviceUUID,
+                  ReduxStore.characteristicUUID,
+                ),
+              );
+              setEditing(false);
+            }}
+          />
+        )}
+        <Button title="Cancel" onPress={() => setEditing(false)} />
+      </View>
+    </View>
+  );
+}
+
+function mapStateToProps(state) {
+  const {
+    selectedServiceUUID: serviceUUID,
+    selectedCharacteristicUUID: characteristicUUID,
+  } = state.BLEs;
+  return {
+    serviceUUID,
+    characteristicUUID,
+    definition:
+      state.formats.definitions[
+        characteristicKey(serviceUUID, characteristicUUID)
+      ],
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  setFormat: (serviceUUID, characteristicUUID, format) =>
+    dispatch(setFormat(serviceUUID, characteristicUUID, format)),
+  removeFormat: key => dispatch(removeFormat(key)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEValueFormat);
+
+const styles = StyleSheet.create({
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  value: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+  },
+  error: {
+    fontSize: 10,
+    color: 'red',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  input: {
+    color: 'black',
+    borderColor: 'gray',
+    borderWidth: 1,
+    marginVertical: 8,
+    fontFamily: 'monospace',
+  },
+});
@@ -1,79 +1,510 @@
 import React, {useState} from 'react';
-import { connect } from 'react-redux';
-import {NavigationContainer } from '@react-navigation/native';
-import {createStackNavigator } from '@react-navigation/stack';
-import {SafeAreaView, View, FlatList, StyleSheet, Text , TextInput,Button} from 'react-native';
-import {writeCharacteristic} from './actions';
-import DataActivityIndicator from './DataActivityIndicator';
-
-function Item({ characteristic }) {
-    return (
-      <View style={styles.item}>
-        <Text style={styles.title}>{characteristic.uuid}</Text>
-        <Text style={styles.subtext}>Notifiable: {characteristic.isNotifiable.toString()}</Text>
-        <Text style={styles.subtext}>Notifying: {characteristic.isNotifying.toString()}</Text>
-        <Text style={styles.subtext}>Readable: {characteristic.isReadable.toString()}</Text>
-        <Text style={styles.subtext}>Indicatable: {characteristic.isIndicatable.toString()}</Text>
-        <Text style={styles.subtext}>Writeable with Response: {characteristic.isWritableWithResponse.toString()}</Text>
-        <Text style={styles.subtext}>Writeable without Response: {characteristic.isWritableWithoutResponse.toString()}</Text>
-        
-      </View>
-    );
+import {connect} from 'react-redux';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Button,
+} from 'react-native';
+import {
+  characteristicKey,
+  defaultChunkSize,
+  defaultWriteWithResponse,
+  rememberWriteSettings,
+  reportError,
+  saveMacro,
+  sendMacro,
+  writeCharacteristic,
+} from './actions';
+import OptionPicker from './OptionPicker';
+import {
+  ENCODINGS,
+  LINE_ENDINGS,
+  bytesToHex,
+  encodePayload,
+  hexToBytes,
+} from './Encoding';
+import {CHECKSUMS} from './Checksum';
+import {BYTE_ORDERS, PLACEMENTS, buildPackets} from './Framing';
+import {encodeFormat, parseFormat} from './ValueFormat';
+import {characteristicMacros} from './Macros';
+import {
+  selectConnectedKnownDevice,
+  selectSelectedCharacteristic,
+  selectSelectedService,
+} from './Selectors';
+
+// With a format attached to the characteristic, its fields can be filled in
+// instead of typing the raw payload.
+const FIELDS_ENCODING = {label: 'Fields', value: 'fields'};
+
+const formatFields = definition => {
+  try {
+    return definition ? parseFormat(definition.format) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseDelimiter = (name, hex) => {
+  try {
+    return hexToBytes(hex);
+  } catch (error) {
+    throw new Error(`${name} delimiter: ${error.message}`);
   }
+};
+
+// The chunking and framing the form asks for, throwing on bad delimiters.
+const writeOptions = (form, mtu) => ({
+  chunkSize: parseInt(form.chunkSize, 10) || defaultChunkSize(mtu),
+  delay: parseInt(form.delay, 10) || 0,
+  framing: {
+    checksum: form.checksum,
+    placement: form.placement,
+    byteOrder: form.byteOrder,
+    start: parseDelimiter('Start', form.start),
+    end: parseDelimiter('End', form.end),
+  },
+});
+
+// Returns {bytes, options, packets} or {error} for what is currently typed
+// into the form, packets being exactly what the write will send.
+function preparePayload(form, mtu, fields) {
+  try {
+    const bytes =
+      form.encoding === FIELDS_ENCODING.value
+        ? encodeFormat(fields, form.values)
+        : encodePayload(
+            form.text,
+            form.encoding,
+            form.lineEnding,
+            form.customLineEnding,
+          );
+    const options = writeOptions(form, mtu);
+    const packets = buildPackets(bytes, options.chunkSize, options.framing);
+    return {bytes, options, packets};
+  } catch (error) {
+    return {error: error.message};
+  }
+}
+
+function Framing({form, onChange}) {
+  return (
+    <View>
+      <Text style={styles.subtext}>Checksum</Text>
+      <OptionPicker
+        options={CHECKSUMS}
+        selected={form.checksum}
+        onSelect={checksum => onChange({checksum})}
+      />
+      {form.checksum !== 'none' && (
+        <>
+          <OptionPicker
+            options={PLACEMENTS}
+            selected={form.placement}
+            onSelect={placement => onChange({placement})}
+          />
+          <OptionPicker
+            options={BYTE_ORDERS}
+            selected={form.byteOrder}
+            onSelect={byteOrder => onChange({byteOrder})}
+          />
+        </>
+      )}
+      <View style={styles.row}>
+        <View style={styles.column}>
+          <Text style={styles.subtext}>Start delimiter (hex)</Text>
+          <TextInput
+            onChangeText={start => onChange({start})}
+            style={styles.input}
+            autoCapitalize="characters"
+            placeholder="none"
+            value={form.start}
+          />
+        </View>
+        <View style={styles.column}>
+          <Text style={styles.subtext}>End delimiter (hex)</Text>
+          <TextInput
+            onChangeText={end => onChange({end})}
+            style={styles.input}
+            autoCapitalize="characters"
+            placeholder="none"
+            value={form.end}
+          />
+        </View>
+      </View>
+    </View>
+  );
+}
+
+function FieldInputs({fields, values, onChange}) {
+  return fields.map(field => (
+    <View key={field.name} style={styles.row}>
+      <Text style={[styles.subtext, styles.column]}>
+        {field.name} ({field.type}
+        {field.unit ? `, ${field.unit}` : ''})
+      </Text>
+      <TextInput
+        onChangeText={value => onChange({...values, [field.name]: value})}
+        style={[styles.input, styles.column]}
+        autoCapitalize="none"
+        keyboardType={
+          field.kind === 'integer' || field.kind === 'float'
+            ? 'numbers-and-punctuation'
+            : 'default'
+        }
+        value={values[field.name] || ''}
+      />
+    </View>
+  ));
+}
+
+// One-tap buttons for the characteristic's saved payloads; a long press
+// loads one into the form instead. The form's payload can be saved as a
+// macro, with its chunking and framing left to the form it is sent from.
+function Macros({macros, onSend, onLoad, onSave, canSave}) {
+  const [name, setName] = useState('');
+  return (
+    <View>
+      <Text style={styles.subtext}>
+        Macros{macros.length > 0 ? ' (long press to edit)' : ''}
+      </Text>
+      <View style={styles.macros}>
+        {macros.map(macro => (
+          <TouchableOpacity
+            key={macro.name}
+            style={styles.macro}
+            onPress={() => onSend(macro)}
+            onLongPress={() => onLoad(macro)}>
+            <Text>{macro.name}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.row}>
+        <TextInput
+          onChangeText={setName}
+          style={[styles.input, styles.column]}
+          placeholder="Macro name"
+          value={name}
+        />
+        <Button
+          title="Save as macro"
+          disabled={!canSave || name.trim() === ''}
+          onPress={() => {
+            onSave(name.trim());
+            setName('');
+          }}
+        />
+      </View>
+    </View>
+  );
+}
 
-function handleClick (ReduxStore,text){
-    ReduxStore.writeCharacteristic(text + '\n');
+function Progress({write}) {
+  if (!write) {
+    return null;
+  }
+  return (
+    <View>
+      <Text style={styles.subtext}>
+        {write.writing ? 'Writing' : write.error ? 'Failed' : 'Done'}:{' '}
+        {write.sent}/{write.total} chunks sent{' '}
+        {write.withResponse ? 'with' : 'without'} response
+      </Text>
+      {write.chunks.map((chunk, index) => (
+        <Text key={index} style={chunk.ok ? styles.subtext : styles.error}>
+          #{index + 1} ({chunk.size} bytes):{' '}
+          {chunk.ok ? 'ok' : 'failed - ' + chunk.error}
+        </Text>
+      ))}
+    </View>
+  );
 }
 
 function BLEWritecharacteristic(ReduxStore) {
+  const characteristic = ReduxStore.selectedCharacteristic;
+  const [withResponse, setWithResponse] = useState(
+    defaultWriteWithResponse(characteristic),
+  );
+  // the settings used on this device last time, or else the preferences
+  const [form, setForm] = useState({
+    text: 'write something to device',
+    // field name -> text, when encoding is 'fields'
+    values: {},
+    encoding: 'utf8',
+    lineEnding: 'lf',
+    customLineEnding: '',
+    chunkSize: '',
+    delay: '',
+    checksum: 'none',
+    placement: 'message',
+    byteOrder: 'big',
+    start: '',
+    end: '',
+    ...ReduxStore.writePreferences,
+    ...ReduxStore.writeSettings,
+  });
+  const [showFraming, setShowFraming] = useState(false);
+  const change = values => setForm({...form, ...values});
+  const writing = Boolean(ReduxStore.write && ReduxStore.write.writing);
+  const fields = formatFields(ReduxStore.format);
+  const encoding =
+    form.encoding === FIELDS_ENCODING.value && !fields ? 'utf8' : form.encoding;
+  const payload = preparePayload({...form, encoding}, ReduxStore.mtu, fields);
 
-  const [text,setText] = useState({'text':'write something to device'});
+  // Macros go out chunked and framed like the form's payload, so nothing is
+  // sent while its framing is invalid.
+  const send = macro => {
+    let options;
+    try {
+      options = writeOptions(form, ReduxStore.mtu);
+    } catch (error) {
+      ReduxStore.reportError(error, {
+        serviceUUID: macro.serviceUUID,
+        characteristicUUID: macro.characteristicUUID,
+      });
+      return;
+    }
+    ReduxStore.sendMacro(macro, options);
+  };
+  const load = macro => {
+    change({
+      encoding: macro.encoding,
+      text: macro.text,
+      lineEnding: macro.lineEnding,
+      customLineEnding: macro.customLineEnding,
+    });
+    if (macro.withResponse !== null) {
+      setWithResponse(macro.withResponse);
+    }
+  };
+  // a payload built from fields is saved as the bytes it came to
+  const save = name =>
+    ReduxStore.saveMacro({
+      name,
+      serviceUUID: ReduxStore.selectedService.uuid,
+      characteristicUUID: characteristic.uuid,
+      ...(encoding === FIELDS_ENCODING.value
+        ? {
+            encoding: 'hex',
+            text: bytesToHex(payload.bytes),
+            lineEnding: 'none',
+            customLineEnding: '',
+          }
+        : {
+            encoding,
+            text: form.text,
+            lineEnding: form.lineEnding,
+            customLineEnding: form.customLineEnding,
+          }),
+      withResponse,
+    });
 
-    return(
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>Write</Text>
+      <OptionPicker
+        options={[
+          {
+            label: 'With response',
+            value: true,
+            disabled: !characteristic.isWritableWithResponse,
+          },
+          {
+            label: 'Without response',
+            value: false,
+            disabled: !characteristic.isWritableWithoutResponse,
+          },
+        ]}
+        selected={withResponse}
+        onSelect={setWithResponse}
+      />
+      <Text style={styles.subtext}>Encoding</Text>
+      <OptionPicker
+        options={fields ? [...ENCODINGS, FIELDS_ENCODING] : ENCODINGS}
+        selected={encoding}
+        onSelect={selected => change({encoding: selected})}
+      />
+      {encoding !== FIELDS_ENCODING.value && (
         <>
-          <Text>{ReduxStore.selectedCharacteristic.uuid}</Text>
-          <Item characteristic={ReduxStore.selectedCharacteristic} />
+          <Text style={styles.subtext}>Line ending</Text>
+          <OptionPicker
+            options={LINE_ENDINGS}
+            selected={form.lineEnding}
+            onSelect={lineEnding => change({lineEnding})}
+          />
+        </>
+      )}
+      {encoding !== FIELDS_ENCODING.value && form.lineEnding === 'custom' && (
+        <TextInput
+          onChangeText={customLineEnding => change({customLineEnding})}
+          style={styles.input}
+          placeholder="e.g. 0D 0A"
+          autoCapitalize="characters"
+          value={form.customLineEnding}
+        />
+      )}
+      <View style={styles.row}>
+        <View style={styles.column}>
+          <Text style={styles.subtext}>Chunk size (MTU {ReduxStore.mtu})</Text>
           <TextInput
-            onChangeText={(text) => setText({text})}
-            style={{ height: 40, color: 'black', borderColor: 'gray', borderWidth: 1 }}
-            value={text.text}
+            onChangeText={chunkSize => change({chunkSize})}
+            style={styles.input}
+            keyboardType="number-pad"
+            placeholder={String(defaultChunkSize(ReduxStore.mtu))}
+            value={form.chunkSize}
           />
-          <Button
-            title="Write"
-            onPress={() => handleClick(ReduxStore,text.text)}
+        </View>
+        <View style={styles.column}>
+          <Text style={styles.subtext}>Delay between chunks (ms)</Text>
+          <TextInput
+            onChangeText={delay => change({delay})}
+            style={styles.input}
+            keyboardType="number-pad"
+            placeholder="0"
+            value={form.delay}
           />
-        </>
-    );
-    }
-//}
+        </View>
+      </View>
+      <Button
+        title={showFraming ? 'Hide framing' : 'Framing'}
+        onPress={() => setShowFraming(!showFraming)}
+      />
+      {showFraming && <Framing form={form} onChange={change} />}
+      {encoding === FIELDS_ENCODING.value ? (
+        <FieldInputs
+          fields={fields}
+          values={form.values}
+          onChange={values => change({values})}
+        />
+      ) : (
+        <TextInput
+          onChangeText={text => change({text})}
+          style={styles.input}
+          autoCapitalize="none"
+          value={form.text}
+        />
+      )}
+      {payload.error ? (
+        <Text style={styles.error}>{payload.error}</Text>
+      ) : (
+        <Text style={styles.preview}>
+          {payload.bytes.length} bytes in {payload.packets.length} packets:
+          {payload.packets.map(packet => '\n' + bytesToHex(packet))}
+        </Text>
+      )}
+      <Button
+        title={writing ? 'Writing...' : 'Write'}
+        disabled={writing || Boolean(payload.error)}
+        onPress={() => {
+          ReduxStore.rememberWriteSettings(form);
+          ReduxStore.writeCharacteristic(
+            payload.bytes,
+            withResponse,
+            payload.options,
+          );
+        }}
+      />
+      <Progress write={ReduxStore.write} />
+      <Macros
+        macros={ReduxStore.macros}
+        onSend={send}
+        onLoad={load}
+        onSave={save}
+        canSave={!payload.error}
+      />
+    </View>
+  );
+}
 
-function mapStateToProps(state){
-  return{
-    selectedCharacteristic: state.BLEs.selectedCharacteristic,
+function mapStateToProps(state) {
+  const {selectedServiceUUID, selectedCharacteristicUUID} = state.BLEs;
+  const key = characteristicKey(
+    selectedServiceUUID,
+    selectedCharacteristicUUID,
+  );
+  return {
+    selectedService: selectSelectedService(state),
+    selectedCharacteristic: selectSelectedCharacteristic(state),
+    mtu: state.BLEs.mtu,
+    writePreferences: state.preferences.write,
+    writeSettings: (selectConnectedKnownDevice(state) || {}).write,
+    macros: characteristicMacros(
+      state.macros.macros,
+      selectedServiceUUID,
+      selectedCharacteristicUUID,
+    ),
+    format: state.formats.definitions[key],
+    write: state.BLEs.characteristicWrites[key],
   };
 }
 
 const mapDispatchToProps = dispatch => ({
-  writeCharacteristic: text => dispatch(writeCharacteristic(text))
-})
+  writeCharacteristic: (bytes, withResponse, options) =>
+    dispatch(writeCharacteristic(bytes, withResponse, options)),
+  sendMacro: (macro, options) => dispatch(sendMacro(macro, options)),
+  reportError: (error, context) =>
+    dispatch(reportError('write', error, context)),
+  saveMacro: macro => dispatch(saveMacro(macro)),
+  rememberWriteSettings: form => dispatch(rememberWriteSettings(form)),
+});
 
-export default connect(mapStateToProps,mapDispatchToProps,null,{ forwardRef: true })(BLEWritecharacteristic);
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  null,
+  {forwardRef: true},
+)(BLEWritecharacteristic);
 
 const styles = StyleSheet.create({
-    container: {
-      flex: 1,
-      marginTop: 2,
-    },
-    item: {
-      backgroundColor: '#f9c2ff',
-      padding: 20,
-      marginVertical: 8,
-      marginHorizontal: 16,
-    },
-    title: {
-      fontSize: 14,
-    },
-    subtext: {
-        fontSize: 10,
-      }
-  });
\ No newline at end of file
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  error: {
+    fontSize: 10,
+    color: 'red',
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  column: {
+    flex: 1,
+    marginRight: 4,
+  },
+  macros: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 4,
+  },
+  macro: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  preview: {
+    fontSize: 10,
+    fontFamily: 'monospace',
+    marginBottom: 8,
+  },
+  input: {
+    height: 40,
+    color: 'black',
+    borderColor: 'gray',
+    borderWidth: 1,
+    marginVertical: 8,
+  },
+});
@@ -1,29 +1,127 @@
-import React, {useState} from 'react';
-import { connect } from 'react-redux';
-import { NavigationContainer } from '@react-navigation/native';
-import { createStackNavigator } from '@react-navigation/stack';
-import { SafeAreaView, View, FlatList, StyleSheet, Text , TextInput,Button} from 'react-native';
-import { writeCharacteristic} from './actions';
-import DataActivityIndicator from './DataActivityIndicator';
+import React from 'react';
+import {connect} from 'react-redux';
+import {SafeAreaView, ScrollView, View, StyleSheet, Text} from 'react-native';
 import BLEReadCharacteristic from './BLEReadCharacteristic';
 import BLEWriteCharacteristic from './BLEWriteCharacteristic';
+import BLENotifyCharacteristic from './BLENotifyCharacteristic';
+import BLEValueFormat from './BLEValueFormat';
+import DeviceDisconnected from './DeviceDisconnected';
+import ErrorBanner from './ErrorBanner';
+import {uuidLabel} from './UUIDNames';
+import {readCharacteristic, subscribeCharacteristic} from './actions';
+import {selectSelectedCharacteristic} from './Selectors';
 
+function Item({characteristic, names}) {
+  return (
+    <View style={styles.item}>
+      <Text style={styles.title}>
+        {uuidLabel(characteristic.uuid, 'characteristic', names)}
+      </Text>
+      <Text style={styles.subtext}>{characteristic.uuid}</Text>
+      <Text style={styles.subtext}>
+        Notifiable: {characteristic.isNotifiable.toString()}
+      </Text>
+      <Text style={styles.subtext}>
+        Notifying: {characteristic.isNotifying.toString()}
+      </Text>
+      <Text style={styles.subtext}>
+        Readable: {characteristic.isReadable.toString()}
+      </Text>
+      <Text style={styles.subtext}>
+        Indicatable: {characteristic.isIndicatable.toString()}
+      </Text>
+      <Text style={styles.subtext}>
+        Writeable with Response:{' '}
+        {characteristic.isWritableWithResponse.toString()}
+      </Text>
+      <Text style={styles.subtext}>
+        Writeable without Response:{' '}
+        {characteristic.isWritableWithoutResponse.toString()}
+      </Text>
+    </View>
+  );
+}
+
+// Every operation the characteristic's properties allow gets its own panel.
 function BLEcharacteristic(ReduxStore) {
-    
-      if(ReduxStore.selectedCharacteristic.isReadable){
-        return(<BLEReadCharacteristic />);
-      } else if(ReduxStore.selectedCharacteristic.isWritableWithResponse || ReduxStore.selectedCharacteristic.isWritableWithoutResponse){
-        return(<BLEWriteCharacteristic />);
-      }
+  const characteristic = ReduxStore.selectedCharacteristic;
+  if (!characteristic.uuid) {
+    return <DeviceDisconnected navigation={ReduxStore.navigation} />;
+  }
+  const readable = characteristic.isReadable;
+  const writable =
+    characteristic.isWritableWithResponse ||
+    characteristic.isWritableWithoutResponse;
+  const notifiable =
+    characteristic.isNotifiable || characteristic.isIndicatable;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView>
+        <Item characteristic={characteristic} names={ReduxStore.uuidNames} />
+        <ErrorBanner
+          sources={['read', 'write', 'notify']}
+          onRetry={{
+            read: ReduxStore.readCharacteristic,
+            notify: error =>
+              ReduxStore.subscribeCharacteristic(
+                error.context.serviceUUID,
+                error.context.characteristicUUID,
+              ),
+          }}
+        />
+        {readable && <BLEReadCharacteristic />}
+        {writable && <BLEWriteCharacteristic />}
+        {notifiable && <BLENotifyCharacteristic />}
+        <BLEValueFormat />
+        {!readable && !writable && !notifiable && (
+          <View style={styles.item}>
+            <Text style={styles.title}>No supported operations</Text>
+            <Text style={styles.subtext}>
+              This characteristic can't be read, written or subscribed to.
+            </Text>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
 }
 
-function mapStateToProps(state){
-  return{
-    selectedCharacteristic: state.BLEs.selectedCharacteristic,
+function mapStateToProps(state) {
+  return {
+    selectedCharacteristic: selectSelectedCharacteristic(state),
+    uuidNames: state.uuidNames.names,
   };
 }
 
 const mapDispatchToProps = dispatch => ({
-})
+  readCharacteristic: () => dispatch(readCharacteristic()),
+  subscribeCharacteristic: (serviceUUID, characteristicUUID) =>
+    dispatch(subscribeCharacteristic(serviceUUID, characteristicUUID)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  null,
+  {forwardRef: true},
+)(BLEcharacteristic);
 
-export default connect(mapStateToProps,mapDispatchToProps,null,{ forwardRef: true })(BLEcharacteristic);
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+});
@@ -1,4 +1,4 @@
-import React, { Component } from 'react';
+import React, {Component} from 'react';
 import {
   Animated,
   Dimensions,
@@ -6,154 +6,377 @@ import {
   StyleSheet,
   Text,
   FlatList,
+  Platform,
   TouchableOpacity,
   TouchableHighlight,
-  View
+  View,
 } from 'react-native';
-import { Container, Header, Content, Footer } from 'native-base';
+import {
+  Container,
+  Header,
+  Content,
+  Footer,
+  Body,
+  Right,
+  Title,
+  Button,
+  Text as ButtonText,
+} from 'native-base';
 import BLE from './BLE';
 import {connect} from 'react-redux';
-import {connectDevice,startScan} from './actions';
+import {
+  connectDevice,
+  removeStaleDevices,
+  rescan,
+  setListOptions,
+  startScan,
+  stopScan,
+} from './actions';
 import DataActivityIndicator from './DataActivityIndicator';
+import ErrorBanner from './ErrorBanner';
+import AdapterStatus from './AdapterStatus';
+import OptionPicker from './OptionPicker';
+import SignalBars from './SignalBars';
+import DeviceFilter from './DeviceFilter';
+import {deviceLabel, matchesFilter} from './Devices';
+import {selectScannedDevices} from './Selectors';
 
+const SORT_OPTIONS = [
+  {label: 'Signal', value: 'rssi'},
+  {label: 'Name', value: 'name'},
+  {label: 'Recent', value: 'recent'},
+];
 
-class BLEList extends Component {
+// Seconds without an advertisement before a device is stale, 0 = never.
+// Without duplicates iOS reports each device once, so none would ever be
+// seen again and every one would go stale.
+const staleSeconds = (listOptions, scanOptions) =>
+  Platform.OS === 'ios' && !scanOptions.allowDuplicates
+    ? 0
+    : listOptions.staleAfter;
+
+// Devices without an RSSI sort last. known is the known devices of the
+// preferences reducer.
+const compareDevices = {
+  rssi: (lastSeen, known) => (a, b) =>
+    (b.rssi === null ? -Infinity : b.rssi) -
+    (a.rssi === null ? -Infinity : a.rssi),
+  name: (lastSeen, known) => (a, b) =>
+    deviceLabel(a, known[a.id]).localeCompare(deviceLabel(b, known[b.id])),
+  recent: (lastSeen, known) => (a, b) =>
+    (lastSeen[b.id] || 0) - (lastSeen[a.id] || 0),
+};
 
-  constructor(props){
+const isFavorite = (device, known) =>
+  Boolean(known[device.id] && known[device.id].favorite);
+
+// Favorites go first, each part sorted by sortBy.
+const sortDevices = (devices, sortBy, lastSeen, known) => {
+  const compare = compareDevices[sortBy](lastSeen, known);
+  return [...devices].sort(
+    (a, b) => isFavorite(b, known) - isFavorite(a, known) || compare(a, b),
+  );
+};
+
+// how often "seen ... ago" and stale devices are refreshed
+const CLOCK_INTERVAL = 1000;
+
+function DeviceRow({
+  device,
+  known,
+  lastSeen,
+  now,
+  stale,
+  onPress,
+  onLongPress,
+}) {
+  const seenAgo = Math.max(0, Math.round((now - lastSeen) / 1000));
+  // isConnectable is null when the platform doesn't say, so let it try
+  const connectable = device.isConnectable !== false;
+  return (
+    <TouchableHighlight
+      onPress={connectable ? onPress : undefined}
+      onLongPress={onLongPress}
+      style={[styles.rowFront, stale && styles.stale]}
+      underlayColor={'#AAA'}>
+      <View style={styles.row}>
+        <SignalBars rssi={stale ? null : device.rssi} />
+        <View style={styles.rowText}>
+          <Text>
+            {known && known.favorite ? '★ ' : ''}
+            {connectable ? 'Tap to connect to: ' : 'Not connectable: '}
+            {deviceLabel(device, known)}
+          </Text>
+          <Text style={styles.subtext}>
+            {device.rssi !== null ? `${device.rssi} dBm` : 'No RSSI'}
+            {device.txPowerLevel !== null
+              ? `, tx power ${device.txPowerLevel} dBm`
+              : ''}
+            {lastSeen ? `, seen ${seenAgo}s ago` : ''}
+          </Text>
+        </View>
+      </View>
+    </TouchableHighlight>
+  );
+}
+
+class BLEList extends Component {
+  constructor(props) {
     super(props);
+    this.state = {now: Date.now(), showFilter: false};
     this.props.startScan();
   }
 
-  
-  
-  handleClick = (device) => {
-    this.props.connectDevice(device);
-    this.props.navigation.navigate('BLEServices');
+  componentDidMount() {
+    this.clock = setInterval(this.tick, CLOCK_INTERVAL);
   }
 
-  render() {     
+  componentWillUnmount() {
+    clearInterval(this.clock);
+  }
+
+  tick = () => {
+    const now = Date.now();
+    const {staleAfter} = this.props;
+    const {removeStale} = this.props.listOptions;
+    this.setState({now});
+    if (removeStale && staleAfter > 0) {
+      this.props.removeStaleDevices(now - staleAfter * 1000);
+    }
+  };
+
+  isStale = device => {
+    const {staleAfter} = this.props;
+    return (
+      staleAfter > 0 &&
+      device.id !== this.props.connectedDeviceId &&
+      this.state.now - this.props.lastSeen[device.id] > staleAfter * 1000
+    );
+  };
+
+  handleClick = device => {
+    this.props.connectDevice(device.id);
+    this.props.navigation.navigate('BLEServices');
+  };
+
+  toggleScan = () => {
+    if (this.props.scanRequested) {
+      this.props.stopScan();
+    } else {
+      this.props.startScan();
+    }
+  };
+
+  render() {
     return (
       <Container>
-        <Header />
+        <Header>
+          <Body>
+            <Title>{this.props.scanning ? 'Scanning...' : 'Devices'}</Title>
+          </Body>
+          <Right>
+            <Button transparent onPress={this.toggleScan}>
+              <ButtonText>
+                {this.props.scanRequested ? 'Stop' : 'Scan'}
+              </ButtonText>
+            </Button>
+            <Button
+              transparent
+              onPress={() =>
+                this.setState({showFilter: !this.state.showFilter})
+              }>
+              <ButtonText>Filter</ButtonText>
+            </Button>
+            <Button
+              transparent
+              onPress={() => this.props.navigation.navigate('ScanSettings')}>
+              <ButtonText>Options</ButtonText>
+            </Button>
+          </Right>
+        </Header>
+        <AdapterStatus />
+        <ErrorBanner
+          sources={['adapter', 'scan']}
+          onRetry={{scan: () => this.props.startScan()}}
+        />
+        {this.state.showFilter && <DeviceFilter />}
+        <View style={styles.sort}>
+          <Text>Sort by </Text>
+          <OptionPicker
+            options={SORT_OPTIONS}
+            selected={this.props.listOptions.sortBy}
+            onSelect={sortBy => this.props.setListOptions({sortBy})}
+          />
+        </View>
         <FlatList
-                data={this.props.BLEList}
-                renderItem={({ item }) => 
-                <>
-                <TouchableHighlight
-                    onPress={() => this.handleClick(item)}
-                    style={styles.rowFront}
-                    underlayColor={'#AAA'}
-                >
-                    <View>
-                        <Text>
-                            Tap to connect to: {item.name}
-                        </Text>
-                    </View>
-                </TouchableHighlight>
-                </>
-                }
-                keyExtractor={item => item.id.toString()}
-                ListEmptyComponent={DataActivityIndicator}
+          data={sortDevices(
+            this.props.devices.filter(device =>
+              matchesFilter(device, this.props.deviceFilter),
+            ),
+            this.props.listOptions.sortBy,
+            this.props.lastSeen,
+            this.props.knownDevices,
+          )}
+          extraData={this.state.now}
+          renderItem={({item}) => (
+            <DeviceRow
+              device={item}
+              known={this.props.knownDevices[item.id]}
+              lastSeen={this.props.lastSeen[item.id]}
+              now={this.state.now}
+              stale={this.isStale(item)}
+              onPress={() => this.handleClick(item)}
+              onLongPress={() =>
+                this.props.navigation.navigate('Advertisement', {
+                  deviceId: item.id,
+                })
+              }
             />
-        
+          )}
+          keyExtractor={item => item.id.toString()}
+          refreshing={false}
+          onRefresh={this.props.rescan}
+          ListEmptyComponent={
+            this.props.adapterState === 'PoweredOn' && this.props.scanning
+              ? DataActivityIndicator
+              : null
+          }
+        />
 
         <Footer>
-          <BLE></BLE>
+          <BLE />
         </Footer>
       </Container>
     );
   }
 }
 
-function mapStateToProps(state){
-  return{
-    BLEList : state.BLEs['BLEList']
+function mapStateToProps(state) {
+  return {
+    devices: selectScannedDevices(state),
+    adapterState: state.BLEs.adapterState,
+    scanning: state.BLEs.scanning,
+    scanRequested: state.BLEs.scanRequested,
+    lastSeen: state.BLEs.lastSeen,
+    listOptions: state.BLEs.listOptions,
+    staleAfter: staleSeconds(state.BLEs.listOptions, state.BLEs.scanOptions),
+    deviceFilter: state.BLEs.deviceFilter,
+    connectedDeviceId: state.BLEs.connectedDeviceId,
+    knownDevices: state.preferences.devices,
   };
 }
 
 const mapDispatchToProps = dispatch => ({
-  connectDevice: device => dispatch(connectDevice(device)),
-  startScan: () => dispatch(startScan())
-})
+  connectDevice: id => dispatch(connectDevice(id)),
+  startScan: () => dispatch(startScan()),
+  stopScan: () => dispatch(stopScan()),
+  rescan: () => dispatch(rescan()),
+  setListOptions: options => dispatch(setListOptions(options)),
+  removeStaleDevices: before => dispatch(removeStaleDevices(before)),
+});
 
 const styles = StyleSheet.create({
   container: {
-      backgroundColor: 'white',
-      flex: 1,
+    backgroundColor: 'white',
+    flex: 1,
   },
   standalone: {
-      marginTop: 30,
-      marginBottom: 30,
+    marginTop: 30,
+    marginBottom: 30,
   },
   standaloneRowFront: {
-      alignItems: 'center',
-      backgroundColor: '#CCC',
-      justifyContent: 'center',
-      height: 50,
+    alignItems: 'center',
+    backgroundColor: '#CCC',
+    justifyContent: 'center',
+    height: 50,
   },
   standaloneRowBack: {
-      alignItems: 'center',
-      backgroundColor: '#8BC645',
-      flex: 1,
-      flexDirection: 'row',
-      justifyContent: 'space-between',
-      padding: 15,
+    alignItems: 'center',
+    backgroundColor: '#8BC645',
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: 15,
   },
   backTextWhite: {
-      color: '#FFF',
+    color: '#FFF',
+  },
+  row: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+  stale: {
+    opacity: 0.4,
+  },
+  sort: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
   },
   rowFront: {
-      alignItems: 'center',
-      backgroundColor: '#CCC',
-      borderBottomColor: 'black',
-      borderBottomWidth: 1,
-      justifyContent: 'center',
-      height: 50,
+    alignItems: 'center',
+    backgroundColor: '#CCC',
+    borderBottomColor: 'black',
+    borderBottomWidth: 1,
+    justifyContent: 'center',
+    height: 50,
   },
   rowBack: {
-      alignItems: 'center',
-      backgroundColor: '#DDD',
-      flex: 1,
-      flexDirection: 'row',
-      justifyContent: 'space-between',
-      paddingLeft: 15,
+    alignItems: 'center',
+    backgroundColor: '#DDD',
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingLeft: 15,
   },
   backRightBtn: {
-      alignItems: 'center',
-      bottom: 0,
-      justifyContent: 'center',
-      position: 'absolute',
-      top: 0,
-      width: 75,
+    alignItems: 'center',
+    bottom: 0,
+    justifyContent: 'center',
+    position: 'absolute',
+    top: 0,
+    width: 75,
   },
   backRightBtnLeft: {
-      backgroundColor: 'blue',
-      right: 75,
+    backgroundColor: 'blue',
+    right: 75,
   },
   backRightBtnRight: {
-      backgroundColor: 'red',
-      right: 0,
+    backgroundColor: 'red',
+    right: 0,
   },
   controls: {
-      alignItems: 'center',
-      marginBottom: 30,
+    alignItems: 'center',
+    marginBottom: 30,
   },
   switchContainer: {
-      flexDirection: 'row',
-      justifyContent: 'center',
-      marginBottom: 5,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 5,
   },
   switch: {
-      alignItems: 'center',
-      borderWidth: 1,
-      borderColor: 'black',
-      paddingVertical: 10,
-      width: Dimensions.get('window').width / 4,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: 'black',
+    paddingVertical: 10,
+    width: Dimensions.get('window').width / 4,
   },
   trash: {
-      height: 25,
-      width: 25,
+    height: 25,
+    width: 25,
   },
 });
 
-export default connect(mapStateToProps,mapDispatchToProps)(BLEList);
\ No newline at end of file
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(BLEList);
@@ -1,75 +1,346 @@
-import React from 'react';
-import { connect } from 'react-redux';
-import { NavigationContainer } from '@react-navigation/native';
-import { createStackNavigator } from '@react-navigation/stack';
-import { SafeAreaView, View, FlatList, StyleSheet, Text,TouchableHighlight } from 'react-native';
-import {selectedService,getServiceCharacteristics} from './actions';
+import React, {useCallback, useLayoutEffect, useState} from 'react';
+import {connect} from 'react-redux';
+import {useFocusEffect} from '@react-navigation/native';
+import {HeaderBackButton} from '@react-navigation/stack';
+import {
+  SafeAreaView,
+  View,
+  FlatList,
+  StyleSheet,
+  Text,
+  TouchableHighlight,
+  Alert,
+  BackHandler,
+  Button,
+} from 'react-native';
+import {selectCharacteristic, connectDevice, disconnectDevice} from './actions';
+import BLEDescriptors from './BLEDescriptors';
 import DataActivityIndicator from './DataActivityIndicator';
+import DeviceDisconnected from './DeviceDisconnected';
+import ErrorBanner from './ErrorBanner';
+import {deviceLabel} from './Devices';
+import {
+  characteristicKey,
+  characteristicProperties,
+  gattCharacteristics,
+  gattServices,
+  userDescription,
+} from './Gatt';
+import {
+  selectConnectedDevice,
+  selectConnectedGatt,
+  selectConnectedKnownDevice,
+} from './Selectors';
+import {uuidLabel, uuidName} from './UUIDNames';
 
-function Item({ service }) {
-    return (
-      <View style={styles.item}>
-        <Text style={styles.title}>{service.uuid}</Text>
-        <Text style={styles.subtextss}>Primary: {service.isPrimary.toString()}</Text>
+function Characteristic({
+  characteristic,
+  names,
+  description,
+  expanded,
+  onToggle,
+  onOpen,
+  onLongPress,
+}) {
+  return (
+    <TouchableHighlight
+      onPress={onToggle}
+      onLongPress={onLongPress}
+      underlayColor={'#AAA'}>
+      <View style={styles.characteristic}>
+        <Text style={styles.title}>
+          {expanded ? '▾ ' : '▸ '}
+          {!uuidName(characteristic.uuid, 'characteristic', names) &&
+          description
+            ? description
+            : uuidLabel(characteristic.uuid, 'characteristic', names)}
+        </Text>
+        <Text style={styles.subtext}>{characteristic.uuid}</Text>
+        <Text style={styles.subtext}>
+          Properties:{' '}
+          {characteristicProperties(characteristic).join(', ') || 'none'}
+        </Text>
+        {expanded && (
+          <View>
+            <BLEDescriptors
+              serviceUUID={characteristic.serviceUUID}
+              characteristicUUID={characteristic.uuid}
+            />
+            <Button title="Open" onPress={onOpen} />
+          </View>
+        )}
       </View>
-    );
+    </TouchableHighlight>
+  );
+}
+
+const openCharacteristic = (BLEServices, service, characteristic) => {
+  BLEServices.selectCharacteristic(service, characteristic);
+  BLEServices.navigation.navigate('BLECharacteristic');
+};
+
+// The characteristic last opened on this device, in an earlier connection
+// too, if the device still has it.
+function LastUsed({BLEServices}) {
+  const used = BLEServices.known && BLEServices.known.characteristic;
+  const gatt = BLEServices.gatt;
+  const characteristic =
+    used &&
+    gatt &&
+    gatt.characteristics[
+      characteristicKey(used.serviceUUID, used.characteristicUUID)
+    ];
+  if (!characteristic) {
+    return null;
   }
+  return (
+    <View style={[styles.item, styles.lastUsed]}>
+      <View style={styles.lastUsedText}>
+        <Text style={styles.subtext}>Last used</Text>
+        <Text style={styles.title}>
+          {uuidLabel(
+            characteristic.uuid,
+            'characteristic',
+            BLEServices.uuidNames,
+          )}
+        </Text>
+      </View>
+      <Button
+        title="Open"
+        onPress={() =>
+          openCharacteristic(
+            BLEServices,
+            gatt.services[characteristic.serviceUUID],
+            characteristic,
+          )
+        }
+      />
+    </View>
+  );
+}
+
+function Service({service, BLEServices, expanded, toggle}) {
+  const open = characteristic =>
+    openCharacteristic(BLEServices, service, characteristic);
+  const editName = uuid => BLEServices.navigation.navigate('UUIDNames', {uuid});
+  return (
+    <View style={styles.item}>
+      <TouchableHighlight
+        onPress={() => toggle(service.uuid)}
+        onLongPress={() => editName(service.uuid)}
+        underlayColor={'#AAA'}>
+        <View>
+          <Text style={styles.title}>
+            {expanded[service.uuid] ? '▾ ' : '▸ '}
+            {uuidLabel(service.uuid, 'service', BLEServices.uuidNames)}
+          </Text>
+          <Text style={styles.subtext}>{service.uuid}</Text>
+          <Text style={styles.subtext}>
+            Primary: {service.isPrimary.toString()}
+          </Text>
+        </View>
+      </TouchableHighlight>
+      {expanded[service.uuid] &&
+        gattCharacteristics(BLEServices.gatt, service.uuid).map(
+          characteristic => {
+            const key = characteristicKey(service.uuid, characteristic.uuid);
+            return (
+              <Characteristic
+                key={key}
+                characteristic={characteristic}
+                names={BLEServices.uuidNames}
+                description={userDescription(
+                  BLEServices.descriptorValues,
+                  service.uuid,
+                  characteristic.uuid,
+                )}
+                expanded={Boolean(expanded[key])}
+                onToggle={() => toggle(key)}
+                onOpen={() => open(characteristic)}
+                onLongPress={() => editName(characteristic.uuid)}
+              />
+            );
+          },
+        )}
+    </View>
+  );
+}
+
+function retryConnect(BLEServices, error) {
+  BLEServices.connectDevice(error.context.deviceId);
+}
 
-function handleClick (BLEServices,serviceId){
-    BLEServices.selectedService(serviceId);
-    BLEServices.navigation.navigate('BLECharacteristics');
+// Leaving the device's services is the natural point to let go of it, so
+// ask whether to disconnect instead of silently staying connected.
+function confirmLeave(BLEServices) {
+  const navigation = BLEServices.navigation;
+  if (!BLEServices.connectedDevice.id) {
+    navigation.goBack();
+    return;
+  }
+  Alert.alert(
+    'Leave device',
+    `Disconnect from ${deviceLabel(
+      BLEServices.connectedDevice,
+      BLEServices.known,
+    )}?`,
+    [
+      {text: 'Cancel', style: 'cancel'},
+      {text: 'Stay connected', onPress: () => navigation.goBack()},
+      {
+        text: 'Disconnect',
+        style: 'destructive',
+        onPress: () => {
+          BLEServices.disconnectDevice();
+          navigation.goBack();
+        },
+      },
+    ],
+  );
 }
 
+// The connected device's GATT tree: services expand into their
+// characteristics, characteristics into their descriptors.
 function BLEservices(BLEServices) {
-    return(
-        <SafeAreaView style={styles.container}>
-            <FlatList
-                data={BLEServices.connectedDeviceServices}
-                renderItem={({ item }) => 
-                <TouchableHighlight
-                    onPress={() => handleClick(BLEServices,item)}
-                    style={styles.rowFront}
-                    underlayColor={'#AAA'}
-                >
-                    <Item service={item} />
-                    </TouchableHighlight>
-                }
-                keyExtractor={item => item.id.toString()}
-                ListEmptyComponent={DataActivityIndicator}
-            />
-            
-        </SafeAreaView>
+  // service UUIDs and characteristic keys that are expanded
+  const [expanded, setExpanded] = useState({});
+  const toggle = key => setExpanded({...expanded, [key]: !expanded[key]});
+
+  useLayoutEffect(() => {
+    BLEServices.navigation.setOptions({
+      headerLeft: props => (
+        <HeaderBackButton
+          {...props}
+          onPress={() => confirmLeave(BLEServices)}
+        />
+      ),
+      headerRight: () => (
+        <View style={styles.headerButtons}>
+          <Button
+            title="Terminal"
+            disabled={!BLEServices.gatt}
+            onPress={() => BLEServices.navigation.navigate('Terminal')}
+          />
+          <Button
+            title="Macros"
+            onPress={() => BLEServices.navigation.navigate('Macros')}
+          />
+          <Button
+            title="Export"
+            disabled={!BLEServices.gatt}
+            onPress={() => BLEServices.navigation.navigate('ExportProfile')}
+          />
+        </View>
+      ),
+    });
+  });
+
+  useFocusEffect(
+    useCallback(() => {
+      const onBack = () => {
+        confirmLeave(BLEServices);
+        return true;
+      };
+      BackHandler.addEventListener('hardwareBackPress', onBack);
+      return () => BackHandler.removeEventListener('hardwareBackPress', onBack);
+    }, [BLEServices]),
+  );
+
+  const errors = (
+    <ErrorBanner
+      sources={['connect', 'disconnect']}
+      onRetry={{connect: error => retryConnect(BLEServices, error)}}
+    />
+  );
+
+  if (BLEServices.status === 'disconnected') {
+    return (
+      <>
+        {errors}
+        <DeviceDisconnected navigation={BLEServices.navigation} />
+      </>
     );
-    }
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {errors}
+      <FlatList
+        data={gattServices(BLEServices.gatt)}
+        renderItem={({item}) => (
+          <Service
+            service={item}
+            BLEServices={BLEServices}
+            expanded={expanded}
+            toggle={toggle}
+          />
+        )}
+        keyExtractor={item => item.uuid}
+        extraData={expanded}
+        ListHeaderComponent={<LastUsed BLEServices={BLEServices} />}
+        ListEmptyComponent={DataActivityIndicator}
+      />
+    </SafeAreaView>
+  );
+}
 //}
 
-function mapStateToProps(state){
-  return{
-    connectedDeviceServices:state.BLEs.connectedDeviceServices
+function mapStateToProps(state) {
+  return {
+    connectedDevice: selectConnectedDevice(state),
+    gatt: selectConnectedGatt(state),
+    descriptorValues: state.BLEs.descriptorValues,
+    status: state.BLEs.status,
+    uuidNames: state.uuidNames.names,
+    known: selectConnectedKnownDevice(state),
   };
 }
 
 const mapDispatchToProps = dispatch => ({
-    selectedService: service => dispatch(selectedService(service))
-})
+  selectCharacteristic: (service, characteristic) =>
+    dispatch(selectCharacteristic(service, characteristic)),
+  connectDevice: id => dispatch(connectDevice(id)),
+  disconnectDevice: () => dispatch(disconnectDevice()),
+});
 
-export default connect(mapStateToProps,mapDispatchToProps,null,{ forwardRef: true })(BLEservices);
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  null,
+  {forwardRef: true},
+)(BLEservices);
 
 const styles = StyleSheet.create({
-    container: {
-      flex: 1,
-      marginTop: 2,
-    },
-    item: {
-      backgroundColor: '#f9c2ff',
-      padding: 20,
-      marginVertical: 8,
-      marginHorizontal: 16,
-    },
-    title: {
-      fontSize: 14,
-    },
-    subtext: {
-        fontSize: 10,
-      },
-  });
\ No newline at end of file
+  container: {
+    flex: 1,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#f9c2ff',
+    padding: 20,
+    marginVertical: 8,
+    marginHorizontal: 16,
+  },
+  headerButtons: {
+    flexDirection: 'row',
+  },
+  lastUsed: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  lastUsedText: {
+    flex: 1,
+  },
+  characteristic: {
+    marginTop: 8,
+    marginLeft: 8,
+    padding: 8,
+    backgroundColor: '#fbd9ff',
+  },
+  title: {
+    fontSize: 14,
+  },
+  subtext: {
+    fontSize: 10,
+  },
+});
@@ -0,0 +1,80 @@
+// Checksums that can be appended to outgoing frames. Each algorithm takes a
+// Uint8Array (or array of bytes) and returns an unsigned integer.
+
+// 255 minus the byte sum modulo 256.
+export const sum8 = bytes => {
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    sum = (sum + bytes[i]) & 0xff;
+  }
+  return 255 - sum;
+};
+
+// CRC-8 (poly 0x07, init 0x00, no reflection, no final xor)
+export const crc8 = bytes => {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+};
+
+// CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF, no reflection, no final xor)
+export const crc16ccitt = bytes => {
+  let crc = 0xffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i] << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+};
+
+let crc32Table;
+
+// CRC-32 as used by zip and ethernet (poly 0x04C11DB7 reflected)
+export const crc32 = bytes => {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let bit = 0; bit < 8; bit++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+export const CHECKSUMS = [
+  {label: 'None', value: 'none', size: 0, compute: () => 0},
+  {label: 'Sum8', value: 'sum8', size: 1, compute: sum8},
+  {label: 'CRC-8', value: 'crc8', size: 1, compute: crc8},
+  {label: 'CRC-16/CCITT', value: 'crc16', size: 2, compute: crc16ccitt},
+  {label: 'CRC-32', value: 'crc32', size: 4, compute: crc32},
+];
+
+export const checksumSize = algorithm =>
+  CHECKSUMS.find(checksum => checksum.value === algorithm).size;
+
+// The checksum of bytes serialized as it goes on the wire, byteOrder being
+// 'big' or 'little'.
+export const checksumBytes = (algorithm, bytes, byteOrder = 'big') => {
+  const checksum = CHECKSUMS.find(candidate => candidate.value === algorithm);
+  const value = checksum.compute(bytes);
+  const output = new Uint8Array(checksum.size);
+  for (let i = 0; i < checksum.size; i++) {
+    const shift = byteOrder === 'little' ? i * 8 : (checksum.size - 1 - i) * 8;
+    output[i] = (value >>> shift) & 0xff;
+  }
+  return output;
+};
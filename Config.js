@@ -0,0 +1,6 @@
+// Build-time switches.
+
+// Runs the app against the virtual peripherals of fixtures/peripherals.json
+// (see SimulatedBleManager.js) instead of the Bluetooth adapter, for demos on
+// emulators, which have none.
+export const SIMULATE_BLE = false;
@@ -0,0 +1,61 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import {View, StyleSheet, Text} from 'react-native';
+import {characteristicKey} from './actions';
+import {decodeValue} from './Decoders';
+
+// The fields of a value from a characteristic with a known or user-defined
+// format, see Decoders.js. Renders nothing for other characteristics.
+const DecodedValue = ({characteristicUUID, bytes, title, definition}) => {
+  const decoded = decodeValue(
+    characteristicUUID,
+    bytes,
+    definition && definition.format,
+  );
+  if (!decoded) {
+    return null;
+  }
+  return (
+    <View>
+      {title && <Text style={styles.title}>{title}</Text>}
+      {decoded.error ? (
+        <Text style={styles.error}>Can't decode: {decoded.error}</Text>
+      ) : (
+        decoded.fields.map(field => (
+          <Text key={field.label} selectable style={styles.field}>
+            {field.label}: <Text style={styles.value}>{field.value}</Text>
+          </Text>
+        ))
+      )}
+    </View>
+  );
+};
+
+function mapStateToProps(state, ownProps) {
+  return {
+    definition:
+      state.formats.definitions[
+        characteristicKey(ownProps.serviceUUID, ownProps.characteristicUUID)
+      ],
+  };
+}
+
+export default connect(mapStateToProps)(DecodedValue);
+
+const styles = StyleSheet.create({
+  title: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  field: {
+    fontSize: 12,
+  },
+  value: {
+    fontWeight: 'bold',
+  },
+  error: {
+    fontSize: 12,
+    color: 'red',
+  },
+});
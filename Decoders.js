@@ -0,0 +1,369 @@
+// Parsers for the values of well-known SIG characteristics and descriptors,
+// keyed by their 16-bit UUID. A decoder takes the value's bytes and returns
+// labelled fields, [{label, value}], or throws when the bytes don't fit the
+// format.
+import {bytesToUtf8} from './Encoding';
+import {shortUUID} from './UUID';
+import {UNITS} from './AssignedNumbers';
+import {companyLabel} from './UUIDNames';
+import {decodeFormat, parseFormat} from './ValueFormat';
+
+const need = (bytes, length) => {
+  if (bytes.length < length) {
+    throw new Error(`Expected at least ${length} bytes, got ${bytes.length}`);
+  }
+};
+
+const uint16le = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+const hex16 = value =>
+  `0x${value
+    .toString(16)
+    .toUpperCase()
+    .padStart(4, '0')}`;
+
+const pad = value => String(value).padStart(2, '0');
+
+// IEEE 11073-20601 FLOAT: 24-bit signed mantissa, 8-bit signed base-10
+// exponent, with a few reserved mantissas for special values.
+const FLOAT_SPECIAL = {
+  0x7fffff: 'NaN',
+  0x800000: 'NRes',
+  0x7ffffe: '+INFINITY',
+  0x800002: '-INFINITY',
+  0x800001: 'Reserved',
+};
+
+export const ieee11073Float = (bytes, offset) => {
+  need(bytes, offset + 4);
+  const raw =
+    bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+  if (FLOAT_SPECIAL[raw]) {
+    return FLOAT_SPECIAL[raw];
+  }
+  const mantissa = raw >= 0x800000 ? raw - 0x1000000 : raw;
+  const exponent =
+    bytes[offset + 3] > 0x7f ? bytes[offset + 3] - 0x100 : bytes[offset + 3];
+  // dividing keeps 365e-1 at 36.5 instead of 36.500000000000004
+  return exponent < 0
+    ? mantissa / Math.pow(10, -exponent)
+    : mantissa * Math.pow(10, exponent);
+};
+
+// Date Time: year (uint16, 0 = unknown), month, day, hours, minutes, seconds.
+const dateTime = (bytes, offset) => {
+  need(bytes, offset + 7);
+  const year = uint16le(bytes, offset);
+  const [month, day, hours, minutes, seconds] = bytes.slice(
+    offset + 2,
+    offset + 7,
+  );
+  return `${year || '????'}-${month ? pad(month) : '??'}-${
+    day ? pad(day) : '??'
+  } ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+};
+
+const DAYS_OF_WEEK = [
+  'Unknown',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+  'Sunday',
+];
+
+const ADJUST_REASONS = [
+  'Manual time update',
+  'External reference time update',
+  'Change of time zone',
+  'Change of DST',
+];
+
+const TEMPERATURE_TYPES = [
+  'Reserved',
+  'Armpit',
+  'Body (general)',
+  'Ear (usually ear lobe)',
+  'Finger',
+  'Gastro-intestinal tract',
+  'Mouth',
+  'Rectum',
+  'Toe',
+  'Tympanum (ear drum)',
+];
+
+const BODY_SENSOR_LOCATIONS = [
+  'Other',
+  'Chest',
+  'Wrist',
+  'Finger',
+  'Hand',
+  'Ear Lobe',
+  'Foot',
+];
+
+const lookup = (table, value) => table[value] || `Reserved (${value})`;
+
+// Strings are often padded or terminated with NULs.
+const utf8String = bytes => [
+  {label: 'Value', value: bytesToUtf8(bytes).replace(/\0+$/, '')},
+];
+
+const batteryLevel = bytes => {
+  need(bytes, 1);
+  return [{label: 'Battery level', value: `${bytes[0]} %`}];
+};
+
+const heartRateMeasurement = bytes => {
+  need(bytes, 2);
+  const flags = bytes[0];
+  const wide = flags & 0x01;
+  const fields = [];
+  let offset = 1;
+  need(bytes, offset + (wide ? 2 : 1));
+  fields.push({
+    label: 'Heart rate',
+    value: `${wide ? uint16le(bytes, offset) : bytes[offset]} bpm`,
+  });
+  offset += wide ? 2 : 1;
+  if (flags & 0x04) {
+    fields.push({
+      label: 'Sensor contact',
+      value: flags & 0x02 ? 'detected' : 'not detected',
+    });
+  }
+  if (flags & 0x08) {
+    need(bytes, offset + 2);
+    fields.push({
+      label: 'Energy expended',
+      value: `${uint16le(bytes, offset)} kJ`,
+    });
+    offset += 2;
+  }
+  if (flags & 0x10) {
+    const intervals = [];
+    for (; offset + 1 < bytes.length; offset += 2) {
+      // in 1/1024 seconds
+      intervals.push(
+        `${Math.round((uint16le(bytes, offset) * 1000) / 1024)} ms`,
+      );
+    }
+    fields.push({label: 'RR intervals', value: intervals.join(', ')});
+  }
+  return fields;
+};
+
+const temperatureMeasurement = bytes => {
+  need(bytes, 5);
+  const flags = bytes[0];
+  const fields = [
+    {
+      label: 'Temperature',
+      value: `${ieee11073Float(bytes, 1)} ${flags & 0x01 ? '°F' : '°C'}`,
+    },
+  ];
+  let offset = 5;
+  if (flags & 0x02) {
+    fields.push({label: 'Time stamp', value: dateTime(bytes, offset)});
+    offset += 7;
+  }
+  if (flags & 0x04) {
+    need(bytes, offset + 1);
+    fields.push({
+      label: 'Temperature type',
+      value: lookup(TEMPERATURE_TYPES, bytes[offset]),
+    });
+  }
+  return fields;
+};
+
+const temperatureType = bytes => {
+  need(bytes, 1);
+  return [
+    {label: 'Temperature type', value: lookup(TEMPERATURE_TYPES, bytes[0])},
+  ];
+};
+
+const bodySensorLocation = bytes => {
+  need(bytes, 1);
+  return [{label: 'Location', value: lookup(BODY_SENSOR_LOCATIONS, bytes[0])}];
+};
+
+const VENDOR_ID_SOURCES = {1: 'Bluetooth SIG', 2: 'USB Implementer’s Forum'};
+
+const pnpId = bytes => {
+  need(bytes, 7);
+  const source = bytes[0];
+  const vendor = uint16le(bytes, 1);
+  const version = uint16le(bytes, 5);
+  return [
+    {
+      label: 'Vendor ID source',
+      value: VENDOR_ID_SOURCES[source] || `Reserved (${source})`,
+    },
+    {
+      label: 'Vendor ID',
+      value: source === 1 ? companyLabel(vendor) : hex16(vendor),
+    },
+    {label: 'Product ID', value: hex16(uint16le(bytes, 3))},
+    // 0xJJMN is version JJ.M.N
+    {
+      label: 'Product version',
+      value: `${version >> 8}.${(version >> 4) & 0x0f}.${version & 0x0f}`,
+    },
+  ];
+};
+
+const currentTime = bytes => {
+  need(bytes, 10);
+  const reasons = ADJUST_REASONS.filter((reason, bit) => bytes[9] & (1 << bit));
+  return [
+    {label: 'Date and time', value: dateTime(bytes, 0)},
+    {
+      label: 'Day of week',
+      value: DAYS_OF_WEEK[bytes[7]] || `Reserved (${bytes[7]})`,
+    },
+    {label: 'Fractions', value: `${bytes[8]}/256 s`},
+    {
+      label: 'Adjust reason',
+      value: reasons.length > 0 ? reasons.join(', ') : 'none',
+    },
+  ];
+};
+
+export const DECODERS = {
+  0x2a00: utf8String, // Device Name
+  0x2a19: batteryLevel,
+  0x2a1c: temperatureMeasurement,
+  0x2a1d: temperatureType,
+  0x2a1e: temperatureMeasurement, // Intermediate Temperature
+  0x2a24: utf8String, // Model Number String
+  0x2a25: utf8String, // Serial Number String
+  0x2a26: utf8String, // Firmware Revision String
+  0x2a27: utf8String, // Hardware Revision String
+  0x2a28: utf8String, // Software Revision String
+  0x2a29: utf8String, // Manufacturer Name String
+  0x2a2b: currentTime,
+  0x2a37: heartRateMeasurement,
+  0x2a38: bodySensorLocation,
+  0x2a50: pnpId,
+};
+
+// {fields} for characteristics with a decoder, {error} when the value didn't
+// decode, null for characteristics we don't know. A user format (see
+// ValueFormat.js) takes precedence over the SIG decoders.
+export const decodeValue = (characteristicUUID, bytes, format) => {
+  const decoder = format
+    ? value => decodeFormat(parseFormat(format), value)
+    : DECODERS[shortUUID(characteristicUUID)];
+  if (!decoder) {
+    return null;
+  }
+  try {
+    return {fields: decoder(bytes)};
+  } catch (error) {
+    return {error: error.message};
+  }
+};
+
+const enabled = (bits, mask) => (bits & mask ? 'enabled' : 'disabled');
+
+const extendedProperties = bytes => {
+  need(bytes, 2);
+  const bits = uint16le(bytes, 0);
+  return [
+    {label: 'Reliable write', value: enabled(bits, 0x0001)},
+    {label: 'Writable auxiliaries', value: enabled(bits, 0x0002)},
+  ];
+};
+
+const clientConfiguration = bytes => {
+  need(bytes, 2);
+  const bits = uint16le(bytes, 0);
+  return [
+    {label: 'Notifications', value: enabled(bits, 0x0001)},
+    {label: 'Indications', value: enabled(bits, 0x0002)},
+  ];
+};
+
+const serverConfiguration = bytes => {
+  need(bytes, 2);
+  return [{label: 'Broadcasts', value: enabled(uint16le(bytes, 0), 0x0001)}];
+};
+
+const PRESENTATION_FORMATS = [
+  'Reserved',
+  'boolean',
+  '2bit',
+  'nibble',
+  'uint8',
+  'uint12',
+  'uint16',
+  'uint24',
+  'uint32',
+  'uint48',
+  'uint64',
+  'uint128',
+  'sint8',
+  'sint12',
+  'sint16',
+  'sint24',
+  'sint32',
+  'sint48',
+  'sint64',
+  'sint128',
+  'float32',
+  'float64',
+  'SFLOAT',
+  'FLOAT',
+  'duint16',
+  'utf8s',
+  'utf16s',
+  'struct',
+];
+
+// format, base-10 exponent, unit, namespace and namespace description; the
+// characteristic's value is the raw number times 10^exponent.
+const presentationFormat = bytes => {
+  need(bytes, 7);
+  const unit = uint16le(bytes, 2);
+  return [
+    {label: 'Format', value: lookup(PRESENTATION_FORMATS, bytes[0])},
+    {
+      label: 'Exponent',
+      value: String(bytes[1] > 0x7f ? bytes[1] - 0x100 : bytes[1]),
+    },
+    {
+      label: 'Unit',
+      value: UNITS[unit] ? `${UNITS[unit]} (${hex16(unit)})` : hex16(unit),
+    },
+    {
+      label: 'Namespace',
+      value: bytes[4] === 1 ? 'Bluetooth SIG' : `Reserved (${bytes[4]})`,
+    },
+    {label: 'Description', value: hex16(uint16le(bytes, 5))},
+  ];
+};
+
+export const DESCRIPTOR_DECODERS = {
+  0x2900: extendedProperties,
+  0x2901: utf8String, // Characteristic User Description
+  0x2902: clientConfiguration,
+  0x2903: serverConfiguration,
+  0x2904: presentationFormat,
+};
+
+// Like decodeValue, for descriptors.
+export const decodeDescriptor = (descriptorUUID, bytes) => {
+  const decoder = DESCRIPTOR_DECODERS[shortUUID(descriptorUUID)];
+  if (!decoder) {
+    return null;
+  }
+  try {
+    return {fields: decoder(bytes)};
+  } catch (error) {
+    return {error: error.message};
+  }
+};
@@ -0,0 +1,25 @@
+import React from 'react';
+import {StyleSheet, Text, View, Button} from 'react-native';
+
+// Shown by the screens below the device list once the device is gone.
+const DeviceDisconnected = ({navigation}) => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.text}>The device is disconnected.</Text>
+      <Button title="Back to devices" onPress={() => navigation.popToTop()} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  text: {
+    marginBottom: 8,
+  },
+});
+
+export default DeviceDisconnected;
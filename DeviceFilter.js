@@ -0,0 +1,109 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import {View, StyleSheet, Text, TextInput, Switch} from 'react-native';
+import {deviceFilterChanged} from './actions';
+
+// Narrows down the device list, see matchesFilter in Devices.js.
+function DeviceFilter(ReduxStore) {
+  const filter = ReduxStore.deviceFilter;
+  const [minRSSI, setMinRSSI] = useState(
+    filter.minRSSI === null ? '' : String(filter.minRSSI),
+  );
+
+  const changeMinRSSI = text => {
+    setMinRSSI(text);
+    const dBm = Number(text);
+    if (text.trim() === '') {
+      ReduxStore.deviceFilterChanged({minRSSI: null});
+    } else if (Number.isInteger(dBm)) {
+      ReduxStore.deviceFilterChanged({minRSSI: dBm});
+    }
+  };
+
+  return (
+    <View style={styles.panel}>
+      <TextInput
+        style={styles.input}
+        autoCapitalize="none"
+        autoCorrect={false}
+        placeholder="Name or id"
+        value={filter.text}
+        onChangeText={text => ReduxStore.deviceFilterChanged({text})}
+      />
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.half]}
+          keyboardType="numbers-and-punctuation"
+          placeholder="Min RSSI, e.g. -70"
+          value={minRSSI}
+          onChangeText={changeMinRSSI}
+        />
+        <TextInput
+          style={[styles.input, styles.half]}
+          autoCapitalize="none"
+          autoCorrect={false}
+          placeholder="Service UUID"
+          value={filter.serviceUUID}
+          onChangeText={serviceUUID =>
+            ReduxStore.deviceFilterChanged({serviceUUID})
+          }
+        />
+      </View>
+      <View style={styles.row}>
+        <Text>Connectable only</Text>
+        <Switch
+          value={filter.connectableOnly}
+          onValueChange={connectableOnly =>
+            ReduxStore.deviceFilterChanged({connectableOnly})
+          }
+        />
+        <Text>Named only</Text>
+        <Switch
+          value={filter.namedOnly}
+          onValueChange={namedOnly =>
+            ReduxStore.deviceFilterChanged({namedOnly})
+          }
+        />
+      </View>
+    </View>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    deviceFilter: state.BLEs.deviceFilter,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  deviceFilterChanged: filter => dispatch(deviceFilterChanged(filter)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(DeviceFilter);
+
+const styles = StyleSheet.create({
+  panel: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    backgroundColor: '#eee',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  input: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    padding: 4,
+    marginVertical: 2,
+    backgroundColor: 'white',
+  },
+  half: {
+    flex: 1,
+    marginRight: 4,
+  },
+});
@@ -0,0 +1,75 @@
+import {sameUUID} from './UUID';
+
+// What the store keeps of a react-native-ble-plx Device: its advertised
+// data, which is plain already. The Device itself is only used by the
+// thunks, see actions/registry.js.
+const DEVICE_FIELDS = [
+  'id',
+  'name',
+  'localName',
+  'rssi',
+  'mtu',
+  'txPowerLevel',
+  'isConnectable',
+  'manufacturerData',
+  'serviceData',
+  'serviceUUIDs',
+  'solicitedServiceUUIDs',
+  'overflowServiceUUIDs',
+];
+
+export const deviceData = device =>
+  DEVICE_FIELDS.reduce(
+    (data, field) => ({
+      ...data,
+      [field]: device[field] === undefined ? null : device[field],
+    }),
+    {},
+  );
+
+// Unnamed devices fall back to their advertised local name, then to their id
+// (the MAC address on Android, a generated UUID on iOS).
+export const displayName = device =>
+  device.name || device.localName || device.id;
+
+// known is what Preferences.js keeps about the device, if anything; a
+// nickname given to it goes before its own name.
+export const deviceLabel = (device, known) =>
+  (known && known.nickname) || displayName(device);
+
+// filter: {text, minRSSI, connectableOnly, namedOnly, serviceUUID}, see
+// deviceFilter in the BLE reducer.
+export const matchesFilter = (device, filter) => {
+  const text = filter.text.trim().toLowerCase();
+  if (
+    text &&
+    !displayName(device)
+      .toLowerCase()
+      .includes(text) &&
+    !device.id.toLowerCase().includes(text)
+  ) {
+    return false;
+  }
+  if (
+    filter.minRSSI !== null &&
+    (device.rssi === null || device.rssi < filter.minRSSI)
+  ) {
+    return false;
+  }
+  // isConnectable is null when the platform doesn't say
+  if (filter.connectableOnly && device.isConnectable === false) {
+    return false;
+  }
+  if (filter.namedOnly && !device.name && !device.localName) {
+    return false;
+  }
+  if (
+    filter.serviceUUID.trim() &&
+    !(device.serviceUUIDs || []).some(uuid =>
+      sameUUID(uuid, filter.serviceUUID),
+    )
+  ) {
+    return false;
+  }
+  return true;
+};
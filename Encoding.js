@@ -0,0 +1,202 @@
+// Conversions between the base64 strings react-native-ble-plx hands us and
+// the raw bytes / human readable forms shown in the UI.
+import Base64 from './Base64';
+
+export const base64ToBytes = (input = '') => {
+  const binary = Base64.atob(input || '');
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export const bytesToBase64 = bytes => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return Base64.btoa(binary);
+};
+
+export const bytesToHex = (bytes, separator = ' ') =>
+  Array.from(bytes)
+    .map(byte => ('0' + byte.toString(16)).slice(-2).toUpperCase())
+    .join(separator);
+
+// Smallest code point that may be encoded with a sequence of each length.
+const MIN_CODE_POINT = [0, 0, 0x80, 0x800, 0x10000];
+
+// Invalid or truncated sequences are replaced with U+FFFD rather than
+// throwing, since characteristic values are frequently not text at all.
+export const bytesToUtf8 = bytes => {
+  let output = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let codePoint = 0xfffd;
+    let length = 1;
+    if (byte < 0x80) {
+      codePoint = byte;
+    } else if (byte >= 0xc2 && byte < 0xe0) {
+      length = 2;
+    } else if (byte >= 0xe0 && byte < 0xf0) {
+      length = 3;
+    } else if (byte >= 0xf0 && byte < 0xf5) {
+      length = 4;
+    }
+    if (length > 1) {
+      codePoint = byte & (0xff >> (length + 1));
+      for (let j = 1; j < length; j++) {
+        const next = bytes[i + j];
+        if (next === undefined || (next & 0xc0) !== 0x80) {
+          codePoint = 0xfffd;
+          length = j;
+          break;
+        }
+        codePoint = (codePoint << 6) | (next & 0x3f);
+      }
+      if (
+        codePoint < MIN_CODE_POINT[length] ||
+        codePoint > 0x10ffff ||
+        (codePoint >= 0xd800 && codePoint < 0xe000)
+      ) {
+        codePoint = 0xfffd;
+      }
+    }
+    output += String.fromCodePoint(codePoint);
+    i += length;
+  }
+  return output;
+};
+
+export const utf8ToBytes = text => {
+  const bytes = [];
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(
+        0xe0 | (codePoint >> 12),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f),
+      );
+    } else {
+      bytes.push(
+        0xf0 | (codePoint >> 18),
+        0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f),
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+// Accepts "0A1B", "0a 1b", "0x0A 0x1B" and "0a:1b".
+export const hexToBytes = text => {
+  const digits = text.replace(/\b0x/gi, '').replace(/[\s:,-]/g, '');
+  if (!/^[0-9a-f]*$/i.test(digits)) {
+    throw new Error('Hex may only contain 0-9 and A-F');
+  }
+  if (digits.length % 2 !== 0) {
+    throw new Error('Hex needs an even number of digits');
+  }
+  const bytes = new Uint8Array(digits.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+export const base64TextToBytes = text => {
+  const input = text.replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(input) || input.length % 4 !== 0) {
+    throw new Error('Not valid base64');
+  }
+  return base64ToBytes(input);
+};
+
+// Comma and/or whitespace separated decimal values, e.g. "1, 2, 255".
+export const decimalToBytes = text => {
+  const values = text.split(/[\s,]+/).filter(value => value !== '');
+  return new Uint8Array(
+    values.map(value => {
+      if (!/^\d+$/.test(value) || Number(value) > 255) {
+        throw new Error(`"${value}" is not a byte (0-255)`);
+      }
+      return Number(value);
+    }),
+  );
+};
+
+export const ENCODINGS = [
+  {label: 'UTF-8', value: 'utf8', toBytes: utf8ToBytes},
+  {label: 'Hex', value: 'hex', toBytes: hexToBytes},
+  {label: 'Base64', value: 'base64', toBytes: base64TextToBytes},
+  {label: 'Bytes', value: 'decimal', toBytes: decimalToBytes},
+];
+
+export const LINE_ENDINGS = [
+  {label: 'None', value: 'none'},
+  {label: 'LF', value: 'lf'},
+  {label: 'CRLF', value: 'crlf'},
+  {label: 'Custom (hex)', value: 'custom'},
+];
+
+export const lineEndingBytes = (lineEnding, custom = '') => {
+  switch (lineEnding) {
+    case 'lf':
+      return new Uint8Array([0x0a]);
+    case 'crlf':
+      return new Uint8Array([0x0d, 0x0a]);
+    case 'custom':
+      return hexToBytes(custom);
+    default:
+      return new Uint8Array(0);
+  }
+};
+
+export const concatBytes = (...arrays) => {
+  const output = new Uint8Array(
+    arrays.reduce((length, array) => length + array.length, 0),
+  );
+  let offset = 0;
+  arrays.forEach(array => {
+    output.set(array, offset);
+    offset += array.length;
+  });
+  return output;
+};
+
+// Turns what the user typed into the bytes to send, throwing an Error with a
+// user facing message when the text isn't valid for the chosen encoding.
+export const encodePayload = (text, encoding, lineEnding, customLineEnding) => {
+  const format = ENCODINGS.find(candidate => candidate.value === encoding);
+  if (!format) {
+    throw new Error(`Unknown encoding ${encoding}`);
+  }
+  let ending;
+  try {
+    ending = lineEndingBytes(lineEnding, customLineEnding);
+  } catch (error) {
+    throw new Error(`Line ending: ${error.message}`);
+  }
+  return concatBytes(format.toBytes(text), ending);
+};
+
+// Splits bytes into consecutive pieces of at most size bytes. An empty input
+// still yields one (empty) piece so that a write always sends something.
+export const chunkBytes = (bytes, size) => {
+  if (!(size > 0)) {
+    throw new Error('Chunk size must be positive');
+  }
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length || offset === 0; offset += size) {
+    chunks.push(bytes.slice(offset, offset + size));
+  }
+  return chunks;
+};
@@ -0,0 +1,92 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import {View, StyleSheet, Text, Button} from 'react-native';
+import {dismissError} from './actions';
+import {ERROR_TITLES} from './BLEError';
+
+// Lists the errors reported by the given sources, e.g.
+//
+//   <ErrorBanner sources={['read']} onRetry={{read: error => ...}} />
+//
+// Sources with an onRetry handler get a retry button, which also dismisses
+// the error.
+function ErrorBanner(ReduxStore) {
+  const onRetry = ReduxStore.onRetry || {};
+  const errors = ReduxStore.errors.filter(error =>
+    ReduxStore.sources.includes(error.source),
+  );
+  if (errors.length === 0) {
+    return null;
+  }
+  return (
+    <View>
+      {errors.map(error => (
+        <View key={error.id} style={styles.banner}>
+          <View style={styles.text}>
+            <Text style={styles.title}>
+              {ERROR_TITLES[error.type]}
+              {error.attErrorCode
+                ? ` (ATT 0x${error.attErrorCode.toString(16)})`
+                : ''}
+              {error.code !== null && !error.attErrorCode
+                ? ` (code ${error.code})`
+                : ''}
+            </Text>
+            <Text style={styles.message}>{error.message}</Text>
+          </View>
+          {onRetry[error.source] && (
+            <Button
+              title="Retry"
+              onPress={() => {
+                ReduxStore.dismissError(error.id);
+                onRetry[error.source](error);
+              }}
+            />
+          )}
+          <Button
+            title="Dismiss"
+            onPress={() => ReduxStore.dismissError(error.id)}
+          />
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function mapStateToProps(state) {
+  return {
+    errors: state.errors.errors,
+  };
+}
+
+const mapDispatchToProps = dispatch => ({
+  dismissError: id => dispatch(dismissError(id)),
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(ErrorBanner);
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffd2d2',
+    borderLeftColor: 'red',
+    borderLeftWidth: 4,
+    padding: 8,
+    marginVertical: 2,
+    marginHorizontal: 16,
+  },
+  text: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  message: {
+    fontSize: 10,
+  },
+});
@@ -0,0 +1,54 @@
+// Turns a payload into the packets that are written to a characteristic:
+// the payload is split to fit the chunk size, and each frame is wrapped as
+//
+//   [start delimiter] payload [checksum] [end delimiter]
+//
+// where a frame is either the whole message (placement 'message', the framed
+// message is then chunked) or every chunk (placement 'chunk'). The checksum
+// only covers the payload, never the delimiters.
+import {checksumBytes, checksumSize} from './Checksum';
+import {chunkBytes, concatBytes} from './Encoding';
+
+export const NO_FRAMING = {
+  checksum: 'none',
+  placement: 'message',
+  byteOrder: 'big',
+  start: new Uint8Array(0),
+  end: new Uint8Array(0),
+};
+
+export const PLACEMENTS = [
+  {label: 'Per message', value: 'message'},
+  {label: 'Per chunk', value: 'chunk'},
+];
+
+export const BYTE_ORDERS = [
+  {label: 'Big endian', value: 'big'},
+  {label: 'Little endian', value: 'little'},
+];
+
+export const frameOverhead = framing =>
+  framing.start.length + checksumSize(framing.checksum) + framing.end.length;
+
+export const frameBytes = (payload, framing) =>
+  concatBytes(
+    framing.start,
+    payload,
+    checksumBytes(framing.checksum, payload, framing.byteOrder),
+    framing.end,
+  );
+
+export const buildPackets = (bytes, chunkSize, framing = NO_FRAMING) => {
+  if (framing.placement !== 'chunk') {
+    return chunkBytes(frameBytes(bytes, framing), chunkSize);
+  }
+  const payloadSize = chunkSize - frameOverhead(framing);
+  if (payloadSize < 1) {
+    throw new Error(
+      `Chunks of ${chunkSize} bytes leave no room for a payload after framing`,
+    );
+  }
+  return chunkBytes(bytes, payloadSize).map(chunk =>
+    frameBytes(chunk, framing),
+  );
+};
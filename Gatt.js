@@ -0,0 +1,137 @@
+// The GATT tree of a device (services, their characteristics and their
+// descriptors) as plain data. It is fetched from react-native-ble-plx once
+// after discovery and kept in the gatt reducer per device id, normalized:
+//
+//   {
+//     discoveredAt,
+//     serviceUUIDs: [uuid],
+//     services: {uuid: {uuid, isPrimary, characteristicKeys}},
+//     characteristics: {characteristicKey: {serviceUUID, uuid, isReadable,
+//                       ..., descriptorKeys}},
+//     descriptors: {descriptorKey: {serviceUUID, characteristicUUID, uuid}},
+//   }
+import {base64ToBytes, bytesToUtf8} from './Encoding';
+import {fullUUID} from './UUID';
+
+// per-characteristic data (read values, ...) is stored under this key
+export const characteristicKey = (serviceUUID, characteristicUUID) =>
+  `${serviceUUID}/${characteristicUUID}`.toLowerCase();
+
+// and a descriptor's under its characteristic's key plus its own UUID
+export const descriptorKey = (
+  serviceUUID,
+  characteristicUUID,
+  descriptorUUID,
+) =>
+  `${characteristicKey(
+    serviceUUID,
+    characteristicUUID,
+  )}/${descriptorUUID}`.toLowerCase();
+
+const CHARACTERISTIC_PROPERTIES = [
+  'isReadable',
+  'isWritableWithResponse',
+  'isWritableWithoutResponse',
+  'isNotifiable',
+  'isIndicatable',
+  'isNotifying',
+];
+
+// tree: [{service, characteristics: [{characteristic, descriptors}]}] with
+// the ble-plx objects, as fetchGatt in actions/index.js builds it.
+export const normalizeGatt = (tree, discoveredAt) => {
+  const gatt = {
+    discoveredAt,
+    serviceUUIDs: [],
+    services: {},
+    characteristics: {},
+    descriptors: {},
+  };
+  tree.forEach(({service, characteristics}) => {
+    const serviceUUID = service.uuid.toLowerCase();
+    gatt.serviceUUIDs.push(serviceUUID);
+    gatt.services[serviceUUID] = {
+      uuid: serviceUUID,
+      isPrimary: service.isPrimary,
+      characteristicKeys: characteristics.map(({characteristic}) =>
+        characteristicKey(serviceUUID, characteristic.uuid),
+      ),
+    };
+    characteristics.forEach(({characteristic, descriptors}) => {
+      const key = characteristicKey(serviceUUID, characteristic.uuid);
+      gatt.characteristics[key] = {
+        serviceUUID,
+        uuid: characteristic.uuid.toLowerCase(),
+        descriptorKeys: descriptors.map(descriptor =>
+          descriptorKey(serviceUUID, characteristic.uuid, descriptor.uuid),
+        ),
+      };
+      CHARACTERISTIC_PROPERTIES.forEach(property => {
+        gatt.characteristics[key][property] = Boolean(characteristic[property]);
+      });
+      descriptors.forEach(descriptor => {
+        gatt.descriptors[
+          descriptorKey(serviceUUID, characteristic.uuid, descriptor.uuid)
+        ] = {
+          serviceUUID,
+          characteristicUUID: characteristic.uuid.toLowerCase(),
+          uuid: descriptor.uuid.toLowerCase(),
+        };
+      });
+    });
+  });
+  return gatt;
+};
+
+const PROPERTY_NAMES = {
+  isReadable: 'Read',
+  isWritableWithResponse: 'Write',
+  isWritableWithoutResponse: 'Write without response',
+  isNotifiable: 'Notify',
+  isIndicatable: 'Indicate',
+};
+
+// e.g. ['Read', 'Notify']
+export const characteristicProperties = characteristic =>
+  Object.keys(PROPERTY_NAMES)
+    .filter(property => characteristic[property])
+    .map(property => PROPERTY_NAMES[property]);
+
+// Selectors for a normalized tree, which may be undefined before discovery.
+
+export const gattServices = gatt =>
+  gatt ? gatt.serviceUUIDs.map(uuid => gatt.services[uuid]) : [];
+
+export const gattCharacteristics = (gatt, serviceUUID) => {
+  const service = gatt && gatt.services[serviceUUID.toLowerCase()];
+  return service
+    ? service.characteristicKeys.map(key => gatt.characteristics[key])
+    : [];
+};
+
+export const gattDescriptors = (gatt, serviceUUID, characteristicUUID) => {
+  const characteristic =
+    gatt &&
+    gatt.characteristics[characteristicKey(serviceUUID, characteristicUUID)];
+  return characteristic
+    ? characteristic.descriptorKeys.map(key => gatt.descriptors[key])
+    : [];
+};
+
+const USER_DESCRIPTION_UUID = fullUUID('2901');
+
+// The Characteristic User Description, once it has been read; often the only
+// name vendor characteristics have.
+export const userDescription = (
+  descriptorValues,
+  serviceUUID,
+  characteristicUUID,
+) => {
+  const read =
+    descriptorValues[
+      descriptorKey(serviceUUID, characteristicUUID, USER_DESCRIPTION_UUID)
+    ];
+  return read && read.value
+    ? bytesToUtf8(base64ToBytes(read.value)).replace(/\0+$/, '')
+    : null;
+};
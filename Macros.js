@@ -0,0 +1,317 @@
+// Saved payloads ("macros") and test sequences. A macro is a named payload
+// for one characteristic:
+//
+//   {name, serviceUUID, characteristicUUID, encoding, text, lineEnding,
+//    customLineEnding, withResponse}
+//
+// with encoding and lineEnding as in Encoding.js. A sequence is a named list
+// of steps, run one after the other until one fails:
+//
+//   {type: 'write', serviceUUID, characteristicUUID, encoding, text,
+//    lineEnding, customLineEnding, withResponse}
+//   {type: 'read', serviceUUID, characteristicUUID, pattern, on}
+//   {type: 'notification', serviceUUID, characteristicUUID, pattern, on,
+//    timeout}
+//   {type: 'delay', ms}
+//
+// A read passes if the value matches pattern (a regular expression, tested
+// against the value as text or, with on 'hex', as hex like "0A 1B"); without
+// a pattern any value will do. A notification step waits up to timeout ms
+// for a matching notification. Exports use the same fields, but "service"
+// and "characteristic" for the UUIDs, which may then be in short form.
+import {
+  ENCODINGS,
+  LINE_ENDINGS,
+  bytesToHex,
+  bytesToUtf8,
+  encodePayload,
+} from './Encoding';
+import {characteristicKey} from './Gatt';
+import {fullUUID, isUUID} from './UUID';
+
+// macros are stored under their characteristic's key and their name, so
+// saving one with the name of another replaces it
+export const macroKey = (serviceUUID, characteristicUUID, name) =>
+  `${characteristicKey(serviceUUID, characteristicUUID)}/${name}`;
+
+export const macroBytes = macro =>
+  encodePayload(
+    macro.text,
+    macro.encoding,
+    macro.lineEnding,
+    macro.customLineEnding,
+  );
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// The macros of one characteristic, by name.
+export const characteristicMacros = (
+  macros,
+  serviceUUID,
+  characteristicUUID,
+) => {
+  const prefix = `${characteristicKey(serviceUUID, characteristicUUID)}/`;
+  return Object.keys(macros)
+    .filter(key => key.startsWith(prefix))
+    .map(key => macros[key])
+    .sort(byName);
+};
+
+export const STEP_TYPES = [
+  {label: 'Write', value: 'write'},
+  {label: 'Read', value: 'read'},
+  {label: 'Wait for notification', value: 'notification'},
+  {label: 'Delay', value: 'delay'},
+];
+
+// ms a notification step waits unless it says otherwise
+export const DEFAULT_NOTIFICATION_TIMEOUT = 5000;
+
+export const matchesPattern = (bytes, pattern, on = 'text') =>
+  !pattern ||
+  new RegExp(pattern).test(
+    on === 'hex' ? bytesToHex(bytes) : bytesToUtf8(bytes),
+  );
+
+export const describeStep = step => {
+  switch (step.type) {
+    case 'write':
+      return `Write "${step.text}" (${step.encoding})`;
+    case 'read':
+      return step.pattern ? `Read, expect /${step.pattern}/` : 'Read';
+    case 'notification':
+      return `Wait ${step.timeout} ms for /${step.pattern || ''}/`;
+    case 'delay':
+      return `Wait ${step.ms} ms`;
+    default:
+      return step.type;
+  }
+};
+
+// step counts of a run by status
+export const runSummary = run =>
+  run.steps.reduce(
+    (counts, step) => ({...counts, [step.status]: counts[step.status] + 1}),
+    {pending: 0, running: 0, passed: 0, failed: 0, skipped: 0},
+  );
+
+// e.g. "Failed: 2 passed, 1 failed, 3 skipped"
+export const describeRun = run => {
+  const counts = runSummary(run);
+  const total = run.steps.length;
+  switch (run.status) {
+    case 'running':
+      return `Running step ${counts.passed + 1} of ${total}`;
+    case 'passed':
+      return `Passed: ${counts.passed} of ${total} steps in ${run.finishedAt -
+        run.startedAt} ms`;
+    case 'stopped':
+      return `Stopped after ${counts.passed} of ${total} steps`;
+    default:
+      return `Failed: ${counts.passed} passed, ${counts.failed} failed, ${
+        counts.skipped
+      } skipped`;
+  }
+};
+
+// Import and export
+
+const parseJSON = json => {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+};
+
+const uuids = (entry, where) => {
+  if (
+    typeof entry.service !== 'string' ||
+    !isUUID(entry.service) ||
+    typeof entry.characteristic !== 'string' ||
+    !isUUID(entry.characteristic)
+  ) {
+    throw new Error(`${where}: needs service and characteristic UUIDs`);
+  }
+  return {
+    serviceUUID: fullUUID(entry.service),
+    characteristicUUID: fullUUID(entry.characteristic),
+  };
+};
+
+const optionValue = (options, value, fallback, what, where) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!options.some(option => option.value === value)) {
+    throw new Error(`${where}: unknown ${what} "${value}"`);
+  }
+  return value;
+};
+
+// the payload fields shared by macros and write steps
+const parsePayload = (entry, where) => {
+  if (typeof entry.text !== 'string') {
+    throw new Error(`${where}: needs a text`);
+  }
+  const payload = {
+    encoding: optionValue(ENCODINGS, entry.encoding, 'utf8', 'encoding', where),
+    text: entry.text,
+    lineEnding: optionValue(
+      LINE_ENDINGS,
+      entry.lineEnding,
+      'none',
+      'line ending',
+      where,
+    ),
+    customLineEnding: entry.customLineEnding || '',
+    // null leaves it to the characteristic, see defaultWriteWithResponse
+    withResponse:
+      typeof entry.withResponse === 'boolean' ? entry.withResponse : null,
+  };
+  try {
+    macroBytes(payload);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  return payload;
+};
+
+const parsePattern = (entry, where) => {
+  if (entry.pattern !== undefined && typeof entry.pattern !== 'string') {
+    throw new Error(`${where}: pattern must be a string`);
+  }
+  try {
+    RegExp(entry.pattern || '');
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  if (entry.on !== undefined && entry.on !== 'text' && entry.on !== 'hex') {
+    throw new Error(`${where}: "on" must be "text" or "hex"`);
+  }
+  return {pattern: entry.pattern || '', on: entry.on || 'text'};
+};
+
+const isDuration = value => Number.isInteger(value) && value >= 0;
+
+export const parseStep = (entry, where) => {
+  if (!entry || !STEP_TYPES.some(type => type.value === entry.type)) {
+    throw new Error(
+      `${where}: type must be one of ${STEP_TYPES.map(type => type.value).join(
+        ', ',
+      )}`,
+    );
+  }
+  switch (entry.type) {
+    case 'write':
+      return {
+        type: 'write',
+        ...uuids(entry, where),
+        ...parsePayload(entry, where),
+      };
+    case 'read':
+      return {
+        type: 'read',
+        ...uuids(entry, where),
+        ...parsePattern(entry, where),
+      };
+    case 'notification':
+      if (entry.timeout !== undefined && !isDuration(entry.timeout)) {
+        throw new Error(`${where}: timeout must be a number of ms`);
+      }
+      return {
+        type: 'notification',
+        ...uuids(entry, where),
+        ...parsePattern(entry, where),
+        timeout:
+          entry.timeout === undefined
+            ? DEFAULT_NOTIFICATION_TIMEOUT
+            : entry.timeout,
+      };
+    default:
+      if (!isDuration(entry.ms)) {
+        throw new Error(`${where}: ms must be a number of ms`);
+      }
+      return {type: 'delay', ms: entry.ms};
+  }
+};
+
+export const parseSteps = (steps, where = '') => {
+  if (!Array.isArray(steps)) {
+    throw new Error(`${where}Expected an array of steps`);
+  }
+  return steps.map((step, index) =>
+    parseStep(step, `${where}Step ${index + 1}`),
+  );
+};
+
+// The steps as the sequence editor shows them, in export form.
+export const exportSteps = steps =>
+  steps.map(({serviceUUID, characteristicUUID, ...step}) =>
+    step.type === 'delay'
+      ? step
+      : {service: serviceUUID, characteristic: characteristicUUID, ...step},
+  );
+
+// {"macros": [...], "sequences": [{name, steps}]}, sorted so exports of the
+// same definitions are identical.
+export const exportMacros = (macros, sequences) =>
+  JSON.stringify(
+    {
+      macros: Object.keys(macros)
+        .sort()
+        .map(key => {
+          const {serviceUUID, characteristicUUID, ...macro} = macros[key];
+          return {
+            service: serviceUUID,
+            characteristic: characteristicUUID,
+            ...macro,
+          };
+        }),
+      sequences: Object.keys(sequences)
+        .sort()
+        .map(name => ({name, steps: exportSteps(sequences[name].steps)})),
+    },
+    null,
+    2,
+  );
+
+// Reads an export back into {macros, sequences} as the macros reducer keeps
+// them. Everything has to parse.
+export const parseMacros = json => {
+  const parsed = parseJSON(json);
+  if (
+    !parsed ||
+    !Array.isArray(parsed.macros || []) ||
+    !Array.isArray(parsed.sequences || [])
+  ) {
+    throw new Error('Expected an object with "macros" and "sequences" arrays');
+  }
+  const macros = {};
+  (parsed.macros || []).forEach((entry, index) => {
+    const where = `Macro ${index + 1}`;
+    if (!entry || typeof entry.name !== 'string' || entry.name === '') {
+      throw new Error(`${where}: needs a name`);
+    }
+    const macro = {
+      name: entry.name,
+      ...uuids(entry, where),
+      ...parsePayload(entry, where),
+    };
+    macros[
+      macroKey(macro.serviceUUID, macro.characteristicUUID, macro.name)
+    ] = macro;
+  });
+  const sequences = {};
+  (parsed.sequences || []).forEach((entry, index) => {
+    const where = `Sequence ${index + 1}`;
+    if (!entry || typeof entry.name !== 'string' || entry.name === '') {
+      throw new Error(`${where}: needs a name`);
+    }
+    sequences[entry.name] = {
+      name: entry.name,
+      steps: parseSteps(entry.steps, `${where}, `),
+    };
+  });
+  return {macros, sequences};
+};
@@ -0,0 +1,53 @@
+import React from 'react';
+import {View, StyleSheet, Text, TouchableOpacity} from 'react-native';
+
+// A row of mutually exclusive choices, e.g. the write type or an encoding.
+// options: [{label, value, disabled}]
+const OptionPicker = ({options, selected, onSelect}) => {
+  return (
+    <View style={styles.row}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={String(option.value)}
+          disabled={option.disabled}
+          onPress={() => onSelect(option.value)}
+          style={[
+            styles.option,
+            option.value === selected && styles.selected,
+            option.disabled && styles.disabled,
+          ]}>
+          <Text style={option.value === selected && styles.selectedText}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 4,
+  },
+  option: {
+    borderColor: 'gray',
+    borderWidth: 1,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  selected: {
+    backgroundColor: '#0000ff',
+  },
+  selectedText: {
+    color: 'white',
+  },
+  disabled: {
+    opacity: 0.3,
+  },
+});
+
+export default OptionPicker;
@@ -0,0 +1,117 @@
+// What is kept across restarts besides UUID names, formats and macros: the
+// devices connected to before, with the favorites, nicknames and settings
+// users gave them, and the scan, list and write preferences. It is saved as
+// one object with a version:
+//
+//   {version, devices: {id: {...DEVICE_DEFAULTS}}, write: {...},
+//    scanOptions, listOptions, autoReconnect}
+//
+// so that what an older version of the app saved can be brought up to date
+// when it is read back. Only plain data goes in, never ble-plx objects.
+
+export const PREFERENCES_VERSION = 1;
+
+// MIGRATIONS[n] turns what version n - 1 saved into version n. Add one with
+// every change to the saved shape, and bump PREFERENCES_VERSION.
+export const MIGRATIONS = {};
+
+// what is known about a device
+export const DEVICE_DEFAULTS = {
+  // its name when it was last connected to, for the known devices in the
+  // settings, which needn't be advertising
+  name: null,
+  lastConnectedAt: null,
+  favorite: false,
+  // a name the user gave it, shown instead of its own
+  nickname: '',
+  // the characteristic opened last: {serviceUUID, characteristicUUID}
+  characteristic: null,
+  // the write panel's settings when it last wrote, see WRITE_SETTINGS
+  write: null,
+};
+
+// the write panel settings remembered per device; the payload isn't one
+export const WRITE_SETTINGS = [
+  'encoding',
+  'lineEnding',
+  'customLineEnding',
+  'chunkSize',
+  'delay',
+  'checksum',
+  'placement',
+  'byteOrder',
+  'start',
+  'end',
+];
+
+export const pickWriteSettings = form =>
+  WRITE_SETTINGS.reduce(
+    (settings, name) =>
+      form[name] === undefined ? settings : {...settings, [name]: form[name]},
+    {},
+  );
+
+const isObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Brings saved up to version, one migration at a time. Throws if it isn't
+// something this app saved, or was saved by a newer version of it.
+export const migratePreferences = (
+  saved,
+  migrations = MIGRATIONS,
+  version = PREFERENCES_VERSION,
+) => {
+  if (!isObject(saved) || !Number.isInteger(saved.version)) {
+    throw new Error('Saved preferences have no version');
+  }
+  if (saved.version > version) {
+    throw new Error(
+      `Saved preferences are version ${
+        saved.version
+      }, this app only reads up to ${version}`,
+    );
+  }
+  let migrated = saved;
+  for (let next = saved.version + 1; next <= version; next++) {
+    if (!migrations[next]) {
+      throw new Error(`No migration to preferences version ${next}`);
+    }
+    migrated = {...migrations[next](migrated), version: next};
+  }
+  return migrated;
+};
+
+// What loading finds in storage, as PREFERENCES_LOADED hands it to the
+// reducers: missing sections are left out, so they keep their defaults, and
+// every device gets all of DEVICE_DEFAULTS' fields.
+export const readPreferences = saved => {
+  const migrated = migratePreferences(saved);
+  const preferences = {};
+  if (isObject(migrated.devices)) {
+    preferences.devices = {};
+    Object.keys(migrated.devices)
+      .filter(id => isObject(migrated.devices[id]))
+      .forEach(id => {
+        preferences.devices[id] = {
+          ...DEVICE_DEFAULTS,
+          ...migrated.devices[id],
+        };
+      });
+  }
+  ['write', 'scanOptions', 'listOptions', 'autoReconnect']
+    .filter(section => isObject(migrated[section]))
+    .forEach(section => {
+      preferences[section] = migrated[section];
+    });
+  return preferences;
+};
+
+// The object savePreferences stores, picked out of the state.
+export const selectPreferences = state => ({
+  version: PREFERENCES_VERSION,
+  devices: state.preferences.devices,
+  write: state.preferences.write,
+  scanOptions: state.BLEs.scanOptions,
+  listOptions: state.BLEs.listOptions,
+  autoReconnect: state.BLEs.autoReconnect,
+});
@@ -0,0 +1,193 @@
+// The connected device's GATT profile as a document for bug reports, built
+// from the store alone so it can be produced (and tested) without hardware.
+// buildProfile gives plain data, profileJSON and profileMarkdown the two
+// shareable forms of it.
+import {decodeDescriptor, decodeValue} from './Decoders';
+import {displayName} from './Devices';
+import {base64ToBytes, bytesToHex} from './Encoding';
+import {
+  characteristicKey,
+  characteristicProperties,
+  descriptorKey,
+  gattCharacteristics,
+  gattDescriptors,
+  gattServices,
+  userDescription,
+} from './Gatt';
+import {selectConnectedDevice, selectConnectedGatt} from './Selectors';
+import {uuidName} from './UUIDNames';
+
+// {hex, decoded} for a base64 value, decoded being [{label, value}],
+// {error} or null like decodeValue's result.
+const describeValue = (base64, decode) => {
+  const bytes = base64ToBytes(base64 || '');
+  return {hex: bytesToHex(bytes), decoded: decode(bytes)};
+};
+
+const readValue = (reads, key) =>
+  reads[key] && reads[key].value !== undefined && reads[key].value !== null
+    ? reads[key].value
+    : null;
+
+// options.includeValues adds the values read so far, or why the latest read
+// failed instead of an older value; exportedAt (ms) is left out unless
+// given, so exports of the same device compare equal.
+export const buildProfile = (state, options = {}) => {
+  const device = selectConnectedDevice(state);
+  const gatt = selectConnectedGatt(state);
+  const names = state.uuidNames.names;
+  const formats = state.formats.definitions;
+  const {characteristicReads, descriptorValues} = state.BLEs;
+
+  const profile = {};
+  if (options.exportedAt !== undefined) {
+    profile.exportedAt = new Date(options.exportedAt).toISOString();
+  }
+  profile.device = {
+    id: device.id,
+    name: device.name || null,
+    localName: device.localName || null,
+    rssi: device.rssi === undefined ? null : device.rssi,
+    mtu: state.BLEs.mtu,
+    manufacturerData: device.manufacturerData
+      ? bytesToHex(base64ToBytes(device.manufacturerData))
+      : null,
+  };
+  profile.services = gattServices(gatt).map(service => ({
+    uuid: service.uuid,
+    name: uuidName(service.uuid, 'service', names),
+    isPrimary: service.isPrimary,
+    characteristics: gattCharacteristics(gatt, service.uuid).map(
+      characteristic => {
+        const key = characteristicKey(service.uuid, characteristic.uuid);
+        const exported = {
+          uuid: characteristic.uuid,
+          name: uuidName(characteristic.uuid, 'characteristic', names),
+          description: userDescription(
+            descriptorValues,
+            service.uuid,
+            characteristic.uuid,
+          ),
+          properties: characteristicProperties(characteristic),
+          descriptors: gattDescriptors(
+            gatt,
+            service.uuid,
+            characteristic.uuid,
+          ).map(descriptor => {
+            const exportedDescriptor = {
+              uuid: descriptor.uuid,
+              name: uuidName(descriptor.uuid, 'descriptor', names),
+            };
+            const value = readValue(
+              descriptorValues,
+              descriptorKey(service.uuid, characteristic.uuid, descriptor.uuid),
+            );
+            if (options.includeValues && value !== null) {
+              exportedDescriptor.value = describeValue(value, bytes =>
+                decodeDescriptor(descriptor.uuid, bytes),
+              );
+            }
+            return exportedDescriptor;
+          }),
+        };
+        if (formats[key]) {
+          exported.format = formats[key].format;
+        }
+        const read = characteristicReads[key];
+        const value = readValue(characteristicReads, key);
+        if (options.includeValues && read && read.error) {
+          exported.readError = read.error;
+        } else if (options.includeValues && value !== null) {
+          exported.value = describeValue(value, bytes =>
+            decodeValue(
+              characteristic.uuid,
+              bytes,
+              formats[key] && formats[key].format,
+            ),
+          );
+        }
+        return exported;
+      },
+    ),
+  }));
+  return profile;
+};
+
+export const profileJSON = profile => JSON.stringify(profile, null, 2);
+
+// Markdown tables need their pipes escaped.
+const cell = text => String(text).replace(/\|/g, '\\|');
+
+const decodedLines = decoded => {
+  if (!decoded) {
+    return [];
+  }
+  if (decoded.error) {
+    return [`  - Can't decode: ${decoded.error}`];
+  }
+  return decoded.fields.map(field => `  - ${field.label}: ${field.value}`);
+};
+
+const valueLines = value =>
+  value
+    ? [`- Value: \`${value.hex || '(empty)'}\``, ...decodedLines(value.decoded)]
+    : [];
+
+export const profileMarkdown = profile => {
+  const device = profile.device;
+  const lines = [
+    `# GATT profile of ${displayName(device)}`,
+    '',
+    '| Field | Value |',
+    '| --- | --- |',
+    `| Id | ${cell(device.id)} |`,
+    `| Name | ${cell(device.name || '')} |`,
+    `| Local name | ${cell(device.localName || '')} |`,
+    `| RSSI | ${device.rssi === null ? '' : `${device.rssi} dBm`} |`,
+    `| MTU | ${device.mtu} |`,
+    `| Manufacturer data | ${cell(device.manufacturerData || '')} |`,
+  ];
+  if (profile.exportedAt) {
+    lines.push(`| Exported at | ${profile.exportedAt} |`);
+  }
+  profile.services.forEach(service => {
+    lines.push(
+      '',
+      `## ${service.name || 'Unknown service'}`,
+      '',
+      `\`${service.uuid}\`${service.isPrimary ? ', primary' : ''}`,
+    );
+    service.characteristics.forEach(characteristic => {
+      lines.push(
+        '',
+        `### ${characteristic.name ||
+          characteristic.description ||
+          'Unknown characteristic'}`,
+        '',
+        `- UUID: \`${characteristic.uuid}\``,
+        `- Properties: ${characteristic.properties.join(', ') || 'none'}`,
+      );
+      if (characteristic.format) {
+        lines.push(`- Format: \`${characteristic.format}\``);
+      }
+      lines.push(...valueLines(characteristic.value));
+      if (characteristic.readError) {
+        lines.push(`- Read failed: ${characteristic.readError}`);
+      }
+      if (characteristic.descriptors.length > 0) {
+        lines.push('- Descriptors:');
+        characteristic.descriptors.forEach(descriptor => {
+          lines.push(
+            `  - ${descriptor.name || descriptor.uuid}${
+              descriptor.value ? `: \`${descriptor.value.hex}\`` : ''
+            }`,
+            ...decodedLines(descriptor.value && descriptor.value.decoded).map(
+              line => `  ${line}`,
+            ),
+          );
+        });
+      }
+    });
+  });
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,80 @@
+// Reading the BLE reducer's normalized state, for screens and thunks alike.
+// Devices are kept by id and the selected service and characteristic by
+// UUID; these put them back together with the gatt reducer's trees.
+import {characteristicKey} from './Gatt';
+
+// what is selected when nothing is, the same object every time so that
+// connected components don't re-render for it
+const NOTHING = Object.freeze({});
+
+// Recomputes only when one of inputs' results changes, so that the same
+// array comes back as long as its contents are the same.
+const memoize = (inputs, compute) => {
+  let lastArgs = null;
+  let lastResult;
+  return state => {
+    const args = inputs.map(input => input(state));
+    if (!lastArgs || args.some((arg, index) => arg !== lastArgs[index])) {
+      lastArgs = args;
+      lastResult = compute(...args);
+    }
+    return lastResult;
+  };
+};
+
+export const selectDevice = (state, id) => state.BLEs.devices[id];
+
+// the scanned devices, in the order they were found
+export const selectScannedDevices = memoize(
+  [state => state.BLEs.deviceIds, state => state.BLEs.devices],
+  (ids, devices) => ids.map(id => devices[id]),
+);
+
+// The connected device's plain data, {} while there is none.
+export const selectConnectedDevice = state =>
+  state.BLEs.devices[state.BLEs.connectedDeviceId] || NOTHING;
+
+export const selectConnectedGatt = state =>
+  state.gatt[state.BLEs.connectedDeviceId];
+
+// A characteristic of the connected device's GATT tree, {} while there is
+// none.
+export const selectConnectedCharacteristic = (
+  state,
+  serviceUUID,
+  characteristicUUID,
+) => {
+  const gatt = selectConnectedGatt(state);
+  return (
+    (gatt &&
+      gatt.characteristics[
+        characteristicKey(serviceUUID, characteristicUUID)
+      ]) ||
+    NOTHING
+  );
+};
+
+// what Preferences.js knows about the connected device, if anything
+export const selectConnectedKnownDevice = state =>
+  state.preferences.devices[state.BLEs.connectedDeviceId];
+
+// The selected service and characteristic of the connected device's GATT
+// tree, {} while there is none.
+export const selectSelectedService = state => {
+  const gatt = selectConnectedGatt(state);
+  return (gatt && gatt.services[state.BLEs.selectedServiceUUID]) || NOTHING;
+};
+
+export const selectSelectedCharacteristic = state => {
+  const gatt = selectConnectedGatt(state);
+  const {selectedServiceUUID, selectedCharacteristicUUID} = state.BLEs;
+  return (
+    (gatt &&
+      selectedServiceUUID &&
+      selectedCharacteristicUUID &&
+      gatt.characteristics[
+        characteristicKey(selectedServiceUUID, selectedCharacteristicUUID)
+      ]) ||
+    NOTHING
+  );
+};
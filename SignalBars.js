@@ -0,0 +1,46 @@
+import React from 'react';
+import {View, StyleSheet} from 'react-native';
+
+// Lower bounds in dBm for one, two, three and four bars.
+const THRESHOLDS = [-90, -80, -70, -60];
+
+export const signalLevel = rssi =>
+  rssi === null || rssi === undefined
+    ? 0
+    : THRESHOLDS.filter(threshold => rssi >= threshold).length;
+
+const SignalBars = ({rssi}) => {
+  const level = signalLevel(rssi);
+  return (
+    <View style={styles.bars}>
+      {THRESHOLDS.map((threshold, index) => (
+        <View
+          key={threshold}
+          style={[
+            styles.bar,
+            {height: 4 * (index + 1)},
+            index < level && styles.lit,
+          ]}
+        />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  bars: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: 16,
+  },
+  bar: {
+    width: 4,
+    marginRight: 1,
+    backgroundColor: '#ddd',
+  },
+  lit: {
+    backgroundColor: 'green',
+  },
+});
+
+export default SignalBars;
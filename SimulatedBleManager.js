@@ -0,0 +1,902 @@
+// A stand-in for react-native-ble-plx's BleManager that simulates the
+// peripherals of a JSON fixture, so the app runs on an emulator and the thunks
+// run in Jest without a radio. Only the part of the API this app uses is
+// there; it behaves like ble-plx as far as the app can tell (full lowercase
+// UUIDs, base64 values, errors with BleErrorCode codes, monitors that report
+// their own removal as OperationCancelled).
+//
+// The fixture (fixtures/peripherals.json is the one the app uses):
+//
+//   {
+//     "adapterState": "PoweredOn",
+//     "latency": ms                   every operation takes this long
+//     "advertisementInterval": ms     how often scans report each peripheral
+//     "errors": {"scan": error},
+//     "peripherals": [{
+//       "id", "name", "localName", "txPowerLevel", "isConnectable",
+//       "rssi": dBm, or [dBm] cycled through by successive advertisements
+//       "manufacturerData": hex, "serviceData": {uuid: hex},
+//       "serviceUUIDs": [uuid]        the advertised services
+//       "mtu": 247                    the largest MTU it agrees to
+//       "disconnectAfter": ms         drops every connection this long after
+//                                     it was made
+//       "errors": {"connect": error},
+//       "services": [{"uuid", "isPrimary", "characteristics": [{
+//         "uuid",
+//         "properties": ["read", "write", "writeWithoutResponse", "notify",
+//                        "indicate"],
+//         "value": hex                what reads return, writes replace it
+//         "reads": [hex]              returned by successive reads instead,
+//                                     the last one repeating
+//         "notifications": {"interval": ms, "values": [hex]}, cycled
+//                                     through while monitored
+//         "echoTo": uuid              notifies what is written on this other
+//                                     characteristic of the service
+//         "errors": {"read": error, "write": error, "notify": error},
+//         "descriptors": [{"uuid", "value": hex, "errors": {...}}]
+//       }]}]
+//     }]
+//   }
+//
+// UUIDs may be in any form fullUUID takes. An error is {"errorCode": a
+// BleErrorCode name, "attErrorCode", "reason", "count"} and fails every
+// attempt, or the first count ones.
+import {BleErrorCode} from 'react-native-ble-plx';
+import {bytesToBase64, hexToBytes} from './Encoding';
+import {fullUUID, sameUUID} from './UUID';
+
+export class SimulatedBleError extends Error {
+  constructor(errorCode, reason, attErrorCode = null) {
+    super(reason);
+    this.errorCode = errorCode;
+    this.attErrorCode = attErrorCode;
+    this.reason = reason;
+  }
+}
+
+const hexToBase64 = hex => (hex ? bytesToBase64(hexToBytes(hex)) : null);
+
+const DEFAULT_MTU = 23;
+const MAX_MTU = 517;
+
+const PROPERTIES = {
+  read: 'isReadable',
+  write: 'isWritableWithResponse',
+  writeWithoutResponse: 'isWritableWithoutResponse',
+  notify: 'isNotifiable',
+  indicate: 'isIndicatable',
+};
+
+const cancelled = () =>
+  new SimulatedBleError(
+    BleErrorCode.OperationCancelled,
+    'Operation was cancelled',
+  );
+
+// Throws the error the fixture injects into operation, while it has any
+// attempts left to fail.
+const failIfInjected = (errors, operation, defaultCode) => {
+  const error = errors && errors[operation];
+  if (!error || error.count === 0) {
+    return;
+  }
+  if (error.count !== undefined) {
+    error.count--;
+  }
+  throw new SimulatedBleError(
+    BleErrorCode[error.errorCode] === undefined
+      ? defaultCode
+      : BleErrorCode[error.errorCode],
+    error.reason || `Simulated ${operation} failure`,
+    error.attErrorCode || null,
+  );
+};
+
+let nextId = 1;
+
+// The runtime state of a fixture peripheral.
+const buildPeripheral = fixture => ({
+  fixture,
+  id: fixture.id,
+  advertisements: 0,
+  connected: false,
+  discovered: false,
+  mtu: DEFAULT_MTU,
+  disconnectTimer: null,
+  services: (fixture.services || []).map(service => ({
+    id: nextId++,
+    uuid: fullUUID(service.uuid),
+    isPrimary: service.isPrimary !== false,
+    characteristics: (service.characteristics || []).map(characteristic => ({
+      id: nextId++,
+      uuid: fullUUID(characteristic.uuid),
+      properties: characteristic.properties || [],
+      value: hexToBase64(characteristic.value),
+      reads: (characteristic.reads || []).map(hexToBase64),
+      notifications: characteristic.notifications || null,
+      echoTo: characteristic.echoTo ? fullUUID(characteristic.echoTo) : null,
+      errors: characteristic.errors || {},
+      monitors: [],
+      descriptors: (characteristic.descriptors || []).map(descriptor => ({
+        id: nextId++,
+        uuid: fullUUID(descriptor.uuid),
+        value: hexToBase64(descriptor.value),
+        errors: descriptor.errors || {},
+      })),
+    })),
+  })),
+});
+
+export default class SimulatedBleManager {
+  constructor(fixture) {
+    // the fixture's error counts are used up, keep the caller's intact
+    const copy = JSON.parse(JSON.stringify(fixture));
+    this.adapterState = copy.adapterState || 'PoweredOn';
+    this.latency = copy.latency || 0;
+    this.advertisementInterval = copy.advertisementInterval || 1000;
+    this.errors = copy.errors || {};
+    this.peripherals = (copy.peripherals || []).map(buildPeripheral);
+    this.stateListeners = [];
+    this.disconnectListeners = [];
+    this.scanTimer = null;
+  }
+
+  // Runs body after the simulated latency, resolving to what it returns.
+  operation(body) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        try {
+          if (this.adapterState !== 'PoweredOn') {
+            throw new SimulatedBleError(
+              BleErrorCode.BluetoothPoweredOff,
+              'Bluetooth is powered off',
+            );
+          }
+          resolve(body());
+        } catch (error) {
+          reject(error);
+        }
+      }, this.latency);
+    });
+  }
+
+  // Adapter
+
+  state() {
+    return Promise.resolve(this.adapterState);
+  }
+
+  onStateChange(listener, emitCurrentState = false) {
+    const entry = {listener};
+    this.stateListeners.push(entry);
+    if (emitCurrentState) {
+      setTimeout(() => listener(this.adapterState), 0);
+    }
+    return {
+      remove: () => {
+        this.stateListeners = this.stateListeners.filter(
+          other => other !== entry,
+        );
+      },
+    };
+  }
+
+  enable() {
+    this.setAdapterState('PoweredOn');
+    return Promise.resolve(this);
+  }
+
+  // Simulation only: switches the adapter, dropping every connection when it
+  // isn't PoweredOn.
+  setAdapterState(adapterState) {
+    if (adapterState === this.adapterState) {
+      return;
+    }
+    this.adapterState = adapterState;
+    if (adapterState !== 'PoweredOn') {
+      this.stopDeviceScan();
+      this.peripherals
+        .filter(peripheral => peripheral.connected)
+        .forEach(peripheral =>
+          this.drop(
+            peripheral,
+            new SimulatedBleError(
+              BleErrorCode.DeviceDisconnected,
+              'Bluetooth was powered off',
+            ),
+          ),
+        );
+    }
+    this.stateListeners.forEach(({listener}) => listener(adapterState));
+  }
+
+  destroy() {
+    this.stopDeviceScan();
+    this.peripherals
+      .filter(peripheral => peripheral.connected)
+      .forEach(peripheral => this.drop(peripheral, null));
+    this.stateListeners = [];
+    this.disconnectListeners = [];
+  }
+
+  // Scanning
+
+  startDeviceScan(uuids, options, listener) {
+    this.stopDeviceScan();
+    const allowDuplicates = Boolean(options && options.allowDuplicates);
+    const reported = new Set();
+    const advertise = () => {
+      this.peripherals
+        .filter(
+          peripheral =>
+            !peripheral.connected &&
+            (!allowDuplicates ? !reported.has(peripheral.id) : true) &&
+            (!uuids ||
+              uuids.some(uuid =>
+                (peripheral.fixture.serviceUUIDs || []).some(advertised =>
+                  sameUUID(uuid, advertised),
+                ),
+              )),
+        )
+        .forEach(peripheral => {
+          reported.add(peripheral.id);
+          peripheral.advertisements++;
+          listener(null, this.device(peripheral));
+        });
+    };
+    const tick = () => {
+      try {
+        failIfInjected(this.errors, 'scan', BleErrorCode.ScanStartFailed);
+      } catch (error) {
+        this.scanTimer = null;
+        listener(error, null);
+        return;
+      }
+      advertise();
+      this.scanTimer = setTimeout(tick, this.advertisementInterval);
+    };
+    this.scanTimer = setTimeout(tick, 0);
+  }
+
+  stopDeviceScan() {
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer);
+      this.scanTimer = null;
+    }
+  }
+
+  // Connections
+
+  peripheral(deviceId) {
+    const peripheral = this.peripherals.find(
+      candidate => candidate.id === deviceId,
+    );
+    if (!peripheral) {
+      throw new SimulatedBleError(
+        BleErrorCode.DeviceNotFound,
+        `Device ${deviceId} was not found`,
+      );
+    }
+    return peripheral;
+  }
+
+  connectedPeripheral(deviceId) {
+    const peripheral = this.peripheral(deviceId);
+    if (!peripheral.connected) {
+      throw new SimulatedBleError(
+        BleErrorCode.DeviceNotConnected,
+        `Device ${deviceId} is not connected`,
+      );
+    }
+    return peripheral;
+  }
+
+  connectToDevice(deviceId) {
+    return this.operation(() => {
+      const peripheral = this.peripheral(deviceId);
+      if (peripheral.fixture.isConnectable === false) {
+        throw new SimulatedBleError(
+          BleErrorCode.DeviceConnectionFailed,
+          `Device ${deviceId} is not connectable`,
+        );
+      }
+      failIfInjected(
+        peripheral.fixture.errors,
+        'connect',
+        BleErrorCode.DeviceConnectionFailed,
+      );
+      if (!peripheral.connected) {
+        peripheral.connected = true;
+        peripheral.discovered = false;
+        peripheral.mtu = DEFAULT_MTU;
+        if (peripheral.fixture.disconnectAfter) {
+          peripheral.disconnectTimer = setTimeout(
+            () => this.simulateDisconnect(deviceId),
+            peripheral.fixture.disconnectAfter,
+          );
+        }
+      }
+      return this.device(peripheral);
+    });
+  }
+
+  cancelDeviceConnection(deviceId) {
+    return this.operation(() => {
+      const peripheral = this.connectedPeripheral(deviceId);
+      this.drop(peripheral, null);
+      return this.device(peripheral);
+    });
+  }
+
+  // Simulation only: the peripheral goes out of range.
+  simulateDisconnect(deviceId) {
+    const peripheral = this.peripheral(deviceId);
+    if (peripheral.connected) {
+      this.drop(
+        peripheral,
+        new SimulatedBleError(
+          BleErrorCode.DeviceDisconnected,
+          `Device ${deviceId} was disconnected`,
+        ),
+      );
+    }
+  }
+
+  // Ends the connection: monitors end with error, or are cancelled when the
+  // app disconnected itself, then the disconnect listeners are told.
+  drop(peripheral, error) {
+    peripheral.connected = false;
+    peripheral.discovered = false;
+    if (peripheral.disconnectTimer) {
+      clearTimeout(peripheral.disconnectTimer);
+      peripheral.disconnectTimer = null;
+    }
+    peripheral.services.forEach(service =>
+      service.characteristics.forEach(characteristic =>
+        characteristic.monitors
+          .slice()
+          .forEach(monitor => this.endMonitor(monitor, error || cancelled())),
+      ),
+    );
+    const device = this.device(peripheral);
+    this.disconnectListeners
+      .filter(entry => entry.deviceId === peripheral.id)
+      .forEach(entry => entry.listener(error, device));
+  }
+
+  onDeviceDisconnected(deviceId, listener) {
+    const entry = {deviceId, listener};
+    this.disconnectListeners.push(entry);
+    return {
+      remove: () => {
+        this.disconnectListeners = this.disconnectListeners.filter(
+          other => other !== entry,
+        );
+      },
+    };
+  }
+
+  isDeviceConnected(deviceId) {
+    return this.operation(() => this.peripheral(deviceId).connected);
+  }
+
+  requestMTUForDevice(deviceId, mtu) {
+    return this.operation(() => {
+      const peripheral = this.connectedPeripheral(deviceId);
+      peripheral.mtu = Math.max(
+        DEFAULT_MTU,
+        Math.min(mtu, peripheral.fixture.mtu || DEFAULT_MTU, MAX_MTU),
+      );
+      return this.device(peripheral);
+    });
+  }
+
+  readRSSIForDevice(deviceId) {
+    return this.operation(() =>
+      this.device(this.connectedPeripheral(deviceId)),
+    );
+  }
+
+  // Discovery
+
+  discoverAllServicesAndCharacteristicsForDevice(deviceId) {
+    return this.operation(() => {
+      const peripheral = this.connectedPeripheral(deviceId);
+      peripheral.discovered = true;
+      return this.device(peripheral);
+    });
+  }
+
+  discoveredPeripheral(deviceId) {
+    const peripheral = this.connectedPeripheral(deviceId);
+    if (!peripheral.discovered) {
+      throw new SimulatedBleError(
+        BleErrorCode.ServicesNotDiscovered,
+        `Services of ${deviceId} were not discovered`,
+      );
+    }
+    return peripheral;
+  }
+
+  findService(deviceId, serviceUUID) {
+    const peripheral = this.discoveredPeripheral(deviceId);
+    const service = peripheral.services.find(candidate =>
+      sameUUID(candidate.uuid, serviceUUID),
+    );
+    if (!service) {
+      throw new SimulatedBleError(
+        BleErrorCode.ServiceNotFound,
+        `Service ${serviceUUID} was not found`,
+      );
+    }
+    return {peripheral, service};
+  }
+
+  findCharacteristic(deviceId, serviceUUID, characteristicUUID) {
+    const {peripheral, service} = this.findService(deviceId, serviceUUID);
+    const characteristic = service.characteristics.find(candidate =>
+      sameUUID(candidate.uuid, characteristicUUID),
+    );
+    if (!characteristic) {
+      throw new SimulatedBleError(
+        BleErrorCode.CharacteristicNotFound,
+        `Characteristic ${characteristicUUID} was not found`,
+      );
+    }
+    return {peripheral, service, characteristic};
+  }
+
+  findDescriptor(deviceId, serviceUUID, characteristicUUID, descriptorUUID) {
+    const found = this.findCharacteristic(
+      deviceId,
+      serviceUUID,
+      characteristicUUID,
+    );
+    const descriptor = found.characteristic.descriptors.find(candidate =>
+      sameUUID(candidate.uuid, descriptorUUID),
+    );
+    if (!descriptor) {
+      throw new SimulatedBleError(
+        BleErrorCode.DescriptorNotFound,
+        `Descriptor ${descriptorUUID} was not found`,
+      );
+    }
+    return {...found, descriptor};
+  }
+
+  servicesForDevice(deviceId) {
+    return this.operation(() => {
+      const peripheral = this.discoveredPeripheral(deviceId);
+      return peripheral.services.map(service =>
+        this.service(peripheral, service),
+      );
+    });
+  }
+
+  characteristicsForDevice(deviceId, serviceUUID) {
+    return this.operation(() => {
+      const {peripheral, service} = this.findService(deviceId, serviceUUID);
+      return service.characteristics.map(characteristic =>
+        this.characteristic(peripheral, service, characteristic),
+      );
+    });
+  }
+
+  descriptorsForDevice(deviceId, serviceUUID, characteristicUUID) {
+    return this.operation(() => {
+      const {peripheral, service, characteristic} = this.findCharacteristic(
+        deviceId,
+        serviceUUID,
+        characteristicUUID,
+      );
+      return characteristic.descriptors.map(descriptor =>
+        this.descriptor(peripheral, service, characteristic, descriptor),
+      );
+    });
+  }
+
+  // Characteristics
+
+  readCharacteristicForDevice(deviceId, serviceUUID, characteristicUUID) {
+    return this.operation(() => {
+      const {peripheral, service, characteristic} = this.findCharacteristic(
+        deviceId,
+        serviceUUID,
+        characteristicUUID,
+      );
+      if (!characteristic.properties.includes('read')) {
+        throw new SimulatedBleError(
+          BleErrorCode.CharacteristicReadFailed,
+          'Read not permitted',
+          0x02,
+        );
+      }
+      failIfInjected(
+        characteristic.errors,
+        'read',
+        BleErrorCode.CharacteristicReadFailed,
+      );
+      if (characteristic.reads.length > 0) {
+        characteristic.value =
+          characteristic.reads.length > 1
+            ? characteristic.reads.shift()
+            : characteristic.reads[0];
+      }
+      return this.characteristic(peripheral, service, characteristic);
+    });
+  }
+
+  write(deviceId, serviceUUID, characteristicUUID, value, property) {
+    return this.operation(() => {
+      const {peripheral, service, characteristic} = this.findCharacteristic(
+        deviceId,
+        serviceUUID,
+        characteristicUUID,
+      );
+      if (!characteristic.properties.includes(property)) {
+        throw new SimulatedBleError(
+          BleErrorCode.CharacteristicWriteFailed,
+          'Write not permitted',
+          0x03,
+        );
+      }
+      failIfInjected(
+        characteristic.errors,
+        'write',
+        BleErrorCode.CharacteristicWriteFailed,
+      );
+      characteristic.value = value;
+      const echo =
+        characteristic.echoTo &&
+        service.characteristics.find(candidate =>
+          sameUUID(candidate.uuid, characteristic.echoTo),
+        );
+      if (echo) {
+        echo.value = value;
+        this.notify(peripheral, service, echo);
+      }
+      return this.characteristic(peripheral, service, characteristic);
+    });
+  }
+
+  writeCharacteristicWithResponseForDevice(
+    deviceId,
+    serviceUUID,
+    characteristicUUID,
+    value,
+  ) {
+    return this.write(
+      deviceId,
+      serviceUUID,
+      characteristicUUID,
+      value,
+      'write',
+    );
+  }
+
+  writeCharacteristicWithoutResponseForDevice(
+    deviceId,
+    serviceUUID,
+    characteristicUUID,
+    value,
+  ) {
+    return this.write(
+      deviceId,
+      serviceUUID,
+      characteristicUUID,
+      value,
+      'writeWithoutResponse',
+    );
+  }
+
+  notify(peripheral, service, characteristic) {
+    characteristic.monitors.forEach(monitor =>
+      monitor.listener(
+        null,
+        this.characteristic(peripheral, service, characteristic),
+      ),
+    );
+  }
+
+  endMonitor(monitor, error) {
+    const characteristic = monitor.characteristic;
+    if (!characteristic.monitors.includes(monitor)) {
+      return;
+    }
+    characteristic.monitors = characteristic.monitors.filter(
+      other => other !== monitor,
+    );
+    if (monitor.timer) {
+      clearInterval(monitor.timer);
+    }
+    monitor.listener(error, null);
+  }
+
+  monitorCharacteristicForDevice(
+    deviceId,
+    serviceUUID,
+    characteristicUUID,
+    listener,
+  ) {
+    const monitor = {characteristic: null, listener, timer: null};
+    let removed = false;
+    this.operation(() => {
+      const {peripheral, service, characteristic} = this.findCharacteristic(
+        deviceId,
+        serviceUUID,
+        characteristicUUID,
+      );
+      if (
+        !characteristic.properties.includes('notify') &&
+        !characteristic.properties.includes('indicate')
+      ) {
+        throw new SimulatedBleError(
+          BleErrorCode.CharacteristicNotifyChangeFailed,
+          'Notifications not supported',
+        );
+      }
+      failIfInjected(
+        characteristic.errors,
+        'notify',
+        BleErrorCode.CharacteristicNotifyChangeFailed,
+      );
+      if (removed) {
+        throw cancelled();
+      }
+      monitor.characteristic = characteristic;
+      characteristic.monitors.push(monitor);
+      const notifications = characteristic.notifications;
+      if (notifications && notifications.values.length > 0) {
+        let index = 0;
+        monitor.timer = setInterval(() => {
+          characteristic.value = hexToBase64(
+            notifications.values[index++ % notifications.values.length],
+          );
+          this.notify(peripheral, service, characteristic);
+        }, notifications.interval || 1000);
+      }
+    }).catch(error => listener(error, null));
+    return {
+      remove: () => {
+        removed = true;
+        if (monitor.characteristic) {
+          this.endMonitor(monitor, cancelled());
+        }
+      },
+    };
+  }
+
+  // Descriptors
+
+  readDescriptorForDevice(
+    deviceId,
+    serviceUUID,
+    characteristicUUID,
+    descriptorUUID,
+  ) {
+    return this.operation(() => {
+      const found = this.findDescriptor(
+        deviceId,
+        serviceUUID,
+        characteristicUUID,
+        descriptorUUID,
+      );
+      failIfInjected(
+        found.descriptor.errors,
+        'read',
+        BleErrorCode.DescriptorReadFailed,
+      );
+      return this.descriptor(
+        found.peripheral,
+        found.service,
+        found.characteristic,
+        found.descriptor,
+      );
+    });
+  }
+
+  writeDescriptorForDevice(
+    deviceId,
+    serviceUUID,
+    characteristicUUID,
+    descriptorUUID,
+    value,
+  ) {
+    return this.operation(() => {
+      const found = this.findDescriptor(
+        deviceId,
+        serviceUUID,
+        characteristicUUID,
+        descriptorUUID,
+      );
+      failIfInjected(
+        found.descriptor.errors,
+        'write',
+        BleErrorCode.DescriptorWriteFailed,
+      );
+      found.descriptor.value = value;
+      return this.descriptor(
+        found.peripheral,
+        found.service,
+        found.characteristic,
+        found.descriptor,
+      );
+    });
+  }
+
+  // The objects handed out, shaped like ble-plx's Device, Service,
+  // Characteristic and Descriptor: snapshots of the peripheral's state whose
+  // methods go through the manager.
+
+  device(peripheral) {
+    const fixture = peripheral.fixture;
+    const rssi = Array.isArray(fixture.rssi)
+      ? fixture.rssi[
+          Math.max(0, peripheral.advertisements - 1) % fixture.rssi.length
+        ]
+      : fixture.rssi === undefined
+      ? null
+      : fixture.rssi;
+    const id = peripheral.id;
+    return {
+      id,
+      name: fixture.name || null,
+      localName: fixture.localName || null,
+      rssi,
+      mtu: peripheral.mtu,
+      txPowerLevel:
+        fixture.txPowerLevel === undefined ? null : fixture.txPowerLevel,
+      isConnectable:
+        fixture.isConnectable === undefined ? null : fixture.isConnectable,
+      manufacturerData: hexToBase64(fixture.manufacturerData),
+      serviceData: fixture.serviceData
+        ? Object.keys(fixture.serviceData).reduce(
+            (data, uuid) => ({
+              ...data,
+              [fullUUID(uuid)]: hexToBase64(fixture.serviceData[uuid]),
+            }),
+            {},
+          )
+        : null,
+      serviceUUIDs: fixture.serviceUUIDs
+        ? fixture.serviceUUIDs.map(fullUUID)
+        : null,
+      solicitedServiceUUIDs: null,
+      overflowServiceUUIDs: null,
+      connect: () => this.connectToDevice(id),
+      cancelConnection: () => this.cancelDeviceConnection(id),
+      isConnected: () => this.isDeviceConnected(id),
+      onDisconnected: listener => this.onDeviceDisconnected(id, listener),
+      requestMTU: mtu => this.requestMTUForDevice(id, mtu),
+      readRSSI: () => this.readRSSIForDevice(id),
+      discoverAllServicesAndCharacteristics: () =>
+        this.discoverAllServicesAndCharacteristicsForDevice(id),
+      services: () => this.servicesForDevice(id),
+      characteristicsForService: serviceUUID =>
+        this.characteristicsForDevice(id, serviceUUID),
+      descriptorsForService: (serviceUUID, characteristicUUID) =>
+        this.descriptorsForDevice(id, serviceUUID, characteristicUUID),
+      readCharacteristicForService: (serviceUUID, characteristicUUID) =>
+        this.readCharacteristicForDevice(id, serviceUUID, characteristicUUID),
+      writeCharacteristicWithResponseForService: (
+        serviceUUID,
+        characteristicUUID,
+        value,
+      ) =>
+        this.writeCharacteristicWithResponseForDevice(
+          id,
+          serviceUUID,
+          characteristicUUID,
+          value,
+        ),
+      writeCharacteristicWithoutResponseForService: (
+        serviceUUID,
+        characteristicUUID,
+        value,
+      ) =>
+        this.writeCharacteristicWithoutResponseForDevice(
+          id,
+          serviceUUID,
+          characteristicUUID,
+          value,
+        ),
+      monitorCharacteristicForService: (
+        serviceUUID,
+        characteristicUUID,
+        listener,
+      ) =>
+        this.monitorCharacteristicForDevice(
+          id,
+          serviceUUID,
+          characteristicUUID,
+          listener,
+        ),
+      readDescriptorForService: (
+        serviceUUID,
+        characteristicUUID,
+        descriptorUUID,
+      ) =>
+        this.readDescriptorForDevice(
+          id,
+          serviceUUID,
+          characteristicUUID,
+          descriptorUUID,
+        ),
+      writeDescriptorForService: (
+        serviceUUID,
+        characteristicUUID,
+        descriptorUUID,
+        value,
+      ) =>
+        this.writeDescriptorForDevice(
+          id,
+          serviceUUID,
+          characteristicUUID,
+          descriptorUUID,
+          value,
+        ),
+    };
+  }
+
+  service(peripheral, service) {
+    return {
+      id: service.id,
+      uuid: service.uuid,
+      deviceID: peripheral.id,
+      isPrimary: service.isPrimary,
+      characteristics: () =>
+        this.characteristicsForDevice(peripheral.id, service.uuid),
+    };
+  }
+
+  characteristic(peripheral, service, characteristic) {
+    const flags = {};
+    Object.keys(PROPERTIES).forEach(property => {
+      flags[PROPERTIES[property]] = characteristic.properties.includes(
+        property,
+      );
+    });
+    return {
+      id: characteristic.id,
+      uuid: characteristic.uuid,
+      serviceID: service.id,
+      serviceUUID: service.uuid,
+      deviceID: peripheral.id,
+      ...flags,
+      isNotifying: characteristic.monitors.length > 0,
+      value: characteristic.value,
+      descriptors: () =>
+        this.descriptorsForDevice(
+          peripheral.id,
+          service.uuid,
+          characteristic.uuid,
+        ),
+      read: () =>
+        this.readCharacteristicForDevice(
+          peripheral.id,
+          service.uuid,
+          characteristic.uuid,
+        ),
+    };
+  }
+
+  descriptor(peripheral, service, characteristic, descriptor) {
+    return {
+      id: descriptor.id,
+      uuid: descriptor.uuid,
+      characteristicID: characteristic.id,
+      characteristicUUID: characteristic.uuid,
+      serviceID: service.id,
+      serviceUUID: service.uuid,
+      deviceID: peripheral.id,
+      value: descriptor.value,
+      read: () =>
+        this.readDescriptorForDevice(
+          peripheral.id,
+          service.uuid,
+          characteristic.uuid,
+          descriptor.uuid,
+        ),
+    };
+  }
+}
@@ -0,0 +1,96 @@
+// A serial console over a pair of characteristics: lines are written to the
+// TX characteristic and received as notifications of the RX characteristic.
+// Received chunks rarely line up with lines, so they are collected until a
+// line ending arrives.
+import {concatBytes} from './Encoding';
+import {characteristicKey, gattCharacteristics, gattServices} from './Gatt';
+import {sameUUID} from './UUID';
+
+// The Nordic UART Service names its characteristics from the peripheral's
+// point of view: we write to its RX and are notified on its TX.
+export const NORDIC_UART = {
+  serviceUUID: '6e400001-b5a3-f393-e0a9-e50e24dcca9e',
+  txUUID: '6e400002-b5a3-f393-e0a9-e50e24dcca9e',
+  rxUUID: '6e400003-b5a3-f393-e0a9-e50e24dcca9e',
+};
+
+const isWritable = characteristic =>
+  characteristic.isWritableWithResponse ||
+  characteristic.isWritableWithoutResponse;
+
+const isNotifiable = characteristic =>
+  characteristic.isNotifiable || characteristic.isIndicatable;
+
+const findCharacteristic = (gatt, serviceUUID, uuid) =>
+  gatt && gatt.characteristics[characteristicKey(serviceUUID, uuid)];
+
+export const samePair = (a, b) =>
+  Boolean(a && b) &&
+  sameUUID(a.serviceUUID, b.serviceUUID) &&
+  sameUUID(a.txUUID, b.txUUID) &&
+  sameUUID(a.rxUUID, b.rxUUID);
+
+// Whether pair ({serviceUUID, txUUID, rxUUID}) can be used on the device
+// with this GATT tree.
+export const isUsablePair = (gatt, pair) => {
+  if (!pair) {
+    return false;
+  }
+  const tx = findCharacteristic(gatt, pair.serviceUUID, pair.txUUID);
+  const rx = findCharacteristic(gatt, pair.serviceUUID, pair.rxUUID);
+  return Boolean(tx && rx && isWritable(tx) && isNotifiable(rx));
+};
+
+// The Nordic UART pair, if the device has one.
+export const detectUART = gatt =>
+  isUsablePair(gatt, NORDIC_UART) ? NORDIC_UART : null;
+
+// Everything the user can pick as TX or RX, as [{serviceUUID, uuid}].
+export const terminalCandidates = gatt => {
+  const characteristics = gattServices(gatt).reduce(
+    (all, service) => [...all, ...gattCharacteristics(gatt, service.uuid)],
+    [],
+  );
+  return {
+    tx: characteristics.filter(isWritable),
+    rx: characteristics.filter(isNotifiable),
+  };
+};
+
+// How received data is split into lines; 'none' shows chunks as they come.
+export const RECEIVE_LINE_ENDINGS = [
+  {label: 'LF', value: 'lf'},
+  {label: 'CR', value: 'cr'},
+  {label: 'None', value: 'none'},
+];
+
+const LF = 0x0a;
+const CR = 0x0d;
+
+// Appends chunk to the incomplete line pending and cuts off every complete
+// line, returning {lines, pending} with the line endings removed. With 'lf'
+// a CR before the LF is dropped too, so CRLF works as well.
+export const assembleLines = (pending, chunk, lineEnding) => {
+  if (lineEnding === 'none') {
+    return {lines: [concatBytes(pending, chunk)], pending: new Uint8Array(0)};
+  }
+  const delimiter = lineEnding === 'cr' ? CR : LF;
+  const data = concatBytes(pending, chunk);
+  const lines = [];
+  let start = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === delimiter) {
+      const end =
+        lineEnding === 'lf' && i > start && data[i - 1] === CR ? i - 1 : i;
+      lines.push(data.slice(start, end));
+      start = i + 1;
+    }
+  }
+  return {lines, pending: data.slice(start)};
+};
+
+// Steps through the command history like a shell's up and down keys.
+// position is an index into history, history.length being the empty line
+// below the most recent command.
+export const historyStep = (history, position, step) =>
+  Math.max(0, Math.min(history.length, position + step));
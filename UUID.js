@@ -0,0 +1,40 @@
+// Bluetooth SIG UUIDs are written as 16 or 32 bits short for the base UUID
+// 0000xxxx-0000-1000-8000-00805f9b34fb.
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+const SHORT_UUID = /^(0x)?([0-9a-f]{4}|[0-9a-f]{8})$/;
+const LONG_UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Whether fullUUID understands the text: 16 or 32-bit hex, optionally
+// prefixed with 0x, or the dashed 128-bit form.
+export const isUUID = text => {
+  const lower = text.trim().toLowerCase();
+  return SHORT_UUID.test(lower) || LONG_UUID.test(lower);
+};
+
+// Lowercase 128-bit form of a 16, 32 or 128-bit UUID.
+export const fullUUID = uuid => {
+  const lower = uuid.trim().toLowerCase();
+  const short = SHORT_UUID.exec(lower);
+  if (!short) {
+    return lower;
+  }
+  return `${short[2].padStart(8, '0')}${BASE_UUID_SUFFIX}`;
+};
+
+export const sameUUID = (a, b) => fullUUID(a) === fullUUID(b);
+
+// The 16-bit number of a base UUID, or null for vendor (and 32-bit) UUIDs.
+export const shortUUID = uuid => {
+  const full = fullUUID(uuid);
+  if (!full.startsWith('0000') || !full.endsWith(BASE_UUID_SUFFIX)) {
+    return null;
+  }
+  return parseInt(full.slice(4, 8), 16);
+};
+
+export const formatShortUUID = number =>
+  `0x${number
+    .toString(16)
+    .toUpperCase()
+    .padStart(4, '0')}`;
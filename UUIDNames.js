@@ -0,0 +1,79 @@
+// Names for UUIDs and company ids: the bundled SIG assigned numbers, plus
+// names users give their own vendor UUIDs (the uuidNames reducer, keyed by
+// fullUUID).
+import {
+  CHARACTERISTICS,
+  COMPANIES,
+  DESCRIPTORS,
+  SERVICES,
+} from './AssignedNumbers';
+import {formatShortUUID, fullUUID, isUUID, shortUUID} from './UUID';
+
+const TABLES = {
+  service: SERVICES,
+  characteristic: CHARACTERISTICS,
+  descriptor: DESCRIPTORS,
+};
+
+// kind is 'service', 'characteristic' or 'descriptor'. User names win over
+// the assigned numbers.
+export const uuidName = (uuid, kind, customNames = {}) => {
+  const custom = customNames[fullUUID(uuid)];
+  if (custom) {
+    return custom;
+  }
+  const number = shortUUID(uuid);
+  return (number !== null && TABLES[kind][number]) || null;
+};
+
+// "Battery Service (0x180F)", "My Service", or the UUID itself.
+export const uuidLabel = (uuid, kind, customNames) => {
+  const name = uuidName(uuid, kind, customNames);
+  const number = shortUUID(uuid);
+  if (number === null) {
+    return name || uuid;
+  }
+  const short = formatShortUUID(number);
+  return name ? `${name} (${short})` : short;
+};
+
+export const companyLabel = companyId =>
+  COMPANIES[companyId]
+    ? `${COMPANIES[companyId]} (${formatShortUUID(companyId)})`
+    : formatShortUUID(companyId);
+
+// {"names": {"<uuid>": "<name>", ...}} with the UUIDs sorted, so exports of
+// the same names are identical.
+export const exportUUIDNames = names =>
+  JSON.stringify(
+    {
+      names: Object.keys(names)
+        .sort()
+        .reduce((sorted, uuid) => ({...sorted, [uuid]: names[uuid]}), {}),
+    },
+    null,
+    2,
+  );
+
+// Reads what exportUUIDNames wrote; UUIDs may be in any form fullUUID takes.
+export const parseUUIDNames = json => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed.names !== 'object' || parsed.names === null) {
+    throw new Error('Expected an object with a "names" object');
+  }
+  return Object.keys(parsed.names).reduce((names, uuid) => {
+    const name = parsed.names[uuid];
+    if (!isUUID(uuid)) {
+      throw new Error(`"${uuid}" is not a UUID`);
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error(`The name for ${uuid} must be a non-empty string`);
+    }
+    return {...names, [fullUUID(uuid)]: name.trim()};
+  }, {});
+};
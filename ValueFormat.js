@@ -0,0 +1,301 @@
+// A small language for describing packed values, e.g.
+//
+//   u8 flags; i16le temp/100 "°C"; u32le counter
+//
+// Fields are separated by ";" or newlines and read "<type> <name>", then an
+// optional scale ("/100" or "*0.5") and unit ("°C") for numbers. Types:
+//
+//   u8 i8 u16 i16 u24 i24 u32 i32   integers, little-endian unless "be" is
+//                                   appended (u16be); "le" may be spelled out
+//   f32 f32be                       IEEE 754 floats
+//   hex[N] utf8[N]                  N bytes, or the rest of the value when
+//                                   [N] is left off (last field only)
+import {
+  bytesToHex,
+  bytesToUtf8,
+  concatBytes,
+  hexToBytes,
+  utf8ToBytes,
+} from './Encoding';
+import {fullUUID, isUUID} from './UUID';
+
+const INTEGER = /^([ui])(8|16|24|32)(le|be)?$/;
+const FLOAT = /^f32(le|be)?$/;
+const BYTES = /^(hex|utf8)(?:\[(\d+)\])?$/;
+const FIELD = /^(\S+)\s+([A-Za-z_]\w*)\s*(?:([/*])\s*([0-9.eE+-]+))?\s*(?:"([^"]*)")?$/;
+
+const parseType = type => {
+  const integer = INTEGER.exec(type);
+  if (integer) {
+    return {
+      kind: 'integer',
+      signed: integer[1] === 'i',
+      size: Number(integer[2]) / 8,
+      bigEndian: integer[3] === 'be',
+    };
+  }
+  const float = FLOAT.exec(type);
+  if (float) {
+    return {kind: 'float', size: 4, bigEndian: float[1] === 'be'};
+  }
+  const bytes = BYTES.exec(type);
+  if (bytes) {
+    return {
+      kind: bytes[1],
+      // null: everything that is left
+      size: bytes[2] === undefined ? null : Number(bytes[2]),
+    };
+  }
+  return null;
+};
+
+// Parses a definition into [{name, type, kind, size, signed, bigEndian,
+// scale, unit}], scale being what the raw number is multiplied by. Throws on
+// the first field that doesn't parse.
+export const parseFormat = text => {
+  const definitions = text
+    .split(/[;\n]/)
+    .map(definition => definition.trim())
+    .filter(definition => definition !== '');
+  if (definitions.length === 0) {
+    throw new Error('The format has no fields');
+  }
+  const names = new Set();
+  return definitions.map((definition, index) => {
+    const where = `Field ${index + 1} ("${definition}")`;
+    const match = FIELD.exec(definition);
+    if (!match) {
+      throw new Error(`${where}: expected <type> <name> [/scale] ["unit"]`);
+    }
+    const [, type, name, operator, operand, unit] = match;
+    const parsed = parseType(type);
+    if (!parsed) {
+      throw new Error(`${where}: unknown type ${type}`);
+    }
+    if (names.has(name)) {
+      throw new Error(`${where}: there already is a field called ${name}`);
+    }
+    names.add(name);
+    if (parsed.size === null && index !== definitions.length - 1) {
+      throw new Error(`${where}: only the last field can leave out its length`);
+    }
+    const numeric = parsed.kind === 'integer' || parsed.kind === 'float';
+    if (!numeric && (operator || unit !== undefined)) {
+      throw new Error(`${where}: only numbers can have a scale or unit`);
+    }
+    const factor = operator ? Number(operand) : 1;
+    if (!Number.isFinite(factor) || factor === 0) {
+      throw new Error(`${where}: ${operand} is not a usable scale`);
+    }
+    return {
+      ...parsed,
+      name,
+      type,
+      scale: operator === '/' ? 1 / factor : factor,
+      unit: unit || '',
+    };
+  });
+};
+
+// rounded so that 3 * 0.1 shows as 0.3, not 0.30000000000000004
+const applyScale = (raw, scale) => Number((raw * scale).toPrecision(12));
+
+const readInteger = (bytes, offset, field) => {
+  let value = 0;
+  for (let i = 0; i < field.size; i++) {
+    const byte = bytes[offset + (field.bigEndian ? field.size - 1 - i : i)];
+    value += byte * Math.pow(256, i);
+  }
+  const range = Math.pow(256, field.size);
+  return field.signed && value >= range / 2 ? value - range : value;
+};
+
+const floatView = size => new DataView(new ArrayBuffer(size));
+
+const readFloat = (bytes, offset, field) => {
+  const view = floatView(4);
+  bytes.slice(offset, offset + 4).forEach((byte, i) => view.setUint8(i, byte));
+  return Number(view.getFloat32(0, !field.bigEndian).toPrecision(7));
+};
+
+const display = (value, field) =>
+  field.unit ? `${value} ${field.unit}` : String(value);
+
+// Decodes bytes into [{label, value}], like the SIG decoders in Decoders.js.
+// Bytes beyond the last field are shown rather than dropped.
+export const decodeFormat = (fields, bytes) => {
+  let offset = 0;
+  const decoded = fields.map(field => {
+    const size = field.size === null ? bytes.length - offset : field.size;
+    if (offset + size > bytes.length) {
+      throw new Error(
+        `${field.name} needs ${size} bytes at offset ${offset}, the value ` +
+          `is ${bytes.length} bytes`,
+      );
+    }
+    const start = offset;
+    offset += size;
+    switch (field.kind) {
+      case 'integer':
+        return {
+          label: field.name,
+          value: display(
+            applyScale(readInteger(bytes, start, field), field.scale),
+            field,
+          ),
+        };
+      case 'float':
+        return {
+          label: field.name,
+          value: display(
+            applyScale(readFloat(bytes, start, field), field.scale),
+            field,
+          ),
+        };
+      case 'hex':
+        return {
+          label: field.name,
+          value: bytesToHex(bytes.slice(start, offset)),
+        };
+      default:
+        return {
+          label: field.name,
+          value: bytesToUtf8(bytes.slice(start, offset)),
+        };
+    }
+  });
+  if (offset < bytes.length) {
+    decoded.push({
+      label: 'Trailing bytes',
+      value: bytesToHex(bytes.slice(offset)),
+    });
+  }
+  return decoded;
+};
+
+const encodeNumber = (field, text) => {
+  const value = Number(text);
+  if (text.trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`${field.name}: "${text}" is not a number`);
+  }
+  const raw = Number((value / field.scale).toPrecision(12));
+  if (field.kind === 'float') {
+    const view = floatView(4);
+    view.setFloat32(0, raw, !field.bigEndian);
+    return new Uint8Array(view.buffer);
+  }
+  const integer = Math.round(raw);
+  const range = Math.pow(256, field.size);
+  const min = field.signed ? -range / 2 : 0;
+  const max = field.signed ? range / 2 - 1 : range - 1;
+  if (integer < min || integer > max) {
+    throw new Error(
+      `${field.name}: ${integer} is out of range for ${field.type} ` +
+        `(${min} to ${max})`,
+    );
+  }
+  let unsigned = integer < 0 ? integer + range : integer;
+  const bytes = new Uint8Array(field.size);
+  for (let i = 0; i < field.size; i++) {
+    bytes[field.bigEndian ? field.size - 1 - i : i] = unsigned % 256;
+    unsigned = Math.floor(unsigned / 256);
+  }
+  return bytes;
+};
+
+const encodeBytes = (field, text) => {
+  let bytes;
+  try {
+    bytes = field.kind === 'hex' ? hexToBytes(text) : utf8ToBytes(text);
+  } catch (error) {
+    throw new Error(`${field.name}: ${error.message}`);
+  }
+  if (field.size === null) {
+    return bytes;
+  }
+  if (bytes.length > field.size) {
+    throw new Error(
+      `${field.name}: ${bytes.length} bytes don't fit in ${field.size}`,
+    );
+  }
+  // fixed-size text is padded with NULs, hex has to fill the field
+  if (field.kind === 'hex' && bytes.length < field.size) {
+    throw new Error(`${field.name}: needs ${field.size} bytes of hex`);
+  }
+  const padded = new Uint8Array(field.size);
+  padded.set(bytes);
+  return padded;
+};
+
+// The inverse of decodeFormat: values maps field names to what was typed for
+// them, in the field's unit. Throws naming the first field that doesn't fit.
+export const encodeFormat = (fields, values) => {
+  const parts = fields.map(field => {
+    const text = values[field.name] === undefined ? '' : values[field.name];
+    return field.kind === 'integer' || field.kind === 'float'
+      ? encodeNumber(field, text)
+      : encodeBytes(field, text);
+  });
+  return concatBytes(...parts);
+};
+
+// {"formats": [{service, characteristic, format}]}, sorted so exports of the
+// same definitions are identical. definitions is the formats reducer's.
+export const exportFormats = definitions =>
+  JSON.stringify(
+    {
+      formats: Object.keys(definitions)
+        .sort()
+        .map(key => ({
+          service: definitions[key].serviceUUID,
+          characteristic: definitions[key].characteristicUUID,
+          format: definitions[key].format,
+        })),
+    },
+    null,
+    2,
+  );
+
+// Reads what exportFormats wrote back into reducer definitions, keyed by
+// keyOf(serviceUUID, characteristicUUID). Every format has to parse.
+export const parseFormats = (json, keyOf) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (!parsed || !Array.isArray(parsed.formats)) {
+    throw new Error('Expected an object with a "formats" array');
+  }
+  return parsed.formats.reduce((definitions, entry, index) => {
+    const where = `Format ${index + 1}`;
+    if (
+      !entry ||
+      typeof entry.service !== 'string' ||
+      !isUUID(entry.service) ||
+      typeof entry.characteristic !== 'string' ||
+      !isUUID(entry.characteristic)
+    ) {
+      throw new Error(`${where}: needs service and characteristic UUIDs`);
+    }
+    if (typeof entry.format !== 'string') {
+      throw new Error(`${where}: needs a format string`);
+    }
+    try {
+      parseFormat(entry.format);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+    const serviceUUID = fullUUID(entry.service);
+    const characteristicUUID = fullUUID(entry.characteristic);
+    return {
+      ...definitions,
+      [keyOf(serviceUUID, characteristicUUID)]: {
+        serviceUUID,
+        characteristicUUID,
+        format: entry.format,
+      },
+    };
+  }, {});
+};
@@ -0,0 +1,116 @@
+/**
+ * @format
+ */
+
+import {
+  decodeEddystoneURL,
+  describeAdvertisement,
+  parseEddystone,
+  parseIBeacon,
+  parseManufacturerData,
+} from '../Advertisement';
+import {bytesToBase64, hexToBytes} from '../Encoding';
+
+const base64 = hex => bytesToBase64(hexToBytes(hex));
+
+const EDDYSTONE = '0000feaa-0000-1000-8000-00805f9b34fb';
+
+const fieldsOf = beacon =>
+  beacon.fields.reduce(
+    (fields, field) => ({...fields, [field.label]: field.value}),
+    {},
+  );
+
+describe('manufacturer data', () => {
+  it('splits off the little-endian company id', () => {
+    const data = parseManufacturerData(base64('5900 01 02'));
+    expect(data.companyId).toBe(0x0059);
+    expect(Array.from(data.payload)).toEqual([1, 2]);
+    expect(parseManufacturerData(base64('59'))).toBe(null);
+  });
+
+  it('parses iBeacon', () => {
+    const data = parseManufacturerData(
+      base64('4C00 0215 E2C56DB5DFFB48D2B060D0F5A71096E0 0001 0002 C5'),
+    );
+    const beacon = parseIBeacon(data);
+    expect(beacon.format).toBe('iBeacon');
+    expect(fieldsOf(beacon)).toEqual({
+      'Proximity UUID': 'e2c56db5-dffb-48d2-b060-d0f5a71096e0',
+      Major: '1',
+      Minor: '2',
+      'Measured power': '-59 dBm at 1 m',
+    });
+  });
+
+  it('ignores other Apple data', () => {
+    expect(parseIBeacon(parseManufacturerData(base64('4C00 1005 0102')))).toBe(
+      null,
+    );
+  });
+});
+
+describe('Eddystone', () => {
+  it('parses UID frames', () => {
+    const beacon = parseEddystone(
+      EDDYSTONE,
+      base64('00 EE 0102030405060708090A 0B0C0D0E0F10 0000'),
+    );
+    expect(beacon.format).toBe('Eddystone UID');
+    expect(fieldsOf(beacon)).toEqual({
+      'Tx power': '-18 dBm at 0 m',
+      Namespace: '0102030405060708090A',
+      Instance: '0B0C0D0E0F10',
+    });
+  });
+
+  it('parses URL frames', () => {
+    const beacon = parseEddystone('feaa', base64('10 EB 03 676F6F676C65 00'));
+    expect(fieldsOf(beacon).URL).toBe('https://google.com/');
+    expect(decodeEddystoneURL(0, [0x61, 0x07])).toBe('http://www.a.com');
+  });
+
+  it('parses unencrypted TLM frames', () => {
+    const beacon = parseEddystone(
+      EDDYSTONE,
+      base64('20 00 0BB8 1880 0000000A 00000064'),
+    );
+    expect(fieldsOf(beacon)).toEqual({
+      Battery: '3000 mV',
+      Temperature: '24.5 °C',
+      Advertisements: '10',
+      Uptime: '10 s',
+    });
+    expect(
+      fieldsOf(
+        parseEddystone(EDDYSTONE, base64('20 00 0000 8000 00000000 00000000')),
+      ).Temperature,
+    ).toBe('n/a');
+  });
+
+  it('ignores other services and unknown frames', () => {
+    expect(parseEddystone('180f', base64('00'))).toBe(null);
+    expect(parseEddystone(EDDYSTONE, base64('30 00'))).toBe(null);
+  });
+});
+
+describe('describeAdvertisement', () => {
+  it('collects manufacturer data, service data and beacons', () => {
+    const description = describeAdvertisement({
+      manufacturerData: base64('5900 AA'),
+      serviceData: {[EDDYSTONE]: base64('10 EB 02 6162 07')},
+    });
+    expect(description.manufacturerData.companyId).toBe(0x0059);
+    expect(description.manufacturerData.beacon).toBe(null);
+    expect(description.serviceData).toHaveLength(1);
+    expect(description.beacons.map(beacon => beacon.format)).toEqual([
+      'Eddystone URL',
+    ]);
+  });
+
+  it('handles devices without advertisement data', () => {
+    expect(
+      describeAdvertisement({manufacturerData: null, serviceData: null}),
+    ).toEqual({manufacturerData: null, serviceData: [], beacons: []});
+  });
+});
@@ -7,8 +7,62 @@ import React from 'react';
 import App from '../App';
 
 // Note: test renderer must be required after react-native.
-import renderer from 'react-test-renderer';
+import renderer, {act} from 'react-test-renderer';
 
-it('renders correctly', () => {
-  renderer.create(<App />);
+jest.mock('../Config', () => ({SIMULATE_BLE: true}));
+jest.useFakeTimers();
+
+const texts = node =>
+  node
+    .findAllByType('Text')
+    .map(text => text.props.children)
+    .flat(Infinity)
+    .filter(child => typeof child === 'string' || typeof child === 'number')
+    .join('');
+
+const advance = async ms => {
+  for (let i = 0; i < 20; i++) {
+    await act(async () => {
+      jest.advanceTimersByTime(ms / 20);
+    });
+  }
+};
+
+// Presses the innermost pressable showing label.
+const press = async (root, label) => {
+  const pressables = root.findAll(
+    node =>
+      typeof node.type !== 'string' &&
+      typeof node.props.onPress === 'function' &&
+      texts(node).includes(label),
+  );
+  await act(async () => {
+    pressables[pressables.length - 1].props.onPress();
+  });
+};
+
+// App runs against the virtual peripherals of fixtures/peripherals.json, the
+// way it does for demos, with the simulator's timers under the test's control.
+it('scans, connects and reads a simulated device', async () => {
+  let tree;
+  await act(async () => {
+    tree = renderer.create(<App />);
+  });
+  await advance(3000);
+  expect(texts(tree.root)).toContain('Tap to connect to: Sim Heart Rate');
+  expect(texts(tree.root)).toContain('Not connectable: SIM:00:00:00:00:03');
+
+  await press(tree.root, 'Sim Heart Rate');
+  await advance(3000);
+  expect(texts(tree.root)).toContain('Status: Connected');
+  expect(texts(tree.root)).toContain('Battery Service (0x180F)');
+
+  await press(tree.root, 'Battery Service (0x180F)');
+  await advance(100);
+  await press(tree.root, 'Battery Level');
+  await advance(100);
+  await press(tree.root, 'Open');
+  await advance(3000);
+  expect(texts(tree.root)).toContain('Battery level: 100 %');
+  tree.unmount();
 });
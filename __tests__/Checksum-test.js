@@ -0,0 +1,70 @@
+/**
+ * @format
+ */
+
+import {checksumBytes, crc8, crc16ccitt, crc32, sum8} from '../Checksum';
+
+// The standard check input: the ASCII string "123456789".
+const CHECK = Array.from('123456789', char => char.charCodeAt(0));
+
+describe('checksum algorithms', () => {
+  it('computes the 8-bit sum', () => {
+    expect(sum8(CHECK)).toBe(0x22);
+    expect(sum8([])).toBe(0xff);
+    expect(sum8([0xff, 0x01])).toBe(0xff);
+  });
+
+  it('computes CRC-8', () => {
+    expect(crc8(CHECK)).toBe(0xf4);
+    expect(crc8([])).toBe(0x00);
+  });
+
+  it('computes CRC-16/CCITT-FALSE', () => {
+    expect(crc16ccitt(CHECK)).toBe(0x29b1);
+    expect(crc16ccitt([])).toBe(0xffff);
+  });
+
+  it('computes CRC-32', () => {
+    expect(crc32(CHECK)).toBe(0xcbf43926);
+    expect(
+      crc32(
+        Array.from('The quick brown fox jumps over the lazy dog', char =>
+          char.charCodeAt(0),
+        ),
+      ),
+    ).toBe(0x414fa339);
+    expect(crc32([])).toBe(0);
+  });
+});
+
+describe('checksumBytes', () => {
+  it('serializes big endian', () => {
+    expect(Array.from(checksumBytes('crc16', CHECK, 'big'))).toEqual([
+      0x29,
+      0xb1,
+    ]);
+    expect(Array.from(checksumBytes('crc32', CHECK, 'big'))).toEqual([
+      0xcb,
+      0xf4,
+      0x39,
+      0x26,
+    ]);
+  });
+
+  it('serializes little endian', () => {
+    expect(Array.from(checksumBytes('crc16', CHECK, 'little'))).toEqual([
+      0xb1,
+      0x29,
+    ]);
+    expect(Array.from(checksumBytes('crc32', CHECK, 'little'))).toEqual([
+      0x26,
+      0x39,
+      0xf4,
+      0xcb,
+    ]);
+  });
+
+  it('is empty without a checksum', () => {
+    expect(checksumBytes('none', CHECK).length).toBe(0);
+  });
+});
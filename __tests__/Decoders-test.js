@@ -0,0 +1,180 @@
+/**
+ * @format
+ */
+
+import {decodeDescriptor, decodeValue, ieee11073Float} from '../Decoders';
+import {hexToBytes, utf8ToBytes} from '../Encoding';
+
+// Decodes into {label: value} for easier comparison.
+const decode = (uuid, bytes, decoder = decodeValue) => {
+  const decoded = decoder(uuid, bytes);
+  if (decoded.error) {
+    throw new Error(decoded.error);
+  }
+  return decoded.fields.reduce(
+    (fields, field) => ({...fields, [field.label]: field.value}),
+    {},
+  );
+};
+
+describe('decodeValue', () => {
+  it('knows characteristics by 16-bit and full UUID', () => {
+    expect(decodeValue('00002a19-0000-1000-8000-00805f9b34fb', [80])).toEqual({
+      fields: [{label: 'Battery level', value: '80 %'}],
+    });
+    expect(decodeValue('2A19', [80])).not.toBe(null);
+  });
+
+  it('returns null for unknown characteristics', () => {
+    expect(decodeValue('2a05', [1])).toBe(null);
+    expect(decodeValue('6e400003-b5a3-f393-e0a9-e50e24dcca9e', [1])).toBe(null);
+  });
+
+  it('reports values that are too short', () => {
+    expect(decodeValue('2a19', [])).toEqual({
+      error: 'Expected at least 1 bytes, got 0',
+    });
+    expect(decodeValue('2a37', hexToBytes('01 48'))).toEqual({
+      error: 'Expected at least 3 bytes, got 2',
+    });
+  });
+});
+
+describe('IEEE-11073 FLOAT', () => {
+  it('scales the mantissa by the exponent', () => {
+    expect(ieee11073Float(hexToBytes('6D0100FF'), 0)).toBe(36.5);
+    expect(ieee11073Float(hexToBytes('FFFFFF00'), 0)).toBe(-1);
+    expect(ieee11073Float(hexToBytes('0C000002'), 0)).toBe(1200);
+  });
+
+  it('recognizes special values', () => {
+    expect(ieee11073Float(hexToBytes('FFFF7F00'), 0)).toBe('NaN');
+    expect(ieee11073Float(hexToBytes('00008000'), 0)).toBe('NRes');
+    expect(ieee11073Float(hexToBytes('FEFF7F00'), 0)).toBe('+INFINITY');
+    expect(ieee11073Float(hexToBytes('02008000'), 0)).toBe('-INFINITY');
+  });
+});
+
+describe('decoders', () => {
+  it('decodes Battery Level', () => {
+    expect(decode('2a19', [0x64])).toEqual({'Battery level': '100 %'});
+  });
+
+  it('decodes an 8-bit Heart Rate Measurement', () => {
+    expect(decode('2a37', hexToBytes('00 48'))).toEqual({
+      'Heart rate': '72 bpm',
+    });
+  });
+
+  it('decodes a Heart Rate Measurement with all fields', () => {
+    // 16-bit value, contact detected, energy expended, two RR intervals
+    expect(decode('2a37', hexToBytes('1F 2C01 A000 0004 0002'))).toEqual({
+      'Heart rate': '300 bpm',
+      'Sensor contact': 'detected',
+      'Energy expended': '160 kJ',
+      'RR intervals': '1000 ms, 500 ms',
+    });
+    expect(decode('2a37', hexToBytes('04 48'))['Sensor contact']).toBe(
+      'not detected',
+    );
+  });
+
+  it('decodes Temperature Measurement', () => {
+    expect(decode('2a1c', hexToBytes('00 6D0100FF'))).toEqual({
+      Temperature: '36.5 °C',
+    });
+    // Fahrenheit, time stamp and temperature type
+    expect(
+      decode('2a1c', hexToBytes('07 B20300FF E407 0A 13 0E 1E 05 06')),
+    ).toEqual({
+      Temperature: '94.6 °F',
+      'Time stamp': '2020-10-19 14:30:05',
+      'Temperature type': 'Mouth',
+    });
+  });
+
+  it('decodes the Device Information strings', () => {
+    const uuids = ['2a00', '2a24', '2a25', '2a26', '2a27', '2a28', '2a29'];
+    uuids.forEach(uuid =>
+      expect(decode(uuid, utf8ToBytes('nRF52 DK'))).toEqual({
+        Value: 'nRF52 DK',
+      }),
+    );
+    expect(decode('2a29', utf8ToBytes('Acme\0\0'))).toEqual({Value: 'Acme'});
+  });
+
+  it('decodes PnP ID', () => {
+    expect(decode('2a50', hexToBytes('01 5900 3412 1001'))).toEqual({
+      'Vendor ID source': 'Bluetooth SIG',
+      'Vendor ID': 'Nordic Semiconductor ASA (0x0059)',
+      'Product ID': '0x1234',
+      'Product version': '1.1.0',
+    });
+    expect(decode('2a50', hexToBytes('02 6B1D 0100 0000'))['Vendor ID']).toBe(
+      '0x1D6B',
+    );
+  });
+
+  it('decodes Current Time', () => {
+    expect(decode('2a2b', hexToBytes('E407 0A 13 0E 1E 05 01 80 01'))).toEqual({
+      'Date and time': '2020-10-19 14:30:05',
+      'Day of week': 'Monday',
+      Fractions: '128/256 s',
+      'Adjust reason': 'Manual time update',
+    });
+    expect(decode('2a2b', hexToBytes('0000 00 00 00 00 00 00 00 0C'))).toEqual({
+      'Date and time': '????-??-?? 00:00:00',
+      'Day of week': 'Unknown',
+      Fractions: '0/256 s',
+      'Adjust reason': 'Change of time zone, Change of DST',
+    });
+  });
+
+  it('decodes Temperature Type and Body Sensor Location', () => {
+    expect(decode('2a1d', [2])).toEqual({'Temperature type': 'Body (general)'});
+    expect(decode('2a38', [1])).toEqual({Location: 'Chest'});
+    expect(decode('2a38', [9])).toEqual({Location: 'Reserved (9)'});
+  });
+});
+
+describe('decodeDescriptor', () => {
+  const descriptor = (uuid, bytes) => decode(uuid, bytes, decodeDescriptor);
+
+  it('decodes the User Description as a string', () => {
+    expect(descriptor('2901', utf8ToBytes('Setpoint\0'))).toEqual({
+      Value: 'Setpoint',
+    });
+  });
+
+  it('decodes the Client Characteristic Configuration bits', () => {
+    expect(descriptor('2902', [0x01, 0x00])).toEqual({
+      Notifications: 'enabled',
+      Indications: 'disabled',
+    });
+    expect(descriptor('2902', [0x02, 0x00])).toEqual({
+      Notifications: 'disabled',
+      Indications: 'enabled',
+    });
+    expect(decodeDescriptor('2902', [0x01])).toEqual({
+      error: 'Expected at least 2 bytes, got 1',
+    });
+  });
+
+  it('decodes the Presentation Format', () => {
+    // sint16, 10^-2 degree Celsius
+    expect(descriptor('2904', hexToBytes('0E FE 2F 27 01 00 00'))).toEqual({
+      Format: 'sint16',
+      Exponent: '-2',
+      Unit: 'degree Celsius (0x272F)',
+      Namespace: 'Bluetooth SIG',
+      Description: '0x0000',
+    });
+    expect(descriptor('2904', hexToBytes('04 00 FF FF 00 01 00')).Unit).toBe(
+      '0xFFFF',
+    );
+  });
+
+  it('leaves unknown descriptors alone', () => {
+    expect(decodeDescriptor('2908', [1, 1])).toBe(null);
+  });
+});
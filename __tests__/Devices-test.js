@@ -0,0 +1,84 @@
+/**
+ * @format
+ */
+
+import {displayName, matchesFilter} from '../Devices';
+
+const NO_FILTER = {
+  text: '',
+  minRSSI: null,
+  connectableOnly: false,
+  namedOnly: false,
+  serviceUUID: '',
+};
+
+const device = fields => ({
+  id: 'AA:BB:CC:DD:EE:FF',
+  name: null,
+  localName: null,
+  rssi: -60,
+  isConnectable: true,
+  serviceUUIDs: null,
+  ...fields,
+});
+
+describe('displayName', () => {
+  it('falls back to the local name, then the id', () => {
+    expect(displayName(device({name: 'Board', localName: 'B'}))).toBe('Board');
+    expect(displayName(device({localName: 'B'}))).toBe('B');
+    expect(displayName(device())).toBe('AA:BB:CC:DD:EE:FF');
+  });
+});
+
+describe('matchesFilter', () => {
+  const filter = fields => ({...NO_FILTER, ...fields});
+
+  it('keeps everything without a filter', () => {
+    expect(matchesFilter(device({isConnectable: false}), NO_FILTER)).toBe(true);
+  });
+
+  it('matches the name or id case-insensitively', () => {
+    expect(
+      matchesFilter(device({name: 'Sensor'}), filter({text: 'sens'})),
+    ).toBe(true);
+    expect(matchesFilter(device(), filter({text: 'dd:ee'}))).toBe(true);
+    expect(matchesFilter(device(), filter({text: 'sens'}))).toBe(false);
+  });
+
+  it('drops weak and unknown signals below the minimum RSSI', () => {
+    expect(matchesFilter(device(), filter({minRSSI: -70}))).toBe(true);
+    expect(matchesFilter(device({rssi: -80}), filter({minRSSI: -70}))).toBe(
+      false,
+    );
+    expect(matchesFilter(device({rssi: null}), filter({minRSSI: -70}))).toBe(
+      false,
+    );
+  });
+
+  it('filters connectable and named devices', () => {
+    const only = filter({connectableOnly: true, namedOnly: true});
+    expect(matchesFilter(device({localName: 'B'}), only)).toBe(true);
+    expect(
+      matchesFilter(device({localName: 'B', isConnectable: null}), only),
+    ).toBe(true);
+    expect(
+      matchesFilter(device({localName: 'B', isConnectable: false}), only),
+    ).toBe(false);
+    expect(matchesFilter(device(), only)).toBe(false);
+  });
+
+  it('matches 16-bit and full service UUIDs', () => {
+    const heartRate = device({
+      serviceUUIDs: ['0000180d-0000-1000-8000-00805f9b34fb'],
+    });
+    expect(matchesFilter(heartRate, filter({serviceUUID: '180D'}))).toBe(true);
+    expect(
+      matchesFilter(
+        heartRate,
+        filter({serviceUUID: '0000180d-0000-1000-8000-00805f9b34fb'}),
+      ),
+    ).toBe(true);
+    expect(matchesFilter(heartRate, filter({serviceUUID: '180f'}))).toBe(false);
+    expect(matchesFilter(device(), filter({serviceUUID: '180d'}))).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @format
+ */
+
+import {
+  characteristicKey,
+  descriptorKey,
+  gattCharacteristics,
+  gattDescriptors,
+  gattServices,
+  normalizeGatt,
+  userDescription,
+} from '../Gatt';
+import {bytesToBase64, utf8ToBytes} from '../Encoding';
+
+const BATTERY_SERVICE = '0000180F-0000-1000-8000-00805F9B34FB';
+const BATTERY_LEVEL = '00002a19-0000-1000-8000-00805f9b34fb';
+const CCCD = '00002902-0000-1000-8000-00805f9b34fb';
+const USER_DESCRIPTION = '00002901-0000-1000-8000-00805f9b34fb';
+
+// what fetchGatt builds from the ble-plx objects, which carry more than this
+const TREE = [
+  {
+    service: {id: 7, uuid: BATTERY_SERVICE, isPrimary: true},
+    characteristics: [
+      {
+        characteristic: {
+          id: 8,
+          uuid: BATTERY_LEVEL,
+          isReadable: true,
+          isNotifiable: true,
+          value: null,
+        },
+        descriptors: [{id: 9, uuid: CCCD}, {id: 10, uuid: USER_DESCRIPTION}],
+      },
+    ],
+  },
+];
+
+describe('normalizeGatt', () => {
+  const gatt = normalizeGatt(TREE, 1000);
+
+  it('keys everything by lowercase UUIDs', () => {
+    const key = characteristicKey(BATTERY_SERVICE, BATTERY_LEVEL);
+    expect(gatt.serviceUUIDs).toEqual([BATTERY_SERVICE.toLowerCase()]);
+    expect(Object.keys(gatt.characteristics)).toEqual([key]);
+    expect(gatt.characteristics[key].descriptorKeys).toEqual([
+      descriptorKey(BATTERY_SERVICE, BATTERY_LEVEL, CCCD),
+      descriptorKey(BATTERY_SERVICE, BATTERY_LEVEL, USER_DESCRIPTION),
+    ]);
+    expect(gatt.discoveredAt).toBe(1000);
+  });
+
+  it('keeps plain properties only', () => {
+    expect(JSON.parse(JSON.stringify(gatt))).toEqual(gatt);
+    expect(
+      gatt.characteristics[characteristicKey(BATTERY_SERVICE, BATTERY_LEVEL)],
+    ).toEqual({
+      serviceUUID: BATTERY_SERVICE.toLowerCase(),
+      uuid: BATTERY_LEVEL,
+      isReadable: true,
+      isWritableWithResponse: false,
+      isWritableWithoutResponse: false,
+      isNotifiable: true,
+      isIndicatable: false,
+      isNotifying: false,
+      descriptorKeys: expect.any(Array),
+    });
+  });
+
+  it('is walked by the selectors', () => {
+    expect(gattServices(gatt).map(service => service.isPrimary)).toEqual([
+      true,
+    ]);
+    expect(gattCharacteristics(gatt, BATTERY_SERVICE).map(c => c.uuid)).toEqual(
+      [BATTERY_LEVEL],
+    );
+    expect(
+      gattDescriptors(gatt, BATTERY_SERVICE, BATTERY_LEVEL).map(d => d.uuid),
+    ).toEqual([CCCD, USER_DESCRIPTION]);
+  });
+
+  it('selects nothing before discovery', () => {
+    expect(gattServices(undefined)).toEqual([]);
+    expect(gattCharacteristics(undefined, BATTERY_SERVICE)).toEqual([]);
+    expect(gattDescriptors(gatt, BATTERY_SERVICE, CCCD)).toEqual([]);
+  });
+});
+
+describe('userDescription', () => {
+  it('reads the User Description once it has a value', () => {
+    const key = descriptorKey(BATTERY_SERVICE, BATTERY_LEVEL, USER_DESCRIPTION);
+    expect(userDescription({}, BATTERY_SERVICE, BATTERY_LEVEL)).toBe(null);
+    expect(
+      userDescription(
+        {[key]: {value: bytesToBase64(utf8ToBytes('Main cell\0'))}},
+        BATTERY_SERVICE,
+        BATTERY_LEVEL,
+      ),
+    ).toBe('Main cell');
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * @format
+ */
+
+import {utf8ToBytes} from '../Encoding';
+import {
+  describeRun,
+  exportMacros,
+  macroKey,
+  matchesPattern,
+  parseMacros,
+  parseSteps,
+} from '../Macros';
+import {NORDIC_UART} from '../Terminal';
+import {UART_SERVICE, connectSimulator} from './helpers/simulator';
+
+const BATTERY_SERVICE = '0000180f-0000-1000-8000-00805f9b34fb';
+const BATTERY_LEVEL = '00002a19-0000-1000-8000-00805f9b34fb';
+
+describe('parseMacros', () => {
+  const exported = {
+    macros: [
+      {
+        name: 'reset',
+        service: '180F',
+        characteristic: '2A19',
+        encoding: 'hex',
+        text: '01 02',
+      },
+    ],
+    sequences: [
+      {
+        name: 'smoke test',
+        steps: [
+          {type: 'write', service: '180F', characteristic: '2A19', text: 'hi'},
+          {type: 'delay', ms: 100},
+          {
+            type: 'notification',
+            service: '180F',
+            characteristic: '2A19',
+            pattern: '^ok',
+          },
+        ],
+      },
+    ],
+  };
+
+  it('reads an export back as it was saved', () => {
+    const {macros, sequences} = parseMacros(JSON.stringify(exported));
+    const key = macroKey(BATTERY_SERVICE, BATTERY_LEVEL, 'reset');
+    expect(macros[key]).toEqual({
+      name: 'reset',
+      serviceUUID: BATTERY_SERVICE,
+      characteristicUUID: BATTERY_LEVEL,
+      encoding: 'hex',
+      text: '01 02',
+      lineEnding: 'none',
+      customLineEnding: '',
+      withResponse: null,
+    });
+    expect(sequences['smoke test'].steps.map(step => step.type)).toEqual([
+      'write',
+      'delay',
+      'notification',
+    ]);
+    expect(sequences['smoke test'].steps[2].timeout).toBe(5000);
+    expect(parseMacros(exportMacros(macros, sequences))).toEqual({
+      macros,
+      sequences,
+    });
+  });
+
+  it('says which entry is wrong', () => {
+    expect(() => parseMacros('[')).toThrow(/Not valid JSON/);
+    expect(() =>
+      parseMacros(
+        JSON.stringify({macros: [{...exported.macros[0], text: 'zz'}]}),
+      ),
+    ).toThrow(/^Macro 1: /);
+    expect(() =>
+      parseSteps([{type: 'delay', ms: 10}, {type: 'read', service: '180F'}]),
+    ).toThrow('Step 2: needs service and characteristic UUIDs');
+    expect(() =>
+      parseSteps([
+        {type: 'read', service: '180F', characteristic: '2A19', pattern: '('},
+      ]),
+    ).toThrow(/^Step 1: /);
+    expect(() => parseSteps([{type: 'sleep'}])).toThrow(/type must be one of/);
+  });
+});
+
+describe('matchesPattern', () => {
+  it('tests text or hex, and anything matches no pattern', () => {
+    const bytes = utf8ToBytes('OK 42');
+    expect(matchesPattern(bytes, '^OK \\d+$')).toBe(true);
+    expect(matchesPattern(bytes, '^4F 4B', 'hex')).toBe(true);
+    expect(matchesPattern(bytes, 'ERR')).toBe(false);
+    expect(matchesPattern(bytes, '')).toBe(true);
+  });
+});
+
+describe('describeRun', () => {
+  it('sums up the steps', () => {
+    const steps = statuses => statuses.map(status => ({status}));
+    expect(
+      describeRun({
+        status: 'failed',
+        steps: steps(['passed', 'passed', 'failed', 'skipped']),
+      }),
+    ).toBe('Failed: 2 passed, 1 failed, 1 skipped');
+    expect(
+      describeRun({
+        status: 'passed',
+        steps: steps(['passed']),
+        startedAt: 1000,
+        finishedAt: 1250,
+      }),
+    ).toBe('Passed: 1 of 1 steps in 250 ms');
+  });
+});
+
+describe('runSequence', () => {
+  let actions;
+  let manager;
+  let store;
+
+  beforeEach(async () => {
+    ({actions, manager, store} = await connectSimulator([
+      {
+        id: 'SIM:UART',
+        services: [
+          UART_SERVICE,
+          {
+            uuid: BATTERY_SERVICE,
+            characteristics: [
+              {uuid: BATTERY_LEVEL, properties: ['read'], value: '5a'},
+            ],
+          },
+        ],
+      },
+    ]));
+  });
+
+  afterEach(() => manager.destroy());
+
+  const run = async steps => {
+    store.dispatch(
+      actions.sequenceSaved({name: 'test', steps: parseSteps(steps)}),
+    );
+    const status = await store.dispatch(actions.runSequence('test'));
+    return [status, store.getState().macros.run];
+  };
+
+  const uart = {
+    service: NORDIC_UART.serviceUUID,
+    characteristic: NORDIC_UART.txUUID,
+  };
+  const reply = {
+    service: NORDIC_UART.serviceUUID,
+    characteristic: NORDIC_UART.rxUUID,
+  };
+  const battery = {service: BATTERY_SERVICE, characteristic: BATTERY_LEVEL};
+
+  it('passes when the replies match', async () => {
+    const [status, result] = await run([
+      {type: 'write', ...uart, text: 'ping'},
+      {type: 'notification', ...reply, pattern: '^ping$', timeout: 1000},
+      {type: 'read', ...battery, pattern: '^5A$', on: 'hex'},
+    ]);
+    expect(status).toBe('passed');
+    expect(result.steps.map(step => step.status)).toEqual([
+      'passed',
+      'passed',
+      'passed',
+    ]);
+    expect(result.steps[2].message).toBe('Read 5A');
+    // the run's own subscription ends with it
+    expect(
+      store.getState().BLEs.subscriptions[
+        actions.characteristicKey(NORDIC_UART.serviceUUID, NORDIC_UART.rxUUID)
+      ],
+    ).toBeFalsy();
+  });
+
+  it('stops at the first failing step', async () => {
+    const [status, result] = await run([
+      {type: 'read', ...battery, pattern: '^FF$', on: 'hex'},
+      {type: 'delay', ms: 0},
+    ]);
+    expect(status).toBe('failed');
+    expect(result.steps).toEqual([
+      {status: 'failed', message: 'Read 5A, expected /^FF$/'},
+      {status: 'skipped', message: null},
+    ]);
+  });
+
+  it('fails a notification step that times out', async () => {
+    const [status, result] = await run([
+      {type: 'notification', ...reply, pattern: 'never', timeout: 100},
+    ]);
+    expect(status).toBe('failed');
+    expect(result.steps[0].message).toBe(
+      'No matching notification within 100 ms',
+    );
+  });
+
+  it('fails without a sequence or a device to run it on', async () => {
+    expect(await store.dispatch(actions.runSequence('missing'))).toBe('failed');
+    await store.dispatch(actions.disconnectDevice());
+    const [status, result] = await run([{type: 'delay', ms: 0}]);
+    expect(status).toBe('failed');
+    expect(result.steps).toEqual([
+      {status: 'failed', message: 'Not connected to a device'},
+    ]);
+  });
+
+  it('reports macros whose framing leaves no room in a chunk', async () => {
+    const sent = await store.dispatch(
+      actions.sendMacro(
+        {
+          name: 'ping',
+          serviceUUID: NORDIC_UART.serviceUUID,
+          characteristicUUID: NORDIC_UART.txUUID,
+          encoding: 'utf8',
+          text: 'ping',
+          lineEnding: 'none',
+          customLineEnding: '',
+          withResponse: false,
+        },
+        {
+          chunkSize: 4,
+          framing: {
+            checksum: 'crc16',
+            placement: 'chunk',
+            byteOrder: 'big',
+            start: utf8ToBytes('<<'),
+            end: new Uint8Array(0),
+          },
+        },
+      ),
+    );
+    expect(sent).toBe(false);
+    expect(store.getState().errors.errors[0]).toMatchObject({
+      source: 'write',
+      message: 'Chunks of 4 bytes leave no room for a payload after framing',
+    });
+  });
+
+  it('can be stopped during a wait', async () => {
+    store.dispatch(
+      actions.sequenceSaved({
+        name: 'long',
+        steps: parseSteps([{type: 'delay', ms: 10000}, {type: 'delay', ms: 0}]),
+      }),
+    );
+    const running = store.dispatch(actions.runSequence('long'));
+    expect(await store.dispatch(actions.runSequence('long'))).toBe(null);
+    store.dispatch(actions.stopSequence());
+    expect(await running).toBe('stopped');
+    expect(store.getState().macros.run.steps.map(step => step.status)).toEqual([
+      'skipped',
+      'skipped',
+    ]);
+  });
+});
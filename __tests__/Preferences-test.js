@@ -0,0 +1,215 @@
+/**
+ * @format
+ */
+
+import {applyMiddleware, createStore} from 'redux';
+import thunk from 'redux-thunk';
+import {
+  DEVICE_DEFAULTS,
+  PREFERENCES_VERSION,
+  migratePreferences,
+  pickWriteSettings,
+  readPreferences,
+} from '../Preferences';
+import {connectSimulator} from './helpers/simulator';
+
+describe('migratePreferences', () => {
+  const migrations = {
+    2: saved => ({
+      ...saved,
+      favorites: saved.favourites,
+      favourites: undefined,
+    }),
+    3: saved => ({
+      devices: saved.favorites.reduce(
+        (devices, id) => ({...devices, [id]: {favorite: true}}),
+        {},
+      ),
+    }),
+  };
+
+  it('runs every migration from the saved version on', () => {
+    expect(
+      migratePreferences({version: 1, favourites: ['A']}, migrations, 3),
+    ).toEqual({version: 3, devices: {A: {favorite: true}}});
+    expect(
+      migratePreferences({version: 3, devices: {}}, migrations, 3),
+    ).toEqual({version: 3, devices: {}});
+  });
+
+  it('refuses what it cannot bring up to date', () => {
+    expect(() => migratePreferences({devices: {}}, migrations, 3)).toThrow(
+      'Saved preferences have no version',
+    );
+    expect(() => migratePreferences({version: 4}, migrations, 3)).toThrow(
+      'Saved preferences are version 4, this app only reads up to 3',
+    );
+    expect(() => migratePreferences({version: 0}, migrations, 3)).toThrow(
+      'No migration to preferences version 1',
+    );
+  });
+});
+
+describe('readPreferences', () => {
+  it('fills in devices and leaves out missing sections', () => {
+    const read = readPreferences({
+      version: PREFERENCES_VERSION,
+      devices: {A: {nickname: 'Kitchen'}, B: null},
+      listOptions: {sortBy: 'name'},
+    });
+    expect(read).toEqual({
+      devices: {A: {...DEVICE_DEFAULTS, nickname: 'Kitchen'}},
+      listOptions: {sortBy: 'name'},
+    });
+  });
+});
+
+describe('pickWriteSettings', () => {
+  it('leaves out the payload', () => {
+    expect(
+      pickWriteSettings({text: 'hi', values: {}, encoding: 'hex', delay: '5'}),
+    ).toEqual({encoding: 'hex', delay: '5'});
+  });
+});
+
+describe('persistence', () => {
+  let actions;
+  let rootReducer;
+  let store;
+  let saved;
+  let manager = null;
+
+  // keeps what the copy of AsyncStorage the actions have now saves in saved
+  const mockStorage = () => {
+    const AsyncStorage = require('@react-native-community/async-storage')
+      .default;
+    jest.spyOn(AsyncStorage, 'setItem').mockImplementation((key, value) => {
+      saved[key] = value;
+      return Promise.resolve();
+    });
+    jest
+      .spyOn(AsyncStorage, 'getItem')
+      .mockImplementation(key => Promise.resolve(saved[key] || null));
+  };
+
+  beforeEach(async () => {
+    jest.resetModules();
+    actions = require('../actions');
+    rootReducer = require('../reducers').default;
+    store = createStore(rootReducer, applyMiddleware(thunk));
+    saved = {};
+    mockStorage();
+    await store.dispatch(actions.loadPreferences());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (manager) {
+      manager.destroy();
+      manager = null;
+    }
+  });
+
+  const restart = async () => {
+    store = createStore(rootReducer, applyMiddleware(thunk));
+    await store.dispatch(actions.loadPreferences());
+    return store.getState();
+  };
+
+  it('keeps favorites, nicknames and options across restarts', async () => {
+    await store.dispatch(actions.setFavorite('A', true));
+    await store.dispatch(actions.setNickname('A', ' Kitchen '));
+    await store.dispatch(actions.setListOptions({sortBy: 'recent'}));
+    await store.dispatch(actions.setAutoReconnect(true));
+    await store.dispatch(actions.setWritePreferences({encoding: 'hex'}));
+    const state = await restart();
+    expect(state.preferences.devices.A).toEqual({
+      ...DEVICE_DEFAULTS,
+      favorite: true,
+      nickname: 'Kitchen',
+    });
+    expect(state.preferences.write.encoding).toBe('hex');
+    expect(state.preferences.loaded).toBe(true);
+    expect(state.BLEs.listOptions.sortBy).toBe('recent');
+    expect(state.BLEs.autoReconnect.enabled).toBe(true);
+  });
+
+  it('saves nothing before the saved preferences are read back', async () => {
+    saved['@BLEDiscoveryApp:preferences'] = JSON.stringify({
+      version: PREFERENCES_VERSION,
+      devices: {A: {favorite: true}},
+    });
+    store = createStore(rootReducer, applyMiddleware(thunk));
+    await store.dispatch(actions.setFavorite('B', true));
+    const state = await restart();
+    expect(state.preferences.devices.A.favorite).toBe(true);
+  });
+
+  it('starts from the defaults when nothing can be read', async () => {
+    saved['@BLEDiscoveryApp:preferences'] = JSON.stringify({version: 99});
+    const state = await restart();
+    expect(state.preferences.loaded).toBe(true);
+    expect(state.preferences.devices).toEqual({});
+    expect(state.errors.errors).toEqual([
+      expect.objectContaining({
+        source: 'storage',
+        message: expect.stringMatching(/version 99/),
+      }),
+    ]);
+  });
+
+  it('ignores saved options the app no longer has', async () => {
+    saved['@BLEDiscoveryApp:preferences'] = JSON.stringify({
+      version: PREFERENCES_VERSION,
+      scanOptions: {timeout: 30, legacyOption: true},
+    });
+    const state = await restart();
+    expect(state.BLEs.scanOptions.timeout).toBe(30);
+    expect(state.BLEs.scanOptions).not.toHaveProperty('legacyOption');
+  });
+
+  it('remembers connected devices as plain data', async () => {
+    ({actions, manager, store} = await connectSimulator(
+      [
+        {
+          id: 'SIM:THERMO',
+          name: 'Thermometer',
+          services: [
+            {
+              uuid: '180f',
+              characteristics: [{uuid: '2a19', properties: ['read']}],
+            },
+          ],
+        },
+      ],
+      setUp => {
+        mockStorage();
+        return setUp.store.dispatch(setUp.actions.loadPreferences());
+      },
+    ));
+    const gatt = store.getState().gatt['SIM:THERMO'];
+    const characteristic = Object.values(gatt.characteristics)[0];
+    await store.dispatch(
+      actions.selectCharacteristic(
+        gatt.services[characteristic.serviceUUID],
+        characteristic,
+      ),
+    );
+    await store.dispatch(
+      actions.rememberWriteSettings({text: 'hi', encoding: 'utf8'}),
+    );
+
+    const written = saved['@BLEDiscoveryApp:preferences'];
+    expect(JSON.parse(written).devices['SIM:THERMO']).toEqual({
+      ...DEVICE_DEFAULTS,
+      name: 'Thermometer',
+      lastConnectedAt: expect.any(Number),
+      characteristic: {
+        serviceUUID: characteristic.serviceUUID,
+        characteristicUUID: characteristic.uuid,
+      },
+      write: {encoding: 'utf8'},
+    });
+    expect(written).not.toMatch(/"_manager"|"connectedDevice"/);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * @format
+ */
+
+import {bytesToBase64, utf8ToBytes} from '../Encoding';
+import {characteristicKey, descriptorKey, normalizeGatt} from '../Gatt';
+import {buildProfile, profileJSON, profileMarkdown} from '../Profile';
+
+const BATTERY_SERVICE = '0000180f-0000-1000-8000-00805f9b34fb';
+const BATTERY_LEVEL = '00002a19-0000-1000-8000-00805f9b34fb';
+const VENDOR_SERVICE = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
+const VENDOR_CHARACTERISTIC = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+const CCCD = '00002902-0000-1000-8000-00805f9b34fb';
+const USER_DESCRIPTION = '00002901-0000-1000-8000-00805f9b34fb';
+
+const TREE = [
+  {
+    service: {uuid: BATTERY_SERVICE, isPrimary: true},
+    characteristics: [
+      {
+        characteristic: {
+          uuid: BATTERY_LEVEL,
+          isReadable: true,
+          isNotifiable: true,
+        },
+        descriptors: [{uuid: CCCD}],
+      },
+    ],
+  },
+  {
+    service: {uuid: VENDOR_SERVICE, isPrimary: true},
+    characteristics: [
+      {
+        characteristic: {uuid: VENDOR_CHARACTERISTIC, isReadable: true},
+        descriptors: [{uuid: USER_DESCRIPTION}],
+      },
+    ],
+  },
+];
+
+const state = {
+  BLEs: {
+    devices: {
+      'AA:BB': {
+        id: 'AA:BB',
+        name: 'Thermo',
+        localName: null,
+        rssi: -60,
+        manufacturerData: bytesToBase64([0x59, 0x00, 0x01]),
+      },
+    },
+    connectedDeviceId: 'AA:BB',
+    mtu: 247,
+    characteristicReads: {
+      [characteristicKey(BATTERY_SERVICE, BATTERY_LEVEL)]: {
+        value: bytesToBase64([0x50]),
+      },
+      [characteristicKey(VENDOR_SERVICE, VENDOR_CHARACTERISTIC)]: {
+        value: bytesToBase64([0xe8, 0x03]),
+      },
+    },
+    descriptorValues: {
+      [descriptorKey(BATTERY_SERVICE, BATTERY_LEVEL, CCCD)]: {
+        value: bytesToBase64([0x01, 0x00]),
+      },
+      [descriptorKey(
+        VENDOR_SERVICE,
+        VENDOR_CHARACTERISTIC,
+        USER_DESCRIPTION,
+      )]: {
+        value: bytesToBase64(utf8ToBytes('Setpoint')),
+      },
+    },
+  },
+  gatt: {'AA:BB': normalizeGatt(TREE, 1000)},
+  uuidNames: {names: {[VENDOR_SERVICE]: 'Thermostat'}},
+  formats: {
+    definitions: {
+      [characteristicKey(VENDOR_SERVICE, VENDOR_CHARACTERISTIC)]: {
+        serviceUUID: VENDOR_SERVICE,
+        characteristicUUID: VENDOR_CHARACTERISTIC,
+        format: 'u16 setpoint/10 "°C"',
+      },
+    },
+  },
+};
+
+describe('buildProfile', () => {
+  it('describes the device and its tree', () => {
+    const profile = buildProfile(state);
+    expect(profile.device).toEqual({
+      id: 'AA:BB',
+      name: 'Thermo',
+      localName: null,
+      rssi: -60,
+      mtu: 247,
+      manufacturerData: '59 00 01',
+    });
+    expect(profile.services.map(service => service.name)).toEqual([
+      'Battery Service',
+      'Thermostat',
+    ]);
+    expect(profile.services[0].characteristics[0]).toEqual({
+      uuid: BATTERY_LEVEL,
+      name: 'Battery Level',
+      description: null,
+      properties: ['Read', 'Notify'],
+      descriptors: [{uuid: CCCD, name: 'Client Characteristic Configuration'}],
+    });
+    expect(profile.services[1].characteristics[0]).toMatchObject({
+      name: null,
+      description: 'Setpoint',
+      format: 'u16 setpoint/10 "°C"',
+    });
+  });
+
+  it('adds decoded values when asked to', () => {
+    const profile = buildProfile(state, {includeValues: true});
+    const [battery] = profile.services[0].characteristics;
+    expect(battery.value).toEqual({
+      hex: '50',
+      decoded: {fields: [{label: 'Battery level', value: '80 %'}]},
+    });
+    expect(battery.descriptors[0].value.decoded.fields[0]).toEqual({
+      label: 'Notifications',
+      value: 'enabled',
+    });
+    expect(profile.services[1].characteristics[0].value.decoded).toEqual({
+      fields: [{label: 'setpoint', value: '100 °C'}],
+    });
+  });
+
+  it('marks values whose latest read failed', () => {
+    const key = characteristicKey(BATTERY_SERVICE, BATTERY_LEVEL);
+    const failed = {
+      ...state,
+      BLEs: {
+        ...state.BLEs,
+        characteristicReads: {
+          ...state.BLEs.characteristicReads,
+          [key]: {value: bytesToBase64([0x50]), error: 'Read timed out'},
+        },
+      },
+    };
+    const profile = buildProfile(failed, {includeValues: true});
+    const [battery] = profile.services[0].characteristics;
+    expect(battery.value).toBeUndefined();
+    expect(battery.readError).toBe('Read timed out');
+    expect(profileMarkdown(profile)).toContain('- Read failed: Read timed out');
+  });
+
+  it('is stable unless given the export time', () => {
+    expect(profileJSON(buildProfile(state))).toBe(
+      profileJSON(buildProfile(state)),
+    );
+    expect(buildProfile(state).exportedAt).toBeUndefined();
+    expect(buildProfile(state, {exportedAt: 0}).exportedAt).toBe(
+      '1970-01-01T00:00:00.000Z',
+    );
+  });
+
+  it('has no services before discovery', () => {
+    const undiscovered = {...state, gatt: {}};
+    expect(buildProfile(undiscovered).services).toEqual([]);
+  });
+});
+
+describe('profileMarkdown', () => {
+  it('renders headings per service and characteristic', () => {
+    const markdown = profileMarkdown(
+      buildProfile(state, {includeValues: true}),
+    );
+    expect(markdown).toContain('# GATT profile of Thermo');
+    expect(markdown).toContain('| MTU | 247 |');
+    expect(markdown).toContain('## Battery Service');
+    expect(markdown).toContain('### Battery Level');
+    expect(markdown).toContain('- Value: `50`\n  - Battery level: 80 %');
+    expect(markdown).toContain('### Setpoint');
+    expect(markdown).toContain(
+      '  - Client Characteristic Configuration: `01 00`\n' +
+        '    - Notifications: enabled',
+    );
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * @format
+ */
+
+import {applyMiddleware, createStore} from 'redux';
+import thunk from 'redux-thunk';
+import {BleErrorCode} from 'react-native-ble-plx';
+import {base64ToBytes, hexToBytes, bytesToBase64} from '../Encoding';
+import {characteristicKey, descriptorKey} from '../Gatt';
+import {selectScannedDevices} from '../Selectors';
+import {fullUUID} from '../UUID';
+
+const HEART_RATE_ID = 'SIM:01';
+const BEACON_ID = 'SIM:02';
+const BATTERY_SERVICE = fullUUID('180f');
+const BATTERY_LEVEL = fullUUID('2a19');
+const HEART_RATE_SERVICE = fullUUID('180d');
+const HEART_RATE_MEASUREMENT = fullUUID('2a37');
+const BODY_SENSOR_LOCATION = fullUUID('2a38');
+const CCCD = fullUUID('2902');
+
+const FIXTURE = {
+  latency: 0,
+  advertisementInterval: 10,
+  peripherals: [
+    {
+      id: HEART_RATE_ID,
+      name: 'Sim Heart Rate',
+      rssi: [-50, -60],
+      serviceUUIDs: ['180d'],
+      mtu: 185,
+      services: [
+        {
+          uuid: '180d',
+          characteristics: [
+            {
+              uuid: '2a37',
+              properties: ['notify'],
+              notifications: {interval: 10, values: ['0048', '0049']},
+              descriptors: [{uuid: '2902', value: '0000'}],
+            },
+            {
+              uuid: '2a38',
+              properties: ['read'],
+              value: '01',
+              errors: {
+                read: {
+                  errorCode: 'CharacteristicReadFailed',
+                  attErrorCode: 5,
+                  reason: 'Insufficient authentication',
+                  count: 1,
+                },
+              },
+            },
+          ],
+        },
+        {
+          uuid: '180f',
+          characteristics: [
+            {
+              uuid: '2a19',
+              properties: ['read', 'write'],
+              reads: ['64', '63'],
+            },
+          ],
+        },
+      ],
+    },
+    {
+      id: BEACON_ID,
+      isConnectable: false,
+      rssi: -80,
+      manufacturerData: '4c000215',
+    },
+  ],
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls until the simulator's timers have made condition true.
+const waitFor = async condition => {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await wait(5);
+  }
+  expect(condition()).toBe(true);
+};
+
+const scanned = () => store.getState().BLEs.deviceIds.length === 2;
+
+const hex = base64 => Array.from(base64ToBytes(base64));
+
+// The thunks keep their subscriptions in module state, so every test gets
+// fresh modules.
+let actions;
+let manager;
+let store;
+
+beforeEach(() => {
+  jest.resetModules();
+  actions = require('../actions');
+  const rootReducer = require('../reducers').default;
+  const SimulatedBleManager = require('../SimulatedBleManager').default;
+  manager = new SimulatedBleManager(FIXTURE);
+  store = createStore(
+    rootReducer,
+    applyMiddleware(thunk.withExtraArgument(manager)),
+  );
+});
+
+afterEach(() => manager.destroy());
+
+const connectHeartRate = async () => {
+  store.dispatch(actions.startScan());
+  await waitFor(scanned);
+  return store.dispatch(actions.connectDevice(HEART_RATE_ID));
+};
+
+describe('SimulatedBleManager', () => {
+  it('reports the adapter state and advertisements to the scan', async () => {
+    store.dispatch(actions.startScan());
+    await waitFor(scanned);
+    const state = store.getState().BLEs;
+    expect(state.adapterState).toBe('PoweredOn');
+    expect(state.scanning).toBe(true);
+    const devices = selectScannedDevices(store.getState());
+    expect(devices.map(device => device.id)).toEqual([
+      HEART_RATE_ID,
+      BEACON_ID,
+    ]);
+    expect(devices[0].serviceUUIDs).toEqual([HEART_RATE_SERVICE]);
+    expect(hex(devices[1].manufacturerData)).toEqual([0x4c, 0x00, 0x02, 0x15]);
+  });
+
+  it('cycles RSSI values when duplicates are allowed', async () => {
+    const seen = [];
+    manager.startDeviceScan(null, {allowDuplicates: true}, (error, device) => {
+      if (device.id === HEART_RATE_ID) {
+        seen.push(device.rssi);
+      }
+    });
+    await waitFor(() => seen.length >= 3);
+    manager.stopDeviceScan();
+    expect(seen.slice(0, 3)).toEqual([-50, -60, -50]);
+  });
+
+  it('only reports peripherals advertising the scanned services', async () => {
+    const seen = [];
+    manager.startDeviceScan(['180d'], null, (error, device) =>
+      seen.push(device.id),
+    );
+    await waitFor(() => seen.length > 0);
+    await wait(25);
+    manager.stopDeviceScan();
+    expect(seen).toEqual([HEART_RATE_ID]);
+  });
+
+  it('connects, discovers the GATT tree and reads the descriptors', async () => {
+    expect(await connectHeartRate()).toBe(true);
+    const state = store.getState();
+    expect(state.BLEs.status).toBe('Connected');
+    expect(state.BLEs.connectedDeviceId).toBe(HEART_RATE_ID);
+    const gatt = state.gatt[HEART_RATE_ID];
+    expect(gatt.serviceUUIDs).toEqual([HEART_RATE_SERVICE, BATTERY_SERVICE]);
+    expect(
+      gatt.characteristics[
+        characteristicKey(HEART_RATE_SERVICE, HEART_RATE_MEASUREMENT)
+      ].isNotifiable,
+    ).toBe(true);
+    const key = descriptorKey(HEART_RATE_SERVICE, HEART_RATE_MEASUREMENT, CCCD);
+    await waitFor(() => {
+      const read = store.getState().BLEs.descriptorValues[key];
+      return Boolean(read && read.value);
+    });
+    expect(hex(store.getState().BLEs.descriptorValues[key].value)).toEqual([
+      0,
+      0,
+    ]);
+  });
+
+  it('returns the scripted reads, repeating the last one', async () => {
+    await connectHeartRate();
+    const key = characteristicKey(BATTERY_SERVICE, BATTERY_LEVEL);
+    const values = [];
+    for (let i = 0; i < 3; i++) {
+      await store.dispatch(
+        actions.readCharacteristic(BATTERY_SERVICE, BATTERY_LEVEL),
+      );
+      values.push(hex(store.getState().BLEs.characteristicReads[key].value));
+    }
+    expect(values).toEqual([[0x64], [0x63], [0x63]]);
+  });
+
+  it('fails reads as many times as the fixture says', async () => {
+    await connectHeartRate();
+    await store.dispatch(
+      actions.readCharacteristic(HEART_RATE_SERVICE, BODY_SENSOR_LOCATION),
+    );
+    const [error] = store.getState().errors.errors;
+    expect(error.source).toBe('read');
+    expect(error.code).toBe(BleErrorCode.CharacteristicReadFailed);
+    expect(error.attErrorCode).toBe(5);
+    expect(error.message).toBe('Insufficient authentication');
+
+    await store.dispatch(
+      actions.readCharacteristic(HEART_RATE_SERVICE, BODY_SENSOR_LOCATION),
+    );
+    const key = characteristicKey(HEART_RATE_SERVICE, BODY_SENSOR_LOCATION);
+    expect(hex(store.getState().BLEs.characteristicReads[key].value)).toEqual([
+      1,
+    ]);
+  });
+
+  it('refuses operations the characteristic does not support', async () => {
+    await connectHeartRate();
+    await expect(
+      manager.writeCharacteristicWithoutResponseForDevice(
+        HEART_RATE_ID,
+        BATTERY_SERVICE,
+        BATTERY_LEVEL,
+        bytesToBase64(hexToBytes('10')),
+      ),
+    ).rejects.toMatchObject({
+      errorCode: BleErrorCode.CharacteristicWriteFailed,
+      attErrorCode: 3,
+    });
+  });
+
+  it('streams notifications while subscribed', async () => {
+    await connectHeartRate();
+    store.dispatch(
+      actions.subscribeCharacteristic(
+        HEART_RATE_SERVICE,
+        HEART_RATE_MEASUREMENT,
+      ),
+    );
+    const key = characteristicKey(HEART_RATE_SERVICE, HEART_RATE_MEASUREMENT);
+    await waitFor(
+      () => (store.getState().BLEs.notifications[key] || []).length >= 2,
+    );
+    store.dispatch(
+      actions.unsubscribeCharacteristic(
+        HEART_RATE_SERVICE,
+        HEART_RATE_MEASUREMENT,
+      ),
+    );
+    const log = store.getState().BLEs.notifications[key];
+    expect(log.length).toBeGreaterThanOrEqual(2);
+    expect(log.slice(0, 2).map(({value}) => hex(value))).toEqual([
+      [0x00, 0x48],
+      [0x00, 0x49],
+    ]);
+    await wait(25);
+    expect(store.getState().BLEs.notifications[key]).toHaveLength(log.length);
+    // unsubscribing isn't an error
+    expect(store.getState().errors.errors).toEqual([]);
+  });
+
+  it('keeps only plain data in the store', async () => {
+    await connectHeartRate();
+    store.dispatch(
+      actions.subscribeCharacteristic(
+        HEART_RATE_SERVICE,
+        HEART_RATE_MEASUREMENT,
+      ),
+    );
+    const key = characteristicKey(HEART_RATE_SERVICE, HEART_RATE_MEASUREMENT);
+    await waitFor(() => Boolean(store.getState().BLEs.notifications[key]));
+    const state = store.getState();
+    expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+    expect(state.BLEs.devices[HEART_RATE_ID].name).toBe('Sim Heart Rate');
+    expect(selectScannedDevices(state)).toBe(selectScannedDevices(state));
+  });
+
+  it('reports a simulated link loss', async () => {
+    await connectHeartRate();
+    store.dispatch(
+      actions.subscribeCharacteristic(
+        HEART_RATE_SERVICE,
+        HEART_RATE_MEASUREMENT,
+      ),
+    );
+    const key = characteristicKey(HEART_RATE_SERVICE, HEART_RATE_MEASUREMENT);
+    await waitFor(() => Boolean(store.getState().BLEs.notifications[key]));
+    manager.simulateDisconnect(HEART_RATE_ID);
+    const state = store.getState();
+    expect(state.BLEs.connectedDeviceId).toBe(null);
+    expect(state.BLEs.subscriptions).toEqual({});
+    expect(state.errors.errors.map(error => error.source)).toContain('connect');
+    expect(state.errors.errors[0].code).toBe(BleErrorCode.DeviceDisconnected);
+  });
+
+  it('fails operations cleanly while disconnected', async () => {
+    await store.dispatch(
+      actions.readCharacteristic(BATTERY_SERVICE, BATTERY_LEVEL),
+    );
+    store.dispatch(
+      actions.subscribeCharacteristic(
+        HEART_RATE_SERVICE,
+        HEART_RATE_MEASUREMENT,
+      ),
+    );
+    await store.dispatch(
+      actions.readDescriptor(HEART_RATE_SERVICE, HEART_RATE_MEASUREMENT, CCCD),
+    );
+    const state = store.getState();
+    const read =
+      state.BLEs.characteristicReads[
+        characteristicKey(BATTERY_SERVICE, BATTERY_LEVEL)
+      ];
+    expect(read.reading).toBe(false);
+    expect(read.error).toBe('Not connected to a device');
+    expect(state.BLEs.subscriptions).toEqual({});
+    expect(state.errors.errors.map(error => error.source).sort()).toEqual([
+      'notify',
+      'read',
+      'read',
+    ]);
+  });
+
+  it('refuses to export the profile of a device that disconnected', async () => {
+    await connectHeartRate();
+    const exported = store.dispatch(actions.exportProfile(true));
+    manager.simulateDisconnect(HEART_RATE_ID);
+    await expect(exported).rejects.toMatchObject({
+      message: 'Not connected to a device',
+    });
+  });
+
+  it('refuses to connect to non-connectable peripherals', async () => {
+    store.dispatch(actions.startScan());
+    await waitFor(scanned);
+    expect(await store.dispatch(actions.connectDevice(BEACON_ID))).toBe(false);
+    expect(store.getState().errors.errors[0].code).toBe(
+      BleErrorCode.DeviceConnectionFailed,
+    );
+  });
+
+  it('fails everything while the adapter is off', async () => {
+    await connectHeartRate();
+    manager.setAdapterState('PoweredOff');
+    const state = store.getState().BLEs;
+    expect(state.adapterState).toBe('PoweredOff');
+    expect(state.scanning).toBe(false);
+    expect(state.connectedDeviceId).toBe(null);
+    await expect(manager.connectToDevice(HEART_RATE_ID)).rejects.toMatchObject({
+      errorCode: BleErrorCode.BluetoothPoweredOff,
+    });
+  });
+});
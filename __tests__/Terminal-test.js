@@ -0,0 +1,214 @@
+/**
+ * @format
+ */
+
+import {
+  notificationReceived,
+  terminalLineSent,
+  terminalPaired,
+  terminalSettingsChanged,
+} from '../actions';
+import {
+  base64ToBytes,
+  bytesToBase64,
+  bytesToUtf8,
+  utf8ToBytes,
+} from '../Encoding';
+import {characteristicKey, normalizeGatt} from '../Gatt';
+import TerminalReducer from '../reducers/TerminalReducer';
+import {
+  NORDIC_UART,
+  assembleLines,
+  detectUART,
+  historyStep,
+  isUsablePair,
+} from '../Terminal';
+import {UART_SERVICE, connectSimulator} from './helpers/simulator';
+
+const text = bytes => bytesToUtf8(bytes);
+const lines = result => result.lines.map(text);
+
+describe('assembleLines', () => {
+  it('keeps incomplete lines pending', () => {
+    const first = assembleLines(new Uint8Array(0), utf8ToBytes('hel'), 'lf');
+    expect(first.lines).toEqual([]);
+    const second = assembleLines(first.pending, utf8ToBytes('lo\nwor'), 'lf');
+    expect(lines(second)).toEqual(['hello']);
+    expect(text(second.pending)).toBe('wor');
+  });
+
+  it('splits several lines out of one chunk and drops CRs before LF', () => {
+    const result = assembleLines(
+      new Uint8Array(0),
+      utf8ToBytes('a\r\nb\n\nc'),
+      'lf',
+    );
+    expect(lines(result)).toEqual(['a', 'b', '']);
+    expect(text(result.pending)).toBe('c');
+  });
+
+  it('handles a CRLF split across chunks', () => {
+    const first = assembleLines(new Uint8Array(0), utf8ToBytes('ok\r'), 'lf');
+    const second = assembleLines(first.pending, utf8ToBytes('\n'), 'lf');
+    expect(lines(second)).toEqual(['ok']);
+  });
+
+  it('splits on CR', () => {
+    const result = assembleLines(
+      new Uint8Array(0),
+      utf8ToBytes('a\rb\r'),
+      'cr',
+    );
+    expect(lines(result)).toEqual(['a', 'b']);
+    expect(result.pending).toHaveLength(0);
+  });
+
+  it('passes chunks through without a line ending', () => {
+    const result = assembleLines(
+      new Uint8Array(0),
+      utf8ToBytes('a\nb'),
+      'none',
+    );
+    expect(lines(result)).toEqual(['a\nb']);
+  });
+});
+
+describe('detectUART', () => {
+  const uart = (txProperties, rxProperties) =>
+    normalizeGatt(
+      [
+        {
+          service: {uuid: NORDIC_UART.serviceUUID, isPrimary: true},
+          characteristics: [
+            {
+              characteristic: {uuid: NORDIC_UART.txUUID, ...txProperties},
+              descriptors: [],
+            },
+            {
+              characteristic: {uuid: NORDIC_UART.rxUUID, ...rxProperties},
+              descriptors: [],
+            },
+          ],
+        },
+      ],
+      0,
+    );
+
+  it('finds the Nordic UART service', () => {
+    expect(
+      detectUART(uart({isWritableWithoutResponse: true}, {isNotifiable: true})),
+    ).toBe(NORDIC_UART);
+  });
+
+  it('needs a writable TX and a notifiable RX', () => {
+    expect(detectUART(uart({isReadable: true}, {isNotifiable: true}))).toBe(
+      null,
+    );
+    expect(
+      isUsablePair(
+        uart({isWritableWithResponse: true}, {isIndicatable: true}),
+        NORDIC_UART,
+      ),
+    ).toBe(true);
+    expect(detectUART(undefined)).toBe(null);
+  });
+});
+
+describe('historyStep', () => {
+  it('stays within the history', () => {
+    expect(historyStep(['a', 'b'], 2, -1)).toBe(1);
+    expect(historyStep(['a', 'b'], 0, -1)).toBe(0);
+    expect(historyStep(['a', 'b'], 2, 1)).toBe(2);
+  });
+});
+
+describe('TerminalReducer', () => {
+  const rxKey = characteristicKey(NORDIC_UART.serviceUUID, NORDIC_UART.rxUUID);
+  const received = value =>
+    notificationReceived(rxKey, bytesToBase64(utf8ToBytes(value)));
+  const shown = state =>
+    state.lines.map(line => [line.direction, text(base64ToBytes(line.value))]);
+  const paired = () => TerminalReducer(undefined, terminalPaired(NORDIC_UART));
+
+  it('reassembles received chunks into lines', () => {
+    let state = paired();
+    state = TerminalReducer(state, received('temp='));
+    state = TerminalReducer(state, received('21.5\r\nok'));
+    state = TerminalReducer(
+      state,
+      notificationReceived('other/key', bytesToBase64(utf8ToBytes('\n'))),
+    );
+    expect(shown(state)).toEqual([['received', 'temp=21.5']]);
+    expect(text(base64ToBytes(state.pending))).toBe('ok');
+  });
+
+  it('echoes sent lines locally unless turned off', () => {
+    const sent = command =>
+      terminalLineSent(command, bytesToBase64(utf8ToBytes(command)));
+    let state = TerminalReducer(paired(), sent('help'));
+    state = TerminalReducer(state, terminalSettingsChanged({localEcho: false}));
+    state = TerminalReducer(state, sent('status'));
+    expect(shown(state)).toEqual([['sent', 'help']]);
+    expect(state.history).toEqual(['help', 'status']);
+  });
+
+  it('records repeated commands once', () => {
+    const sent = command => terminalLineSent(command, '');
+    let state = paired();
+    ['ls', 'ls', '', 'cd'].forEach(command => {
+      state = TerminalReducer(state, sent(command));
+    });
+    expect(state.history).toEqual(['ls', 'cd']);
+  });
+
+  it('starts over when paired with other characteristics', () => {
+    let state = TerminalReducer(paired(), received('hi\n'));
+    state = TerminalReducer(state, terminalPaired({...NORDIC_UART}));
+    expect(state.lines).toHaveLength(1);
+    state = TerminalReducer(
+      state,
+      terminalPaired({...NORDIC_UART, rxUUID: NORDIC_UART.txUUID}),
+    );
+    expect(state.lines).toEqual([]);
+  });
+});
+
+describe('sendTerminalLine', () => {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  let manager;
+
+  afterEach(() => manager && manager.destroy());
+
+  it('talks to the simulated UART, which echoes what it is sent', async () => {
+    let actions;
+    let store;
+    ({actions, manager, store} = await connectSimulator([
+      {id: 'SIM:UART', services: [UART_SERVICE]},
+    ]));
+    store.dispatch(actions.openTerminal(NORDIC_UART));
+    await wait(10);
+    expect(await store.dispatch(actions.sendTerminalLine('ping'))).toBe(true);
+    await wait(10);
+    const state = store.getState().terminal;
+    expect(
+      state.lines.map(line => [
+        line.direction,
+        text(base64ToBytes(line.value)),
+      ]),
+    ).toEqual([['sent', 'ping'], ['received', 'ping']]);
+    expect(state.history).toEqual(['ping']);
+  });
+
+  it('marks lines that could not be written', async () => {
+    let actions;
+    let store;
+    ({actions, manager, store} = await connectSimulator([
+      {id: 'SIM:UART', services: [UART_SERVICE]},
+    ]));
+    store.dispatch(actions.openTerminal(NORDIC_UART));
+    await store.dispatch(actions.disconnectDevice());
+    expect(await store.dispatch(actions.sendTerminalLine('ping'))).toBe(false);
+    const [line] = store.getState().terminal.lines;
+    expect(line).toMatchObject({direction: 'sent', failed: true});
+  });
+});
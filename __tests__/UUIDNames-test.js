@@ -0,0 +1,93 @@
+/**
+ * @format
+ */
+
+import {fullUUID, isUUID, shortUUID} from '../UUID';
+import {
+  companyLabel,
+  exportUUIDNames,
+  parseUUIDNames,
+  uuidLabel,
+  uuidName,
+} from '../UUIDNames';
+
+const BATTERY_SERVICE = '0000180f-0000-1000-8000-00805f9b34fb';
+const NUS = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
+
+describe('UUID forms', () => {
+  it('expands 16 and 32-bit UUIDs onto the base UUID', () => {
+    expect(fullUUID('180F')).toBe(BATTERY_SERVICE);
+    expect(fullUUID('0x180f')).toBe(BATTERY_SERVICE);
+    expect(fullUUID('0000180F')).toBe(BATTERY_SERVICE);
+    expect(fullUUID(NUS.toUpperCase())).toBe(NUS);
+  });
+
+  it('finds the 16-bit number of base UUIDs only', () => {
+    expect(shortUUID(BATTERY_SERVICE)).toBe(0x180f);
+    expect(shortUUID(NUS)).toBe(null);
+    expect(shortUUID('12345678')).toBe(null);
+  });
+
+  it('recognizes UUIDs', () => {
+    expect(isUUID('180f')).toBe(true);
+    expect(isUUID(NUS)).toBe(true);
+    expect(isUUID('180')).toBe(false);
+    expect(isUUID('6e400001b5a3f393e0a9e50e24dcca9e')).toBe(false);
+  });
+});
+
+describe('uuidLabel', () => {
+  it('labels assigned numbers in either form', () => {
+    expect(uuidLabel(BATTERY_SERVICE, 'service')).toBe(
+      'Battery Service (0x180F)',
+    );
+    expect(uuidLabel('2a19', 'characteristic')).toBe('Battery Level (0x2A19)');
+    expect(uuidLabel('2902', 'descriptor')).toBe(
+      'Client Characteristic Configuration (0x2902)',
+    );
+  });
+
+  it('looks in the table for the kind of attribute', () => {
+    expect(uuidName('180f', 'characteristic')).toBe(null);
+    expect(uuidLabel('180f', 'characteristic')).toBe('0x180F');
+  });
+
+  it('prefers user names', () => {
+    const names = {[NUS]: 'Nordic UART', [BATTERY_SERVICE]: 'Power'};
+    expect(uuidLabel(NUS.toUpperCase(), 'service', names)).toBe('Nordic UART');
+    expect(uuidLabel('180f', 'service', names)).toBe('Power (0x180F)');
+    expect(uuidLabel(NUS, 'service')).toBe(NUS);
+  });
+
+  it('labels company ids', () => {
+    expect(companyLabel(0x004c)).toBe('Apple, Inc. (0x004C)');
+    expect(companyLabel(0xfffe)).toBe('0xFFFE');
+  });
+});
+
+describe('import and export', () => {
+  it('round-trips and normalizes UUIDs', () => {
+    const names = parseUUIDNames(
+      JSON.stringify({names: {[NUS.toUpperCase()]: ' UART ', '180f': 'Power'}}),
+    );
+    expect(names).toEqual({[NUS]: 'UART', [BATTERY_SERVICE]: 'Power'});
+    expect(parseUUIDNames(exportUUIDNames(names))).toEqual(names);
+  });
+
+  it('exports in a stable order', () => {
+    expect(exportUUIDNames({b: '2', a: '1'})).toBe(
+      exportUUIDNames({a: '1', b: '2'}),
+    );
+  });
+
+  it('rejects malformed input', () => {
+    expect(() => parseUUIDNames('{')).toThrow('Not valid JSON');
+    expect(() => parseUUIDNames('[]')).toThrow('"names"');
+    expect(() => parseUUIDNames('{"names": {"xyz": "a"}}')).toThrow(
+      'not a UUID',
+    );
+    expect(() => parseUUIDNames('{"names": {"180f": ""}}')).toThrow(
+      'non-empty string',
+    );
+  });
+});
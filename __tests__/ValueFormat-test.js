@@ -0,0 +1,145 @@
+/**
+ * @format
+ */
+
+import {characteristicKey} from '../actions';
+import {decodeValue} from '../Decoders';
+import {
+  decodeFormat,
+  encodeFormat,
+  exportFormats,
+  parseFormat,
+  parseFormats,
+} from '../ValueFormat';
+
+const FORMAT = 'u8 flags; i16le temp/100 "°C"; u32be counter';
+const SERVICE = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
+const CHARACTERISTIC = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+
+describe('parseFormat', () => {
+  it('parses types, scales and units', () => {
+    const [flags, temp, counter] = parseFormat(FORMAT);
+    expect(flags).toMatchObject({kind: 'integer', size: 1, signed: false});
+    expect(temp).toMatchObject({
+      kind: 'integer',
+      size: 2,
+      signed: true,
+      bigEndian: false,
+      scale: 0.01,
+      unit: '°C',
+    });
+    expect(counter).toMatchObject({size: 4, bigEndian: true, scale: 1});
+  });
+
+  it('names the field that does not parse', () => {
+    expect(() => parseFormat('')).toThrow('no fields');
+    expect(() => parseFormat('u8 a; u12 b')).toThrow('Field 2');
+    expect(() => parseFormat('u8 a; u8 a')).toThrow('already');
+    expect(() => parseFormat('hex a; u8 b')).toThrow('last field');
+    expect(() => parseFormat('utf8 a/2')).toThrow('only numbers');
+    expect(() => parseFormat('u8 a/0')).toThrow('scale');
+  });
+});
+
+describe('decodeFormat', () => {
+  it('decodes scaled and signed fields', () => {
+    const bytes = [0x01, 0x1c, 0xfe, 0x00, 0x00, 0x01, 0x00];
+    expect(decodeFormat(parseFormat(FORMAT), bytes)).toEqual([
+      {label: 'flags', value: '1'},
+      {label: 'temp', value: '-4.84 °C'},
+      {label: 'counter', value: '256'},
+    ]);
+  });
+
+  it('shows trailing bytes and takes the rest for open-ended fields', () => {
+    expect(decodeFormat(parseFormat('u8 a'), [1, 0xab])).toEqual([
+      {label: 'a', value: '1'},
+      {label: 'Trailing bytes', value: 'AB'},
+    ]);
+    expect(decodeFormat(parseFormat('u8 a; utf8 b'), [1, 0x68, 0x69])).toEqual([
+      {label: 'a', value: '1'},
+      {label: 'b', value: 'hi'},
+    ]);
+  });
+
+  it('fails when the value is too short', () => {
+    expect(() => decodeFormat(parseFormat('u16 a'), [1])).toThrow('2 bytes');
+  });
+
+  it('takes precedence over the SIG decoders', () => {
+    const battery = '00002a19-0000-1000-8000-00805f9b34fb';
+    expect(decodeValue(battery, [50], 'u8 level*2 "%"')).toEqual({
+      fields: [{label: 'level', value: '100 %'}],
+    });
+  });
+});
+
+describe('encodeFormat', () => {
+  it('round-trips what decodeFormat shows', () => {
+    const fields = parseFormat(FORMAT + '; f32 ratio; hex[2] id; utf8 name');
+    const bytes = encodeFormat(fields, {
+      flags: '1',
+      temp: '-4.84',
+      counter: '256',
+      ratio: '0.5',
+      id: 'abcd',
+      name: 'hi',
+    });
+    expect(decodeFormat(fields, bytes)).toEqual([
+      {label: 'flags', value: '1'},
+      {label: 'temp', value: '-4.84 °C'},
+      {label: 'counter', value: '256'},
+      {label: 'ratio', value: '0.5'},
+      {label: 'id', value: 'AB CD'},
+      {label: 'name', value: 'hi'},
+    ]);
+  });
+
+  it('rejects values that do not fit', () => {
+    const fields = parseFormat('u8 a; hex[2] b');
+    expect(() => encodeFormat(fields, {a: '256', b: 'abcd'})).toThrow(
+      'out of range',
+    );
+    expect(() => encodeFormat(fields, {a: 'x', b: 'abcd'})).toThrow(
+      'not a number',
+    );
+    expect(() => encodeFormat(fields, {a: '1', b: 'ab'})).toThrow('2 bytes');
+  });
+});
+
+describe('import and export', () => {
+  it('reads back what it exports', () => {
+    const key = characteristicKey(SERVICE, CHARACTERISTIC);
+    const definitions = {
+      [key]: {
+        serviceUUID: SERVICE,
+        characteristicUUID: CHARACTERISTIC,
+        format: FORMAT,
+      },
+    };
+    expect(parseFormats(exportFormats(definitions), characteristicKey)).toEqual(
+      definitions,
+    );
+  });
+
+  it('normalizes UUIDs and checks every format', () => {
+    const json = format =>
+      JSON.stringify({
+        formats: [{service: '180F', characteristic: '0x2A19', format}],
+      });
+    expect(parseFormats(json('u8 level'), characteristicKey)).toEqual({
+      [characteristicKey(
+        '0000180f-0000-1000-8000-00805f9b34fb',
+        '00002a19-0000-1000-8000-00805f9b34fb',
+      )]: {
+        serviceUUID: '0000180f-0000-1000-8000-00805f9b34fb',
+        characteristicUUID: '00002a19-0000-1000-8000-00805f9b34fb',
+        format: 'u8 level',
+      },
+    });
+    expect(() => parseFormats(json('u9 level'), characteristicKey)).toThrow(
+      'Format 1',
+    );
+    expect(() => parseFormats('{}', characteristicKey)).toThrow('formats');
+  });
+});
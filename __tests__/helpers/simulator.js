@@ -0,0 +1,50 @@
+/**
+ * @format
+ */
+
+import {applyMiddleware, createStore} from 'redux';
+import thunk from 'redux-thunk';
+import SimulatedBleManager from '../../SimulatedBleManager';
+import {NORDIC_UART} from '../../Terminal';
+
+// A Nordic UART-style service, echoing what is written to TX as
+// notifications on RX.
+export const UART_SERVICE = {
+  uuid: NORDIC_UART.serviceUUID,
+  characteristics: [
+    {
+      uuid: NORDIC_UART.txUUID,
+      properties: ['writeWithoutResponse'],
+      echoTo: NORDIC_UART.rxUUID,
+    },
+    {uuid: NORDIC_UART.rxUUID, properties: ['notify']},
+  ],
+};
+
+// Connects a store to the first of peripherals, simulated without latency.
+// The thunks keep device handles and subscriptions in module state, so the
+// actions and reducers are fresh copies. setUp({actions, store}) runs before
+// connecting. Resolves to {actions, manager, store}; destroy the manager
+// when done.
+export const connectSimulator = async (peripherals, setUp = () => {}) => {
+  jest.resetModules();
+  const actions = require('../../actions');
+  const rootReducer = require('../../reducers').default;
+  const manager = new SimulatedBleManager({latency: 0, peripherals});
+  const store = createStore(
+    rootReducer,
+    applyMiddleware(thunk.withExtraArgument(manager)),
+  );
+  try {
+    await setUp({actions, store});
+    const [device] = await new Promise(resolve =>
+      manager.startDeviceScan(null, null, (error, found) => resolve([found])),
+    );
+    manager.stopDeviceScan();
+    await store.dispatch(actions.connectDevice(device.id));
+  } catch (error) {
+    manager.destroy();
+    throw error;
+  }
+  return {actions, manager, store};
+};
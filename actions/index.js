@@ -1,55 +1,478 @@
 import Base64 from '../Base64';
+import {
+  base64ToBytes,
+  bytesToBase64,
+  bytesToHex,
+  encodePayload,
+  utf8ToBytes,
+} from '../Encoding';
+import {buildPackets} from '../Framing';
+import {
+  ERROR_TYPES,
+  notConnectedError,
+  permissionError,
+  toBLEError,
+} from '../BLEError';
+import {deviceData, displayName} from '../Devices';
+import {characteristicKey, descriptorKey, normalizeGatt} from '../Gatt';
+import {macroBytes, macroKey, matchesPattern} from '../Macros';
+import {
+  pickWriteSettings,
+  readPreferences,
+  selectPreferences,
+} from '../Preferences';
+import {buildProfile} from '../Profile';
+import {
+  selectConnectedCharacteristic,
+  selectConnectedDevice,
+  selectConnectedGatt,
+  selectDevice,
+  selectSelectedCharacteristic,
+  selectSelectedService,
+} from '../Selectors';
+import {fullUUID, shortUUID} from '../UUID';
+import AsyncStorage from '@react-native-community/async-storage';
 import {PermissionsAndroid, Platform} from 'react-native';
+import {ScanCallbackType, ScanMode} from 'react-native-ble-plx';
+import {
+  deviceHandle,
+  removeDeviceHandle,
+  removeSubscriptionHandle,
+  setDeviceHandle,
+  setSubscriptionHandle,
+  subscriptionHandle,
+} from './registry';
 
 export const addBLE = (device) => ({
   type: "ADD_BLE",
-  device
+  device: deviceData(device),
+  seenAt: Date.now(),
 })
 
-export const connectedDevice = (device) => ({
-  type: "CONNECTED_DEVICE",
-  connectedDevice: device
+export const connectedDevice = device => ({
+  type: 'CONNECTED_DEVICE',
+  device: deviceData(device),
 });
 
-export const connectedServiceCharacteristics = (characteristic) => ({
-  type: "CONNECTED_CHARACTERISTICS",
-  connectedServiceCharacteristics: characteristic
+// service and characteristic of the connected device's GATT tree
+export const selectedService = service => ({
+  type: 'SELECTED_SERVICE',
+  serviceUUID: service.uuid,
 });
 
-export const connectedDeviceServices = (services) => ({
-  type: "CONNECTED_SERVICES",
-  connectedDeviceServices: services
+export const selectedCharacteristic = characteristic => ({
+  type: 'SELECTED_CHARACTERISTIC',
+  characteristicUUID: characteristic.uuid,
 });
 
-export const selectedService = (serviceID) => ({
-  type: "SELECTED_SERVICE",
-  selectedService: serviceID
+export const changeStatus = (status) => ({
+  type: "CHANGE_STATUS",
+  status: status
 });
 
-export const selectedCharacteristic = (characteristic) => ({
-  type: "SELECTED_CHARACTERISTIC",
-  selectedCharacteristic: characteristic
+export {characteristicKey, descriptorKey};
+
+// tree as fetchGatt resolves to, stored normalized, see Gatt.js
+export const gattDiscovered = (deviceId, tree) => ({
+  type: 'GATT_DISCOVERED',
+  deviceId,
+  gatt: normalizeGatt(tree, Date.now()),
 });
 
-export const changeStatus = (status) => ({
-  type: "CHANGE_STATUS",
-  status: status
+export const readCharacteristicStarted = key => ({
+  type: 'READ_CHARACTERISTIC_STARTED',
+  key,
+});
+
+export const readCharacteristicSucceeded = (key, value) => ({
+  type: 'READ_CHARACTERISTIC_SUCCEEDED',
+  key,
+  value,
+  readAt: Date.now(),
+});
+
+export const readCharacteristicFailed = (key, error) => ({
+  type: 'READ_CHARACTERISTIC_FAILED',
+  key,
+  error,
+  readAt: Date.now(),
+});
+
+export const characteristicSubscribed = key => ({
+  type: 'CHARACTERISTIC_SUBSCRIBED',
+  key,
+  subscribedAt: Date.now(),
+});
+
+export const characteristicUnsubscribed = key => ({
+  type: 'CHARACTERISTIC_UNSUBSCRIBED',
+  key,
+});
+
+export const notificationReceived = (key, value) => ({
+  type: 'NOTIFICATION_RECEIVED',
+  key,
+  value,
+  receivedAt: Date.now(),
+});
+
+export const clearNotifications = key => ({
+  type: 'CLEAR_NOTIFICATIONS',
+  key,
+});
+
+// a read or a write of the descriptor under key
+export const descriptorRequestStarted = key => ({
+  type: 'DESCRIPTOR_REQUEST_STARTED',
+  key,
+});
+
+export const descriptorValueReceived = (key, value) => ({
+  type: 'DESCRIPTOR_VALUE_RECEIVED',
+  key,
+  value,
+  updatedAt: Date.now(),
+});
+
+export const descriptorRequestFailed = (key, error) => ({
+  type: 'DESCRIPTOR_REQUEST_FAILED',
+  key,
+  error,
+  updatedAt: Date.now(),
+});
+
+export const deviceDisconnected = () => ({
+  type: 'DEVICE_DISCONNECTED',
+});
+
+export const reconnecting = attempt => ({
+  type: 'RECONNECTING',
+  attempt,
+});
+
+export const autoReconnectChanged = enabled => ({
+  type: 'SET_AUTO_RECONNECT',
+  enabled,
+});
+
+export const adapterStateChanged = adapterState => ({
+  type: 'ADAPTER_STATE_CHANGED',
+  adapterState,
+});
+
+export const scanRequested = requested => ({
+  type: 'SCAN_REQUESTED',
+  requested,
+});
+
+export const scanStarted = () => ({
+  type: 'SCAN_STARTED',
+});
+
+export const scanStopped = () => ({
+  type: 'SCAN_STOPPED',
+});
+
+export const clearBLEList = () => ({
+  type: 'CLEAR_BLE_LIST',
+});
+
+export const listOptionsChanged = options => ({
+  type: 'LIST_OPTIONS_CHANGED',
+  options,
+});
+
+export const deviceFilterChanged = filter => ({
+  type: 'DEVICE_FILTER_CHANGED',
+  filter,
+});
+
+// Forgets the devices that haven't advertised since `before`.
+export const removeStaleDevices = before => ({
+  type: 'REMOVE_STALE_DEVICES',
+  before,
+});
+
+export const scanOptionsChanged = options => ({
+  type: 'SCAN_OPTIONS_CHANGED',
+  options,
+});
+
+export const mtuChanged = mtu => ({
+  type: 'MTU_CHANGED',
+  mtu,
+});
+
+export const writeStarted = (key, total, withResponse) => ({
+  type: 'WRITE_STARTED',
+  key,
+  total,
+  withResponse,
+  startedAt: Date.now(),
+});
+
+export const writeChunkSucceeded = (key, index, size) => ({
+  type: 'WRITE_CHUNK_SUCCEEDED',
+  key,
+  index,
+  size,
+});
+
+export const writeChunkFailed = (key, index, size, error) => ({
+  type: 'WRITE_CHUNK_FAILED',
+  key,
+  index,
+  size,
+  error,
+});
+
+// source is the failed operation ('adapter', 'scan', 'connect', 'read',
+// 'write', 'notify', 'disconnect', 'storage' or 'export'), see BLEError.js.
+// Discovery is part of connecting.
+export const reportError = (source, error, context) => ({
+  type: 'REPORT_ERROR',
+  error: toBLEError(source, error, context),
+});
+
+export const dismissError = id => ({
+  type: 'DISMISS_ERROR',
+  id,
+});
+
+export const dismissErrors = source => ({
+  type: 'DISMISS_ERRORS',
+  source,
+});
+
+export const uuidNamesLoaded = names => ({
+  type: 'UUID_NAMES_LOADED',
+  names,
+});
+
+export const uuidNamesImported = names => ({
+  type: 'UUID_NAMES_IMPORTED',
+  names,
+});
+
+export const uuidNameSet = (uuid, name) => ({
+  type: 'UUID_NAME_SET',
+  uuid: fullUUID(uuid),
+  name,
+});
+
+export const uuidNameRemoved = uuid => ({
+  type: 'UUID_NAME_REMOVED',
+  uuid: fullUUID(uuid),
+});
+
+export const formatsLoaded = definitions => ({
+  type: 'FORMATS_LOADED',
+  definitions,
+});
+
+export const formatsImported = definitions => ({
+  type: 'FORMATS_IMPORTED',
+  definitions,
+});
+
+export const formatSet = (serviceUUID, characteristicUUID, format) => ({
+  type: 'FORMAT_SET',
+  key: characteristicKey(serviceUUID, characteristicUUID),
+  definition: {serviceUUID, characteristicUUID, format},
+});
+
+export const formatRemoved = key => ({
+  type: 'FORMAT_REMOVED',
+  key,
+});
+
+// the serial console, see Terminal.js
+export const terminalPaired = pair => ({
+  type: 'TERMINAL_PAIRED',
+  pair,
+});
+
+export const terminalSettingsChanged = settings => ({
+  type: 'TERMINAL_SETTINGS_CHANGED',
+  settings,
+});
+
+// value is what is echoed (base64), command what goes into the history
+export const terminalLineSent = (command, value) => ({
+  type: 'TERMINAL_LINE_SENT',
+  command,
+  value,
+  sentAt: Date.now(),
+});
+
+// the sent line echoed at sentAt didn't reach the device
+export const terminalLineFailed = sentAt => ({
+  type: 'TERMINAL_LINE_FAILED',
+  sentAt,
+});
+
+export const terminalCleared = () => ({
+  type: 'TERMINAL_CLEARED',
+});
+
+// macros and sequences, see Macros.js
+export const macrosLoaded = saved => ({
+  type: 'MACROS_LOADED',
+  saved,
+});
+
+export const macrosImported = ({macros, sequences}) => ({
+  type: 'MACROS_IMPORTED',
+  macros,
+  sequences,
+});
+
+export const macroSaved = macro => ({
+  type: 'MACRO_SAVED',
+  key: macroKey(macro.serviceUUID, macro.characteristicUUID, macro.name),
+  macro,
+});
+
+export const macroRemoved = key => ({
+  type: 'MACRO_REMOVED',
+  key,
+});
+
+export const sequenceSaved = sequence => ({
+  type: 'SEQUENCE_SAVED',
+  sequence,
+});
+
+export const sequenceRemoved = name => ({
+  type: 'SEQUENCE_REMOVED',
+  name,
+});
+
+export const sequenceRunStarted = (name, stepCount) => ({
+  type: 'SEQUENCE_RUN_STARTED',
+  name,
+  stepCount,
+  startedAt: Date.now(),
+});
+
+export const sequenceStepStarted = index => ({
+  type: 'SEQUENCE_STEP_STARTED',
+  index,
+});
+
+export const sequenceStepFinished = (index, status, message) => ({
+  type: 'SEQUENCE_STEP_FINISHED',
+  index,
+  status,
+  message,
+});
+
+export const sequenceRunFinished = status => ({
+  type: 'SEQUENCE_RUN_FINISHED',
+  status,
+  finishedAt: Date.now(),
+});
+
+// known devices and preferences, see Preferences.js
+export const preferencesLoaded = preferences => ({
+  type: 'PREFERENCES_LOADED',
+  preferences,
+});
+
+export const knownDeviceConnected = (id, name) => ({
+  type: 'KNOWN_DEVICE_CONNECTED',
+  id,
+  name,
+  connectedAt: Date.now(),
+});
+
+export const knownDeviceForgotten = id => ({
+  type: 'KNOWN_DEVICE_FORGOTTEN',
+  id,
+});
+
+export const favoriteSet = (id, favorite) => ({
+  type: 'FAVORITE_SET',
+  id,
+  favorite,
+});
+
+export const nicknameSet = (id, nickname) => ({
+  type: 'NICKNAME_SET',
+  id,
+  nickname,
+});
+
+export const characteristicUsed = (id, serviceUUID, characteristicUUID) => ({
+  type: 'CHARACTERISTIC_USED',
+  id,
+  serviceUUID,
+  characteristicUUID,
+});
+
+export const writeSettingsUsed = (id, settings) => ({
+  type: 'WRITE_SETTINGS_USED',
+  id,
+  settings,
+});
+
+export const writePreferencesChanged = preferences => ({
+  type: 'WRITE_PREFERENCES_CHANGED',
+  preferences,
 });
 
 //some thunks to control the BLE Device
 
+// Scanning is only possible while the adapter is PoweredOn, so a requested
+// scan is (re)started by monitorAdapterState whenever the adapter gets there.
 export const startScan = () => {
   return (dispatch, getState, DeviceManager) => {
-    // you can use Device Manager here
-    const subscription = DeviceManager.onStateChange((state) => {
-      if (state === 'PoweredOn') {
+    dispatch(scanRequested(true));
+    dispatch(monitorAdapterState());
+    if (getState().BLEs.adapterState === 'PoweredOn') {
+      dispatch(scan());
+    }
+  };
+};
+
+let adapterSubscription = null;
+
+// Keeps adapterState up to date for the lifetime of the app; calling it again
+// is a no-op.
+export const monitorAdapterState = () => {
+  return (dispatch, getState, DeviceManager) => {
+    if (adapterSubscription) {
+      return;
+    }
+    adapterSubscription = DeviceManager.onStateChange(adapterState => {
+      const state = getState().BLEs;
+      const previous = state.adapterState;
+      dispatch(adapterStateChanged(adapterState));
+      if (previous === 'PoweredOn' && adapterState !== 'PoweredOn') {
+        // the scan stays requested and resumes once the adapter is back
+        clearScanTimer();
+        DeviceManager.stopDeviceScan();
+        dispatch(scanStopped());
+      } else if (
+        previous !== 'PoweredOn' &&
+        adapterState === 'PoweredOn' &&
+        state.scanRequested
+      ) {
         dispatch(scan());
-        subscription.remove();
       }
     }, true);
   };
 };
 
+// Only Android lets apps switch the adapter on.
+export const enableBluetooth = () => {
+  return (dispatch, getState, DeviceManager) => {
+    return DeviceManager.enable().catch(error =>
+      dispatch(reportError('adapter', error)),
+    );
+  };
+};
+
 //on android device, we should ask permission
 const requestLocationPermission = async () => {
   try {
@@ -76,103 +499,1114 @@ const requestLocationPermission = async () => {
   }
 };
 
+let scanTimer = null;
+
+const clearScanTimer = () => {
+  if (scanTimer) {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+  }
+};
+
+// Starts, or restarts with the current scanOptions, the device scan. Use
+// startScan instead, which waits for the adapter to be ready.
 export const scan = () => {
   return async (dispatch, getState, DeviceManager) => {
     const permission = Platform.OS === 'ios'? true: await requestLocationPermission();
     if (permission) {
-      DeviceManager.startDeviceScan(null, null, (error, device) => {
-        dispatch(changeStatus('Scanning'));
-        if (error) {
-          console.log(error);
-        }
-        if (device !== null) {
-          dispatch(addBLE(device));
-        }
-      });
+      const options = getState().BLEs.scanOptions;
+      dispatch(dismissErrors('scan'));
+      clearScanTimer();
+      DeviceManager.stopDeviceScan();
+      DeviceManager.startDeviceScan(
+        options.serviceUUIDs.length > 0 ? options.serviceUUIDs : null,
+        {
+          allowDuplicates: options.allowDuplicates,
+          scanMode: ScanMode[options.scanMode],
+          callbackType: ScanCallbackType[options.callbackType],
+        },
+        (error, device) => {
+          if (error) {
+            clearScanTimer();
+            dispatch(scanStopped());
+            dispatch(reportError('scan', error));
+            return;
+          }
+          if (device !== null) {
+            dispatch(addBLE(device));
+          }
+        },
+      );
+      dispatch(scanStarted());
+      if (options.timeout > 0) {
+        scanTimer = setTimeout(
+          () => dispatch(stopScan()),
+          options.timeout * 1000,
+        );
+      }
     } else {
-      //TODO: here we could treat any new state or new thing when there's no permission to BLE
-      console.log('Error permission');
+      dispatch(scanRequested(false));
+      dispatch(
+        reportError(
+          'scan',
+          permissionError('Location permission is needed to scan for devices'),
+        ),
+      );
     }
   };
 };
 
-export const getServiceCharacteristics = service => {
+export const stopScan = () => {
   return (dispatch, getState, DeviceManager) => {
-    let state = getState();
-    DeviceManager.characteristicsForDevice(
-      state.BLEs.connectedDevice.id,
-      service.uuid,
-    ).then(characteristics => {
-      dispatch(connectedServiceCharacteristics(characteristics));
-    });
+    clearScanTimer();
+    dispatch(scanRequested(false));
+    DeviceManager.stopDeviceScan();
+    dispatch(scanStopped());
   };
 };
 
-export const connectDevice = (device) => {
+// Starts over with an empty device list.
+export const rescan = () => {
   return (dispatch, getState, DeviceManager) => {
-    dispatch(changeStatus("Connecting"));
-    DeviceManager.stopDeviceScan()
-    device
-      .connect()
-      .then((device) => {
-        dispatch(changeStatus("Discovering"));
-        let allCharacteristics = device.discoverAllServicesAndCharacteristics()
-        dispatch(connectedDevice(device));
-        return allCharacteristics;
-      })
-      .then((device) => {
-        let services = device.services(device.id);
-        return services;
-      })
-      .then((services) => {
-          console.log("found services: ", services)
-          dispatch(connectedDeviceServices(services));
-        }, (error) => {
-          console.log(this._logError("SCAN", error));
-        })
+    dispatch(stopScan());
+    dispatch(clearBLEList());
+    dispatch(startScan());
+  };
+};
+
+export const setScanOptions = options => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(scanOptionsChanged(options));
+    if (getState().BLEs.scanning) {
+      dispatch(scan());
+    }
+    return dispatch(savePreferences());
+  };
+};
+
+export const setListOptions = options => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(listOptionsChanged(options));
+    return dispatch(savePreferences());
+  };
+};
+
+export const setAutoReconnect = enabled => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(autoReconnectChanged(enabled));
+    return dispatch(savePreferences());
+  };
+};
+
+// Everything discoverAllServicesAndCharacteristics found, as
+// [{service, characteristics: [{characteristic, descriptors}]}]. This is the
+// only time the tree is asked for, screens use the copy in the gatt reducer.
+const fetchGatt = async device => {
+  const services = await device.services();
+  return Promise.all(
+    services.map(async service => {
+      const characteristics = await service.characteristics();
+      return {
+        service,
+        characteristics: await Promise.all(
+          characteristics.map(async characteristic => ({
+            characteristic,
+            descriptors: await characteristic.descriptors(),
+          })),
+        ),
+      };
+    }),
+  );
+};
+
+// iOS negotiates the MTU by itself, Android sticks to the default of 23
+// unless asked. A refused request leaves the device on its current MTU.
+export const REQUESTED_MTU = 517;
+
+const requestMTU = device => {
+  if (Platform.OS !== 'android') {
+    return device;
+  }
+  return device.requestMTU(REQUESTED_MTU).catch(() => device);
+};
 
+// the Device the thunks below work with while connected
+const connectedHandle = state => deviceHandle(state.BLEs.connectedDeviceId);
+
+// Resolves to the connected Device, or rejects with notConnectedError when
+// there is none, so that operations fail like any other failed request.
+const requireConnected = state => {
+  const device = connectedHandle(state);
+  return device ? Promise.resolve(device) : Promise.reject(notConnectedError());
+};
+
+// Only one device is connected at a time, so there is at most one listener
+// for its disconnection and one pending reconnect attempt. Bumping
+// reconnectGeneration makes any reconnect attempt in flight give up.
+let disconnectSubscription = null;
+let reconnectTimer = null;
+let reconnectGeneration = 0;
+
+const removeDisconnectListener = () => {
+  if (disconnectSubscription) {
+    disconnectSubscription.remove();
+    disconnectSubscription = null;
   }
-}
-
-const crcVal = (array) => {
-  let currentVal;
-  let output = array.reduce(function (currentVal, index) {
-    currentVal = currentVal + index;
-    if (currentVal > 256) {
-      currentVal = currentVal - 256;
-    }
-    return currentVal;
-  })
-  return 255 - output;
-}
-
-function str2ab(str) {
-  console.log("string to send: ", str)
-  var bufView = new Uint8Array(str.length);
-  for (var i = 0, strLen = str.length; i < strLen; i++) {
-    bufView[i] = str.charCodeAt(i);
+};
+
+const cancelReconnect = () => {
+  reconnectGeneration++;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
   }
-  return bufView;
-}
+};
 
-export const writeCharacteristic = (text) => {
+// Resolves to true once the device with id is connected and its services are
+// known, or to false (with the connection torn down again) if any step
+// failed. The Device it gets is kept in the registry while connected.
+const connect = id => {
   return (dispatch, getState, DeviceManager) => {
+    dispatch(unsubscribeAll());
+    dispatch(stopScan());
+    dispatch(changeStatus('Connecting'));
+    return DeviceManager.connectToDevice(id)
+      .then(requestMTU)
+      .then(device => {
+        setDeviceHandle(device);
+        disconnectSubscription = DeviceManager.onDeviceDisconnected(id, error =>
+          dispatch(connectionLost(id, error)),
+        );
+        dispatch(mtuChanged(device.mtu));
+        dispatch(changeStatus('Discovering'));
+        const discovered = device.discoverAllServicesAndCharacteristics();
+        dispatch(connectedDevice(device));
+        return discovered;
+      })
+      .then(fetchGatt)
+      .then(
+        tree => {
+          dispatch(gattDiscovered(id, tree));
+          dispatch(readDescriptorsOnDiscovery());
+          dispatch(changeStatus('Connected'));
+          dispatch(dismissErrors('connect'));
+          dispatch(
+            knownDeviceConnected(id, displayName(selectDevice(getState(), id))),
+          );
+          dispatch(savePreferences());
+          return true;
+        },
+        error => {
+          dispatch(reportError('connect', error, {deviceId: id}));
+          removeDisconnectListener();
+          removeDeviceHandle(id);
+          dispatch(deviceDisconnected());
+          return DeviceManager.cancelDeviceConnection(id).then(
+            () => false,
+            () => false,
+          );
+        },
+      );
+  };
+};
+
+// Connects to the device with id, scanned or known from before.
+export const connectDevice = id => {
+  return (dispatch, getState, DeviceManager) => {
+    const previous = getState().BLEs.connectedDeviceId;
+    cancelReconnect();
+    removeDisconnectListener();
+    if (previous && previous !== id) {
+      removeDeviceHandle(previous);
+      // it is gone either way
+      DeviceManager.cancelDeviceConnection(previous).catch(() => {});
+    }
+    return dispatch(connect(id));
+  };
+};
+
+// Waits 1x, 2x, 4x... the initial delay (up to maxDelay) between attempts.
+const scheduleReconnect = (id, attempt) => {
+  return (dispatch, getState, DeviceManager) => {
+    const settings = getState().BLEs.autoReconnect;
+    if (attempt > settings.maxAttempts) {
+      dispatch(deviceDisconnected());
+      return;
+    }
+    const generation = reconnectGeneration;
+    const delay = Math.min(
+      settings.initialDelay * 2 ** (attempt - 1),
+      settings.maxDelay,
+    );
+    dispatch(reconnecting(attempt));
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      dispatch(connect(id)).then(connected => {
+        if (!connected && generation === reconnectGeneration) {
+          dispatch(scheduleReconnect(id, attempt + 1));
+        }
+      });
+    }, delay);
+  };
+};
+
+const connectionLost = (id, error) => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(
+      reportError(
+        'connect',
+        error || {
+          type: ERROR_TYPES.DISCONNECTED,
+          message: `Lost the connection to ${displayName(
+            selectDevice(getState(), id) || {id},
+          )}`,
+        },
+        {deviceId: id},
+      ),
+    );
+    removeDisconnectListener();
+    removeDeviceHandle(id);
+    dispatch(unsubscribeAll());
+    dispatch(deviceDisconnected());
+    if (getState().BLEs.autoReconnect.enabled) {
+      dispatch(scheduleReconnect(id, 1));
+    }
+  };
+};
+
+export const disconnectDevice = () => {
+  return (dispatch, getState, DeviceManager) => {
+    const id = getState().BLEs.connectedDeviceId;
+    cancelReconnect();
+    removeDisconnectListener();
+    dispatch(unsubscribeAll());
+    if (!id) {
+      dispatch(deviceDisconnected());
+      return Promise.resolve();
+    }
+    removeDeviceHandle(id);
+    dispatch(changeStatus('Disconnecting'));
+    return DeviceManager.cancelDeviceConnection(id)
+      .catch(error => dispatch(reportError('disconnect', error)))
+      .then(() => dispatch(deviceDisconnected()));
+  };
+};
+
+// Characteristics that support both write types default to writing with
+// response, so that failures are reported back to us.
+export const defaultWriteWithResponse = characteristic =>
+  Boolean(characteristic.isWritableWithResponse);
+
+// Every write carries a 3 byte ATT header, the rest of the MTU is payload.
+export const ATT_HEADER_SIZE = 3;
+
+export const defaultChunkSize = mtu => mtu - ATT_HEADER_SIZE;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Writes to the selected characteristic, or the given one, and resolves to
+// whether every chunk was written.
+// options: {chunkSize, delay, framing} where chunkSize defaults to what the
+// negotiated MTU allows, delay is the pause in ms between two chunks and
+// framing is described in Framing.js.
+export const writeCharacteristic = (
+  bytes,
+  withResponse,
+  options = {},
+  serviceUUID = null,
+  characteristicUUID = null,
+) => {
+  return async (dispatch, getState, DeviceManager) => {
     const state = getState();
-    let buffer = str2ab(text)
-    let packetsize = 20;
-    let offset = 0;
-    let packetlength = packetsize;
-    do {
-      if (offset + packetsize > buffer.length) {
-        packetlength = buffer.length;
-      } else {
-        packetlength = offset + packetsize;
+    const device = connectedHandle(state);
+    if (!serviceUUID) {
+      serviceUUID = selectSelectedService(state).uuid;
+      characteristicUUID = selectSelectedCharacteristic(state).uuid;
+    }
+    const key = characteristicKey(serviceUUID, characteristicUUID);
+    if (!device) {
+      dispatch(
+        reportError('write', notConnectedError(), {
+          serviceUUID,
+          characteristicUUID,
+        }),
+      );
+      return false;
+    }
+    let packets;
+    try {
+      packets = buildPackets(
+        bytes,
+        options.chunkSize || defaultChunkSize(state.BLEs.mtu),
+        options.framing,
+      );
+    } catch (error) {
+      // e.g. per chunk framing that leaves no room for the payload
+      dispatch(reportError('write', error, {serviceUUID, characteristicUUID}));
+      return false;
+    }
+
+    dispatch(writeStarted(key, packets.length, withResponse));
+    for (let index = 0; index < packets.length; index++) {
+      const packet = packets[index];
+      if (index > 0 && options.delay > 0) {
+        await sleep(options.delay);
       }
-      let packet = buffer.slice(offset, packetlength);
-      console.log("packet: ", packet)
       let base64packet = Base64.btoa(String.fromCharCode.apply(null, packet));
-      state.BLEs.connectedDevice.writeCharacteristicWithoutResponseForService(state.BLEs.selectedService.uuid, state.BLEs.selectedCharacteristic.uuid, base64packet)
-      offset += packetsize;
-    } while (offset < buffer.length)
+      try {
+        if (withResponse) {
+          await device.writeCharacteristicWithResponseForService(
+            serviceUUID,
+            characteristicUUID,
+            base64packet,
+          );
+        } else {
+          await device.writeCharacteristicWithoutResponseForService(
+            serviceUUID,
+            characteristicUUID,
+            base64packet,
+          );
+        }
+        dispatch(writeChunkSucceeded(key, index, packet.length));
+      } catch (error) {
+        // the rest of the message is useless to the peripheral without this chunk
+        dispatch(writeChunkFailed(key, index, packet.length, error.message));
+        dispatch(
+          reportError('write', error, {serviceUUID, characteristicUUID}),
+        );
+        return false;
+      }
+    }
+    return true;
+  };
+};
+
+// Reads the selected characteristic, or the given one.
+export const readCharacteristic = (
+  serviceUUID = null,
+  characteristicUUID = null,
+) => {
+  return (dispatch, getState, DeviceManager) => {
+    const state = getState();
+    if (!serviceUUID) {
+      serviceUUID = selectSelectedService(state).uuid;
+      characteristicUUID = selectSelectedCharacteristic(state).uuid;
+    }
+    const key = characteristicKey(serviceUUID, characteristicUUID);
+    dispatch(readCharacteristicStarted(key));
+    return requireConnected(state)
+      .then(device =>
+        device.readCharacteristicForService(serviceUUID, characteristicUUID),
+      )
+      .then(
+        characteristic => {
+          dispatch(readCharacteristicSucceeded(key, characteristic.value));
+        },
+        error => {
+          dispatch(readCharacteristicFailed(key, error.message));
+          dispatch(
+            reportError('read', error, {serviceUUID, characteristicUUID}),
+          );
+        },
+      );
+  };
+};
+
+// Reads every readable characteristic of the connected device, one after the
+// other. Failures are reported like any other read and don't stop the rest.
+export const readAllCharacteristics = () => {
+  return async (dispatch, getState, DeviceManager) => {
+    const gatt = selectConnectedGatt(getState());
+    const readable = Object.values(gatt ? gatt.characteristics : {}).filter(
+      characteristic => characteristic.isReadable,
+    );
+    for (const characteristic of readable) {
+      await dispatch(
+        readCharacteristic(characteristic.serviceUUID, characteristic.uuid),
+      );
+    }
+  };
+};
+
+// Resolves to the connected device's profile (see Profile.js), with fresh
+// values of the readable characteristics if includeValues is set; the ones
+// that couldn't be read are marked in it. Rejects if the device disconnects
+// meanwhile.
+export const exportProfile = includeValues => {
+  return async (dispatch, getState, DeviceManager) => {
+    if (includeValues) {
+      await dispatch(readAllCharacteristics());
+    }
+    if (!selectConnectedDevice(getState()).id) {
+      throw notConnectedError();
+    }
+    return buildProfile(getState(), {includeValues, exportedAt: Date.now()});
+  };
+};
+
+// ble-plx enables notifications or indications, whichever the characteristic
+// supports, for as long as the returned subscription is alive.
+export const subscribeCharacteristic = (serviceUUID, characteristicUUID) => {
+  return (dispatch, getState, DeviceManager) => {
+    const state = getState();
+    const key = characteristicKey(serviceUUID, characteristicUUID);
+    if (state.BLEs.subscriptions[key]) {
+      return;
+    }
+    const device = connectedHandle(state);
+    if (!device) {
+      dispatch(
+        reportError('notify', notConnectedError(), {
+          serviceUUID,
+          characteristicUUID,
+        }),
+      );
+      return;
+    }
+    const subscription = device.monitorCharacteristicForService(
+      serviceUUID,
+      characteristicUUID,
+      (error, characteristic) => {
+        if (error) {
+          // the monitor is finished after any error, e.g. the device
+          // disconnected; removing it ourselves also ends up here
+          if (subscriptionHandle(key) === subscription) {
+            removeSubscriptionHandle(key);
+            dispatch(characteristicUnsubscribed(key));
+            dispatch(
+              reportError('notify', error, {serviceUUID, characteristicUUID}),
+            );
+          }
+          return;
+        }
+        dispatch(notificationReceived(key, characteristic.value));
+      },
+    );
+    setSubscriptionHandle(key, subscription);
+    dispatch(characteristicSubscribed(key));
+  };
+};
+
+export const unsubscribeCharacteristic = (serviceUUID, characteristicUUID) => {
+  return (dispatch, getState, DeviceManager) => {
+    const key = characteristicKey(serviceUUID, characteristicUUID);
+    const subscription = removeSubscriptionHandle(key);
+    if (subscription) {
+      dispatch(characteristicUnsubscribed(key));
+      subscription.remove();
+    }
+  };
+};
+
+export const unsubscribeAll = () => {
+  return (dispatch, getState, DeviceManager) => {
+    Object.keys(getState().BLEs.subscriptions).forEach(key => {
+      const subscription = removeSubscriptionHandle(key);
+      dispatch(characteristicUnsubscribed(key));
+      if (subscription) {
+        subscription.remove();
+      }
+    });
+  };
+};
+
+// Read as soon as they are discovered, they describe the characteristic: its
+// extended properties, user description, notification state and format.
+const DESCRIPTORS_READ_ON_DISCOVERY = [0x2900, 0x2901, 0x2902, 0x2904];
+
+const readOnDiscovery = descriptor =>
+  DESCRIPTORS_READ_ON_DISCOVERY.includes(shortUUID(descriptor.uuid));
+
+// for every characteristic of the connected device
+const readDescriptorsOnDiscovery = () => {
+  return (dispatch, getState, DeviceManager) => {
+    const gatt = selectConnectedGatt(getState());
+    Object.values(gatt.descriptors)
+      .filter(readOnDiscovery)
+      .forEach(descriptor => {
+        dispatch(
+          readDescriptor(
+            descriptor.serviceUUID,
+            descriptor.characteristicUUID,
+            descriptor.uuid,
+          ),
+        );
+      });
+  };
+};
+
+export const readDescriptor = (
+  serviceUUID,
+  characteristicUUID,
+  descriptorUUID,
+) => {
+  return (dispatch, getState, DeviceManager) => {
+    const key = descriptorKey(serviceUUID, characteristicUUID, descriptorUUID);
+    dispatch(descriptorRequestStarted(key));
+    return requireConnected(getState())
+      .then(device =>
+        device.readDescriptorForService(
+          serviceUUID,
+          characteristicUUID,
+          descriptorUUID,
+        ),
+      )
+      .then(
+        descriptor => {
+          dispatch(descriptorValueReceived(key, descriptor.value));
+        },
+        error => {
+          dispatch(descriptorRequestFailed(key, error.message));
+          dispatch(
+            reportError('read', error, {
+              serviceUUID,
+              characteristicUUID,
+              descriptorUUID,
+            }),
+          );
+        },
+      );
+  };
+};
+
+// iOS doesn't allow writing the Client Characteristic Configuration, use
+// notifications on the characteristic instead.
+export const writeDescriptor = (
+  serviceUUID,
+  characteristicUUID,
+  descriptorUUID,
+  bytes,
+) => {
+  return (dispatch, getState, DeviceManager) => {
+    const key = descriptorKey(serviceUUID, characteristicUUID, descriptorUUID);
+    dispatch(descriptorRequestStarted(key));
+    return requireConnected(getState())
+      .then(device =>
+        device.writeDescriptorForService(
+          serviceUUID,
+          characteristicUUID,
+          descriptorUUID,
+          bytesToBase64(bytes),
+        ),
+      )
+      .then(
+        descriptor => {
+          dispatch(descriptorValueReceived(key, descriptor.value));
+        },
+        error => {
+          dispatch(descriptorRequestFailed(key, error.message));
+          dispatch(
+            reportError('write', error, {
+              serviceUUID,
+              characteristicUUID,
+              descriptorUUID,
+            }),
+          );
+        },
+      );
+  };
+};
+
+// Starts listening on pair's RX characteristic; the terminal reducer picks
+// the lines out of its notifications.
+export const openTerminal = pair => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(terminalPaired(pair));
+    dispatch(subscribeCharacteristic(pair.serviceUUID, pair.rxUUID));
+  };
+};
+
+// Sends command as UTF-8 with the configured line ending to the paired TX
+// characteristic, resolving to whether it was written.
+export const sendTerminalLine = command => {
+  return (dispatch, getState, DeviceManager) => {
+    const state = getState();
+    const {pair, settings} = state.terminal;
+    let bytes;
+    try {
+      bytes = encodePayload(
+        command,
+        'utf8',
+        settings.lineEnding,
+        settings.customLineEnding,
+      );
+    } catch (error) {
+      dispatch(reportError('write', error));
+      return Promise.resolve(false);
+    }
+    const tx = selectConnectedCharacteristic(
+      state,
+      pair.serviceUUID,
+      pair.txUUID,
+    );
+    // echoed before it is written, so that it comes before the reply
+    const sent = terminalLineSent(command, bytesToBase64(utf8ToBytes(command)));
+    dispatch(sent);
+    return dispatch(
+      writeCharacteristic(
+        bytes,
+        defaultWriteWithResponse(tx),
+        {},
+        pair.serviceUUID,
+        pair.txUUID,
+      ),
+    ).then(written => {
+      if (!written) {
+        dispatch(terminalLineFailed(sent.sentAt));
+      }
+      return written;
+    });
+  };
+};
+
+const UUID_NAMES_KEY = '@BLEDiscoveryApp:uuidNames';
+const FORMATS_KEY = '@BLEDiscoveryApp:formats';
+const MACROS_KEY = '@BLEDiscoveryApp:macros';
+const PREFERENCES_KEY = '@BLEDiscoveryApp:preferences';
+
+// Saves what select picks out of the state as JSON under key, once the
+// reducer named slice has its saved state back: saving before then would
+// overwrite what is stored with the defaults.
+const saveItem = (key, slice, select) => {
+  return (dispatch, getState, DeviceManager) => {
+    if (!getState()[slice].loaded) {
+      return Promise.resolve();
+    }
+    return AsyncStorage.setItem(key, JSON.stringify(select(getState()))).catch(
+      error => dispatch(reportError('storage', error)),
+    );
+  };
+};
+
+// Reads back what saveItem saved under key and hands it to loaded, or {} if
+// there is nothing (readable) there.
+const loadItem = (key, loaded) => {
+  return (dispatch, getState, DeviceManager) =>
+    AsyncStorage.getItem(key)
+      .then(saved => dispatch(loaded(saved ? JSON.parse(saved) : {})))
+      .catch(error => {
+        dispatch(loaded({}));
+        dispatch(reportError('storage', error));
+      });
+};
+
+const saveUUIDNames = () =>
+  saveItem(UUID_NAMES_KEY, 'uuidNames', state => state.uuidNames.names);
+
+// Reads back the names saved by the thunks below, once at startup.
+export const loadUUIDNames = () => loadItem(UUID_NAMES_KEY, uuidNamesLoaded);
+
+export const setUUIDName = (uuid, name) => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(uuidNameSet(uuid, name));
+    return dispatch(saveUUIDNames());
+  };
+};
+
+export const removeUUIDName = uuid => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(uuidNameRemoved(uuid));
+    return dispatch(saveUUIDNames());
+  };
+};
+
+// names as returned by parseUUIDNames; they are added to, and override, the
+// existing ones.
+export const importUUIDNames = names => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(uuidNamesImported(names));
+    return dispatch(saveUUIDNames());
+  };
+};
+
+const saveFormats = () =>
+  saveItem(FORMATS_KEY, 'formats', state => state.formats.definitions);
+
+// Reads back the value formats saved by the thunks below, once at startup.
+export const loadFormats = () => loadItem(FORMATS_KEY, formatsLoaded);
+
+// Attaches a format definition (see ValueFormat.js) to a characteristic.
+export const setFormat = (serviceUUID, characteristicUUID, format) => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(formatSet(serviceUUID, characteristicUUID, format));
+    return dispatch(saveFormats());
+  };
+};
+
+export const removeFormat = key => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(formatRemoved(key));
+    return dispatch(saveFormats());
+  };
+};
+
+// definitions as returned by parseFormats; they are added to, and override,
+// the existing ones.
+export const importFormats = definitions => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(formatsImported(definitions));
+    return dispatch(saveFormats());
+  };
+};
+
+// Writes a macro to its characteristic, chunked per options like any write.
+export const sendMacro = (macro, options = {}) => {
+  return (dispatch, getState, DeviceManager) => {
+    const state = getState();
+    const characteristic = selectConnectedCharacteristic(
+      state,
+      macro.serviceUUID,
+      macro.characteristicUUID,
+    );
+    let bytes;
+    try {
+      bytes = macroBytes(macro);
+    } catch (error) {
+      dispatch(reportError('write', error));
+      return Promise.resolve(false);
+    }
+    return dispatch(
+      writeCharacteristic(
+        bytes,
+        macro.withResponse === null
+          ? defaultWriteWithResponse(characteristic)
+          : macro.withResponse,
+        options,
+        macro.serviceUUID,
+        macro.characteristicUUID,
+      ),
+    );
+  };
+};
+
+const saveMacros = () =>
+  saveItem(MACROS_KEY, 'macros', state => ({
+    macros: state.macros.macros,
+    sequences: state.macros.sequences,
+  }));
+
+// Reads back the macros and sequences saved by the thunks below, once at
+// startup.
+export const loadMacros = () => loadItem(MACROS_KEY, macrosLoaded);
+
+export const saveMacro = macro => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(macroSaved(macro));
+    return dispatch(saveMacros());
+  };
+};
+
+export const removeMacro = key => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(macroRemoved(key));
+    return dispatch(saveMacros());
+  };
+};
+
+export const saveSequence = sequence => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(sequenceSaved(sequence));
+    return dispatch(saveMacros());
+  };
+};
+
+export const removeSequence = name => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(sequenceRemoved(name));
+    return dispatch(saveMacros());
+  };
+};
+
+// imported as returned by parseMacros; it is added to, and overrides, what
+// is saved.
+export const importMacros = imported => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(macrosImported(imported));
+    return dispatch(saveMacros());
+  };
+};
+
+// Only one sequence runs at a time. Bumping sequenceGeneration stops it at
+// the next step, or during a wait.
+let sequenceGeneration = 0;
+
+const SEQUENCE_POLL_INTERVAL = 50;
+
+const STOPPED = new Error('Stopped');
+
+// Resolves to true once condition holds, or to false after timeout ms.
+const pollUntil = async (condition, timeout, isStopped) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    if (isStopped()) {
+      throw STOPPED;
+    }
+    if (condition()) {
+      return true;
+    }
+    const left = deadline - Date.now();
+    if (left <= 0) {
+      return false;
+    }
+    await sleep(Math.min(left, SEQUENCE_POLL_INTERVAL));
   }
-}
\ No newline at end of file
+};
+
+const stepCharacteristic = (state, step) => {
+  const gatt = selectConnectedGatt(state);
+  const characteristic =
+    gatt &&
+    gatt.characteristics[
+      characteristicKey(step.serviceUUID, step.characteristicUUID)
+    ];
+  if (!characteristic) {
+    throw new Error(
+      `The device has no characteristic ${step.characteristicUUID}`,
+    );
+  }
+  return characteristic;
+};
+
+// Resolves to a description of what the step did, or rejects with why it
+// failed. Notification steps accept notifications received since since, so
+// that a reply that arrives before the step starts waiting still counts.
+const runStep = (step, since, isStopped) => {
+  return async (dispatch, getState, DeviceManager) => {
+    if (step.type === 'delay') {
+      await pollUntil(() => false, step.ms, isStopped);
+      return `Waited ${step.ms} ms`;
+    }
+    const characteristic = stepCharacteristic(getState(), step);
+    const key = characteristicKey(step.serviceUUID, step.characteristicUUID);
+    switch (step.type) {
+      case 'write': {
+        const bytes = macroBytes(step);
+        const written = await dispatch(
+          writeCharacteristic(
+            bytes,
+            step.withResponse === null
+              ? defaultWriteWithResponse(characteristic)
+              : step.withResponse,
+            {},
+            step.serviceUUID,
+            step.characteristicUUID,
+          ),
+        );
+        if (!written) {
+          throw new Error(getState().BLEs.characteristicWrites[key].error);
+        }
+        return `Wrote ${bytesToHex(bytes)}`;
+      }
+      case 'read': {
+        await dispatch(
+          readCharacteristic(step.serviceUUID, step.characteristicUUID),
+        );
+        const read = getState().BLEs.characteristicReads[key];
+        if (read.error) {
+          throw new Error(read.error);
+        }
+        const bytes = base64ToBytes(read.value);
+        if (!matchesPattern(bytes, step.pattern, step.on)) {
+          throw new Error(
+            `Read ${bytesToHex(bytes)}, expected /${step.pattern}/`,
+          );
+        }
+        return `Read ${bytesToHex(bytes)}`;
+      }
+      default: {
+        if (!getState().BLEs.subscriptions[key]) {
+          throw new Error('Not subscribed to notifications');
+        }
+        let match = null;
+        const found = await pollUntil(
+          () => {
+            match = (getState().BLEs.notifications[key] || []).find(
+              notification =>
+                notification.receivedAt >= since &&
+                matchesPattern(
+                  base64ToBytes(notification.value),
+                  step.pattern,
+                  step.on,
+                ),
+            );
+            return Boolean(match);
+          },
+          step.timeout,
+          isStopped,
+        );
+        if (!found) {
+          throw new Error(`No matching notification within ${step.timeout} ms`);
+        }
+        return `Received ${bytesToHex(base64ToBytes(match.value))}`;
+      }
+    }
+  };
+};
+
+// Runs the saved sequence called name on the connected device, step by step
+// until one fails, and resolves to how the run ended: 'passed', 'failed' or
+// 'stopped'. Results are in the macros reducer's run.
+export const runSequence = name => {
+  return async (dispatch, getState, DeviceManager) => {
+    const current = getState().macros.run;
+    if (current && current.status === 'running') {
+      return null;
+    }
+    const sequence = getState().macros.sequences[name];
+    const steps = sequence ? sequence.steps : [];
+    // without a sequence or a device to run it on, the run fails as a whole
+    if (!sequence || !getState().BLEs.connectedDeviceId) {
+      dispatch(sequenceRunStarted(name, steps.length));
+      if (steps.length > 0) {
+        dispatch(
+          sequenceStepFinished(0, 'failed', notConnectedError().message),
+        );
+      }
+      dispatch(sequenceRunFinished('failed'));
+      return 'failed';
+    }
+    const generation = ++sequenceGeneration;
+    const isStopped = () => generation !== sequenceGeneration;
+    // Subscribe to what the notification steps wait on before anything is
+    // written, or replies to the writes would be missed. Those subscriptions
+    // end with the run.
+    const subscribed = steps.filter(
+      (step, index) =>
+        step.type === 'notification' &&
+        !getState().BLEs.subscriptions[
+          characteristicKey(step.serviceUUID, step.characteristicUUID)
+        ] &&
+        steps.findIndex(
+          other =>
+            other.type === 'notification' &&
+            other.serviceUUID === step.serviceUUID &&
+            other.characteristicUUID === step.characteristicUUID,
+        ) === index,
+    );
+    subscribed.forEach(step =>
+      dispatch(
+        subscribeCharacteristic(step.serviceUUID, step.characteristicUUID),
+      ),
+    );
+    let status = 'passed';
+    let previousStart = Date.now();
+    dispatch(sequenceRunStarted(name, steps.length));
+    for (let index = 0; index < steps.length && status === 'passed'; index++) {
+      const startedAt = Date.now();
+      dispatch(sequenceStepStarted(index));
+      try {
+        const message = await dispatch(
+          runStep(steps[index], previousStart, isStopped),
+        );
+        if (isStopped()) {
+          throw STOPPED;
+        }
+        dispatch(sequenceStepFinished(index, 'passed', message));
+      } catch (error) {
+        status = error === STOPPED ? 'stopped' : 'failed';
+        dispatch(
+          sequenceStepFinished(
+            index,
+            error === STOPPED ? 'skipped' : 'failed',
+            error.message,
+          ),
+        );
+      }
+      previousStart = startedAt;
+    }
+    subscribed.forEach(step =>
+      dispatch(
+        unsubscribeCharacteristic(step.serviceUUID, step.characteristicUUID),
+      ),
+    );
+    dispatch(sequenceRunFinished(status));
+    return status;
+  };
+};
+
+export const stopSequence = () => {
+  return (dispatch, getState, DeviceManager) => {
+    sequenceGeneration++;
+  };
+};
+
+const savePreferences = () =>
+  saveItem(PREFERENCES_KEY, 'preferences', selectPreferences);
+
+// Nothing saved yet reads as no preferences, leaving everything at its
+// default; so does anything that can't be read, after reporting why.
+const preferencesRead = saved =>
+  preferencesLoaded(
+    Object.keys(saved).length > 0 ? readPreferences(saved) : {},
+  );
+
+// Reads back the known devices and preferences, once at startup.
+export const loadPreferences = () => {
+  return (dispatch, getState, DeviceManager) =>
+    dispatch(loadItem(PREFERENCES_KEY, preferencesRead)).then(() => {
+      // a scan started before they were read back used the default options
+      if (getState().BLEs.scanning) {
+        dispatch(scan());
+      }
+    });
+};
+
+export const setFavorite = (id, favorite) => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(favoriteSet(id, favorite));
+    return dispatch(savePreferences());
+  };
+};
+
+// An empty nickname goes back to the device's own name.
+export const setNickname = (id, nickname) => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(nicknameSet(id, nickname.trim()));
+    return dispatch(savePreferences());
+  };
+};
+
+export const forgetDevice = id => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(knownDeviceForgotten(id));
+    return dispatch(savePreferences());
+  };
+};
+
+// Opens characteristic of service on the connected device, remembering it
+// as the one last used there.
+export const selectCharacteristic = (service, characteristic) => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(selectedService(service));
+    dispatch(selectedCharacteristic(characteristic));
+    dispatch(
+      characteristicUsed(
+        getState().BLEs.connectedDeviceId,
+        service.uuid,
+        characteristic.uuid,
+      ),
+    );
+    return dispatch(savePreferences());
+  };
+};
+
+// Keeps the write panel's settings (form as the panel has it) for the next
+// time something is written to the connected device.
+export const rememberWriteSettings = form => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(
+      writeSettingsUsed(
+        getState().BLEs.connectedDeviceId,
+        pickWriteSettings(form),
+      ),
+    );
+    return dispatch(savePreferences());
+  };
+};
+
+export const setWritePreferences = preferences => {
+  return (dispatch, getState, DeviceManager) => {
+    dispatch(writePreferencesChanged(preferences));
+    return dispatch(savePreferences());
+  };
+};
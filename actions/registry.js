@@ -0,0 +1,30 @@
+// The react-native-ble-plx objects the thunks work with. They are class
+// instances with methods and native state, so they stay here rather than in
+// the store, which only has plain data about them and refers to them by id:
+// devices by their id, monitor subscriptions by characteristicKey.
+
+const devices = new Map();
+const subscriptions = new Map();
+
+export const setDeviceHandle = device => {
+  devices.set(device.id, device);
+};
+
+export const deviceHandle = id => devices.get(id);
+
+export const removeDeviceHandle = id => {
+  devices.delete(id);
+};
+
+export const setSubscriptionHandle = (key, subscription) => {
+  subscriptions.set(key, subscription);
+};
+
+export const subscriptionHandle = key => subscriptions.get(key);
+
+// Returns the subscription that was kept under key, if any.
+export const removeSubscriptionHandle = key => {
+  const subscription = subscriptions.get(key);
+  subscriptions.delete(key);
+  return subscription;
+};
@@ -1,36 +1,324 @@
 import update from 'immutability-helper';
 
+// Plain, serializable data only: the react-native-ble-plx objects stay in
+// the thunks' registry (actions/registry.js), and screens read this through
+// Selectors.js.
 const INITIAL_STATE = {
-  BLEList: [],
-  connectedDevice: {},
-  connectedDeviceServices: [],
-  connectedServiceCharacteristics: [],
-  selectedService: {},
-  selectedCharacteristic: {},
-  status: 'disconnected'
+  // device id -> deviceData (see Devices.js) of the scanned devices and the
+  // connected one
+  devices: {},
+  // the scanned devices, in the order they were found
+  deviceIds: [],
+  connectedDeviceId: null,
+  // of the connected device's GATT tree, in the gatt reducer
+  selectedServiceUUID: null,
+  selectedCharacteristicUUID: null,
+  mtu: 23,
+  characteristicReads: {},
+  characteristicWrites: {},
+  subscriptions: {},
+  notifications: {},
+  // descriptorKey -> {pending, value, updatedAt, error}
+  descriptorValues: {},
+  status: 'disconnected',
+  // Unknown, Resetting, Unsupported, Unauthorized, PoweredOff or PoweredOn
+  adapterState: 'Unknown',
+  scanRequested: false,
+  scanning: false,
+  scanOptions: {
+    // seconds, 0 scans until stopped
+    timeout: 0,
+    // only report devices advertising one of these services
+    serviceUUIDs: [],
+    allowDuplicates: false,
+    // names of react-native-ble-plx's ScanMode and ScanCallbackType (Android)
+    scanMode: 'Balanced',
+    callbackType: 'AllMatches',
+  },
+  // device id -> time of its latest advertisement
+  lastSeen: {},
+  listOptions: {
+    // rssi, name or recent
+    sortBy: 'rssi',
+    // seconds without an advertisement before a device is stale, 0 = never
+    staleAfter: 10,
+    // stale devices are greyed out, or removed when this is set
+    removeStale: false,
+  },
+  // which of the scanned devices are shown, see matchesFilter in Devices.js
+  deviceFilter: {
+    // substring of the name or id
+    text: '',
+    // dBm, null shows all
+    minRSSI: null,
+    connectableOnly: false,
+    namedOnly: false,
+    // advertised service, 16-bit or full UUID
+    serviceUUID: '',
+  },
+  autoReconnect: {
+    enabled: false,
+    maxAttempts: 5,
+    initialDelay: 1000,
+    maxDelay: 30000,
+  },
+  reconnectAttempt: 0,
 };
 
+// oldest notifications are dropped once a characteristic's log is this long
+const MAX_NOTIFICATIONS = 500;
+
+// the fields of saved that defaults has too
+const known = (defaults, saved = {}) =>
+  Object.keys(saved)
+    .filter(name => name in defaults)
+    .reduce((fields, name) => ({...fields, [name]: saved[name]}), {});
+
 const BLEReducer = (state =INITIAL_STATE, action) => {
   switch (action.type) {
     case 'ADD_BLE':
-      if(state.BLEList.some(device => device.id === action.device.id) || !action.device.isConnectable || action.device.name === null){
-        return state;
-      } else {
-        return update(state,{BLEList: {$set: [
-          ...state.BLEList,
-          action.device
-        ]} });
-      }
+      // a known device keeps its position, with its RSSI and advertisement
+      // data brought up to date
+      return update(state, {
+        devices: {[action.device.id]: {$set: action.device}},
+        deviceIds: state.deviceIds.includes(action.device.id)
+          ? {}
+          : {$push: [action.device.id]},
+        lastSeen: {[action.device.id]: {$set: action.seenAt}},
+      });
     case 'CONNECTED_DEVICE':
-      return update(state,{connectedDevice: {$set: action.connectedDevice} });
-    case 'CONNECTED_SERVICES':
-      return update(state,{connectedDeviceServices: {$set: action.connectedDeviceServices} });
+      // what was scanned of the device says more than the connection does
+      return update(state, {
+        devices: {
+          [action.device.id]: device => device || action.device,
+        },
+        connectedDeviceId: {$set: action.device.id},
+      });
     case 'SELECTED_SERVICE':
-      return update(state,{selectedService: {$set: action.selectedService} });
+      return update(state, {selectedServiceUUID: {$set: action.serviceUUID}});
     case 'SELECTED_CHARACTERISTIC':
-      return update(state,{selectedCharacteristic: {$set: action.selectedCharacteristic} });
-    case 'CONNECTED_CHARACTERISTICS':
-      return update(state,{connectedServiceCharacteristics: {$set: action.connectedServiceCharacteristics} });
+      return update(state, {
+        selectedCharacteristicUUID: {$set: action.characteristicUUID},
+      });
+    case 'DEVICE_DISCONNECTED':
+      // everything learned about the device is stale now, but the
+      // notification log is kept for looking at what led up to it (and its
+      // GATT tree, in the gatt reducer, for the next connection). It is
+      // forgotten unless it was scanned.
+      return update(state, {
+        devices: state.deviceIds.includes(state.connectedDeviceId)
+          ? {}
+          : {$unset: [state.connectedDeviceId]},
+        $merge: {
+          connectedDeviceId: INITIAL_STATE.connectedDeviceId,
+          selectedServiceUUID: INITIAL_STATE.selectedServiceUUID,
+          selectedCharacteristicUUID: INITIAL_STATE.selectedCharacteristicUUID,
+          mtu: INITIAL_STATE.mtu,
+          characteristicReads: INITIAL_STATE.characteristicReads,
+          characteristicWrites: INITIAL_STATE.characteristicWrites,
+          subscriptions: INITIAL_STATE.subscriptions,
+          descriptorValues: INITIAL_STATE.descriptorValues,
+          status: 'disconnected',
+          reconnectAttempt: 0,
+        },
+      });
+    case 'RECONNECTING':
+      return update(state, {
+        status: {$set: 'Reconnecting'},
+        reconnectAttempt: {$set: action.attempt},
+      });
+    case 'SET_AUTO_RECONNECT':
+      return update(state, {autoReconnect: {enabled: {$set: action.enabled}}});
+    case 'ADAPTER_STATE_CHANGED':
+      return update(state, {adapterState: {$set: action.adapterState}});
+    case 'SCAN_REQUESTED':
+      return update(state, {scanRequested: {$set: action.requested}});
+    case 'SCAN_STARTED':
+      return update(state, {
+        scanning: {$set: true},
+        status: {
+          $set: state.status === 'disconnected' ? 'Scanning' : state.status,
+        },
+      });
+    case 'SCAN_STOPPED':
+      return update(state, {
+        scanning: {$set: false},
+        status: {
+          $set: state.status === 'Scanning' ? 'disconnected' : state.status,
+        },
+      });
+    case 'CLEAR_BLE_LIST':
+      // the connected device's data is still needed
+      return update(state, {
+        devices: {
+          $set: state.connectedDeviceId
+            ? {
+                [state.connectedDeviceId]:
+                  state.devices[state.connectedDeviceId],
+              }
+            : {},
+        },
+        deviceIds: {$set: []},
+        lastSeen: {$set: {}},
+      });
+    case 'REMOVE_STALE_DEVICES': {
+      // the connected device stops advertising, but stays listed
+      const stale = state.deviceIds.filter(
+        id =>
+          id !== state.connectedDeviceId && state.lastSeen[id] < action.before,
+      );
+      if (stale.length === 0) {
+        return state;
+      }
+      return update(state, {
+        devices: {$unset: stale},
+        deviceIds: ids => ids.filter(id => !stale.includes(id)),
+        lastSeen: {$unset: stale},
+      });
+    }
+    case 'DEVICE_FILTER_CHANGED':
+      return update(state, {deviceFilter: {$merge: action.filter}});
+    case 'LIST_OPTIONS_CHANGED':
+      return update(state, {listOptions: {$merge: action.options}});
+    case 'SCAN_OPTIONS_CHANGED':
+      return update(state, {scanOptions: {$merge: action.options}});
+    case 'PREFERENCES_LOADED':
+      // saved settings the app doesn't have (any more) are left out
+      return update(state, {
+        scanOptions: {
+          $merge: known(state.scanOptions, action.preferences.scanOptions),
+        },
+        listOptions: {
+          $merge: known(state.listOptions, action.preferences.listOptions),
+        },
+        autoReconnect: {
+          $merge: known(state.autoReconnect, action.preferences.autoReconnect),
+        },
+      });
+    case 'MTU_CHANGED':
+      return update(state, {mtu: {$set: action.mtu}});
+    case 'READ_CHARACTERISTIC_STARTED':
+      return update(state, {
+        characteristicReads: {
+          [action.key]: read => update(read || {}, {reading: {$set: true}}),
+        },
+      });
+    case 'READ_CHARACTERISTIC_SUCCEEDED':
+      return update(state, {
+        characteristicReads: {
+          [action.key]: {
+            $set: {
+              reading: false,
+              value: action.value,
+              readAt: action.readAt,
+              error: null,
+            },
+          },
+        },
+      });
+    case 'READ_CHARACTERISTIC_FAILED':
+      return update(state, {
+        characteristicReads: {
+          [action.key]: read =>
+            update(read || {}, {
+              $merge: {
+                reading: false,
+                readAt: action.readAt,
+                error: action.error,
+              },
+            }),
+        },
+      });
+    case 'WRITE_STARTED':
+      return update(state, {
+        characteristicWrites: {
+          [action.key]: {
+            $set: {
+              writing: action.total > 0,
+              withResponse: action.withResponse,
+              total: action.total,
+              sent: 0,
+              chunks: [],
+              error: null,
+              startedAt: action.startedAt,
+            },
+          },
+        },
+      });
+    case 'WRITE_CHUNK_SUCCEEDED':
+      return update(state, {
+        characteristicWrites: {
+          [action.key]: write =>
+            update(write, {
+              writing: {$set: action.index + 1 < write.total},
+              sent: {$set: action.index + 1},
+              chunks: {$push: [{size: action.size, ok: true}]},
+            }),
+        },
+      });
+    case 'WRITE_CHUNK_FAILED':
+      return update(state, {
+        characteristicWrites: {
+          [action.key]: {
+            writing: {$set: false},
+            error: {$set: action.error},
+            chunks: {
+              $push: [{size: action.size, ok: false, error: action.error}],
+            },
+          },
+        },
+      });
+    case 'CHARACTERISTIC_SUBSCRIBED':
+      return update(state, {
+        subscriptions: {
+          [action.key]: {$set: {subscribedAt: action.subscribedAt}},
+        },
+      });
+    case 'CHARACTERISTIC_UNSUBSCRIBED':
+      return update(state, {subscriptions: {$unset: [action.key]}});
+    case 'NOTIFICATION_RECEIVED':
+      return update(state, {
+        notifications: {
+          [action.key]: log => [
+            ...(log || []).slice(-(MAX_NOTIFICATIONS - 1)),
+            {value: action.value, receivedAt: action.receivedAt},
+          ],
+        },
+      });
+    case 'CLEAR_NOTIFICATIONS':
+      return update(state, {notifications: {$unset: [action.key]}});
+    case 'DESCRIPTOR_REQUEST_STARTED':
+      return update(state, {
+        descriptorValues: {
+          [action.key]: value => update(value || {}, {pending: {$set: true}}),
+        },
+      });
+    case 'DESCRIPTOR_VALUE_RECEIVED':
+      return update(state, {
+        descriptorValues: {
+          [action.key]: {
+            $set: {
+              pending: false,
+              value: action.value,
+              updatedAt: action.updatedAt,
+              error: null,
+            },
+          },
+        },
+      });
+    case 'DESCRIPTOR_REQUEST_FAILED':
+      return update(state, {
+        descriptorValues: {
+          [action.key]: value =>
+            update(value || {}, {
+              $merge: {
+                pending: false,
+                updatedAt: action.updatedAt,
+                error: action.error,
+              },
+            }),
+        },
+      });
     case 'CHANGE_STATUS':
       return update(state,{status: {$set: action.status} });
     default:
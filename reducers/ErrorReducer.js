@@ -0,0 +1,35 @@
+import update from 'immutability-helper';
+
+// only the most recent errors are kept around
+const MAX_ERRORS = 20;
+
+const INITIAL_STATE = {
+  errors: [],
+  nextId: 1,
+};
+
+const ErrorReducer = (state = INITIAL_STATE, action) => {
+  switch (action.type) {
+    case 'REPORT_ERROR':
+      return update(state, {
+        errors: errors => [
+          ...errors.slice(-(MAX_ERRORS - 1)),
+          {...action.error, id: state.nextId},
+        ],
+        nextId: {$set: state.nextId + 1},
+      });
+    case 'DISMISS_ERROR':
+      return update(state, {
+        errors: errors => errors.filter(error => error.id !== action.id),
+      });
+    case 'DISMISS_ERRORS':
+      return update(state, {
+        errors: errors =>
+          errors.filter(error => error.source !== action.source),
+      });
+    default:
+      return state;
+  }
+};
+
+export default ErrorReducer;
@@ -0,0 +1,31 @@
+import update from 'immutability-helper';
+
+// Value formats users attached to characteristics, see ValueFormat.js.
+const INITIAL_STATE = {
+  // characteristicKey -> {serviceUUID, characteristicUUID, format}
+  definitions: {},
+  // whether the saved formats have been read back from storage yet
+  loaded: false,
+};
+
+const FormatsReducer = (state = INITIAL_STATE, action) => {
+  switch (action.type) {
+    case 'FORMATS_LOADED':
+      return update(state, {
+        definitions: {$merge: action.definitions},
+        loaded: {$set: true},
+      });
+    case 'FORMATS_IMPORTED':
+      return update(state, {definitions: {$merge: action.definitions}});
+    case 'FORMAT_SET':
+      return update(state, {
+        definitions: {[action.key]: {$set: action.definition}},
+      });
+    case 'FORMAT_REMOVED':
+      return update(state, {definitions: {$unset: [action.key]}});
+    default:
+      return state;
+  }
+};
+
+export default FormatsReducer;
@@ -0,0 +1,15 @@
+import update from 'immutability-helper';
+
+// device id -> the device's GATT tree as of its last connection, see Gatt.js
+const INITIAL_STATE = {};
+
+const GattReducer = (state = INITIAL_STATE, action) => {
+  switch (action.type) {
+    case 'GATT_DISCOVERED':
+      return update(state, {[action.deviceId]: {$set: action.gatt}});
+    default:
+      return state;
+  }
+};
+
+export default GattReducer;
@@ -0,0 +1,87 @@
+import update from 'immutability-helper';
+
+// Saved macros and sequences, see Macros.js.
+const INITIAL_STATE = {
+  // macroKey -> macro
+  macros: {},
+  // name -> {name, steps}
+  sequences: {},
+  // whether the saved ones have been read back from storage yet
+  loaded: false,
+  // the sequence that is running, or ran last: {name, status ('running',
+  // 'passed', 'failed' or 'stopped'), steps: [{status, message}], startedAt,
+  // finishedAt}, a step's status being 'pending', 'running', 'passed',
+  // 'failed' or 'skipped'
+  run: null,
+};
+
+const MacrosReducer = (state = INITIAL_STATE, action) => {
+  switch (action.type) {
+    case 'MACROS_LOADED':
+      return update(state, {
+        macros: {$merge: action.saved.macros || {}},
+        sequences: {$merge: action.saved.sequences || {}},
+        loaded: {$set: true},
+      });
+    case 'MACROS_IMPORTED':
+      return update(state, {
+        macros: {$merge: action.macros},
+        sequences: {$merge: action.sequences},
+      });
+    case 'MACRO_SAVED':
+      return update(state, {macros: {[action.key]: {$set: action.macro}}});
+    case 'MACRO_REMOVED':
+      return update(state, {macros: {$unset: [action.key]}});
+    case 'SEQUENCE_SAVED':
+      return update(state, {
+        sequences: {[action.sequence.name]: {$set: action.sequence}},
+      });
+    case 'SEQUENCE_REMOVED':
+      return update(state, {sequences: {$unset: [action.name]}});
+    case 'SEQUENCE_RUN_STARTED':
+      return update(state, {
+        run: {
+          $set: {
+            name: action.name,
+            status: 'running',
+            steps: Array.from({length: action.stepCount}, () => ({
+              status: 'pending',
+              message: null,
+            })),
+            startedAt: action.startedAt,
+            finishedAt: null,
+          },
+        },
+      });
+    case 'SEQUENCE_STEP_STARTED':
+      return update(state, {
+        run: {steps: {[action.index]: {status: {$set: 'running'}}}},
+      });
+    case 'SEQUENCE_STEP_FINISHED':
+      return update(state, {
+        run: {
+          steps: {
+            [action.index]: {
+              $set: {status: action.status, message: action.message},
+            },
+          },
+        },
+      });
+    case 'SEQUENCE_RUN_FINISHED':
+      return update(state, {
+        run: {
+          status: {$set: action.status},
+          finishedAt: {$set: action.finishedAt},
+          // whatever didn't get to run
+          steps: steps =>
+            steps.map(step =>
+              step.status === 'pending' ? {...step, status: 'skipped'} : step,
+            ),
+        },
+      });
+    default:
+      return state;
+  }
+};
+
+export default MacrosReducer;
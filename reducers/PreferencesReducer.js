@@ -0,0 +1,69 @@
+import update from 'immutability-helper';
+import {DEVICE_DEFAULTS} from '../Preferences';
+
+// Known devices and write preferences, saved with the scan and list options
+// of the BLE reducer, see Preferences.js.
+const INITIAL_STATE = {
+  // device id -> {...DEVICE_DEFAULTS}
+  devices: {},
+  // what the write panel starts with on devices without settings of their
+  // own
+  write: {
+    encoding: 'utf8',
+    lineEnding: 'lf',
+    customLineEnding: '',
+  },
+  // whether the saved preferences have been read back from storage yet
+  loaded: false,
+};
+
+// changes the known device id, adding it if it isn't known yet
+const updateDevice = (state, id, changes) =>
+  update(state, {
+    devices: {
+      [id]: device => update(device || DEVICE_DEFAULTS, changes),
+    },
+  });
+
+const PreferencesReducer = (state = INITIAL_STATE, action) => {
+  switch (action.type) {
+    case 'PREFERENCES_LOADED':
+      return update(state, {
+        devices: {$merge: action.preferences.devices || {}},
+        write: {$merge: action.preferences.write || {}},
+        loaded: {$set: true},
+      });
+    case 'KNOWN_DEVICE_CONNECTED':
+      return updateDevice(state, action.id, {
+        name: {$set: action.name},
+        lastConnectedAt: {$set: action.connectedAt},
+      });
+    case 'FAVORITE_SET':
+      return updateDevice(state, action.id, {
+        favorite: {$set: action.favorite},
+      });
+    case 'NICKNAME_SET':
+      return updateDevice(state, action.id, {
+        nickname: {$set: action.nickname},
+      });
+    case 'CHARACTERISTIC_USED':
+      return updateDevice(state, action.id, {
+        characteristic: {
+          $set: {
+            serviceUUID: action.serviceUUID,
+            characteristicUUID: action.characteristicUUID,
+          },
+        },
+      });
+    case 'WRITE_SETTINGS_USED':
+      return updateDevice(state, action.id, {write: {$set: action.settings}});
+    case 'KNOWN_DEVICE_FORGOTTEN':
+      return update(state, {devices: {$unset: [action.id]}});
+    case 'WRITE_PREFERENCES_CHANGED':
+      return update(state, {write: {$merge: action.preferences}});
+    default:
+      return state;
+  }
+};
+
+export default PreferencesReducer;
@@ -0,0 +1,106 @@
+import update from 'immutability-helper';
+import {base64ToBytes, bytesToBase64} from '../Encoding';
+import {characteristicKey} from '../Gatt';
+import {assembleLines, samePair} from '../Terminal';
+
+// oldest lines are dropped once the console is this long
+const MAX_LINES = 500;
+// and the oldest commands once the history is
+const MAX_HISTORY = 50;
+
+// The serial console, see Terminal.js.
+const INITIAL_STATE = {
+  // {serviceUUID, txUUID, rxUUID}
+  pair: null,
+  // [{direction: 'sent' or 'received', value (base64), time}], sent lines
+  // that weren't written being marked failed: true
+  lines: [],
+  // received bytes (base64) that don't make a complete line yet
+  pending: '',
+  // sent commands, most recent last
+  history: [],
+  settings: {
+    // text or hex
+    display: 'text',
+    localEcho: true,
+    // appended to sent lines, see LINE_ENDINGS in Encoding.js
+    lineEnding: 'lf',
+    customLineEnding: '',
+    // what received lines end with, see RECEIVE_LINE_ENDINGS in Terminal.js
+    receiveLineEnding: 'lf',
+  },
+};
+
+const appendLines = (lines, added) => [...lines, ...added].slice(-MAX_LINES);
+
+const TerminalReducer = (state = INITIAL_STATE, action) => {
+  switch (action.type) {
+    case 'TERMINAL_PAIRED':
+      // another pair is another conversation
+      if (samePair(state.pair, action.pair)) {
+        return state;
+      }
+      return update(state, {
+        pair: {$set: action.pair},
+        lines: {$set: []},
+        pending: {$set: ''},
+      });
+    case 'TERMINAL_SETTINGS_CHANGED':
+      return update(state, {settings: {$merge: action.settings}});
+    case 'TERMINAL_LINE_SENT':
+      return update(state, {
+        lines: lines =>
+          state.settings.localEcho
+            ? appendLines(lines, [
+                {direction: 'sent', value: action.value, time: action.sentAt},
+              ])
+            : lines,
+        history: history =>
+          action.command === '' ||
+          history[history.length - 1] === action.command
+            ? history
+            : [...history, action.command].slice(-MAX_HISTORY),
+      });
+    case 'TERMINAL_LINE_FAILED':
+      return update(state, {
+        lines: lines =>
+          lines.map(line =>
+            line.direction === 'sent' && line.time === action.sentAt
+              ? {...line, failed: true}
+              : line,
+          ),
+      });
+    case 'TERMINAL_CLEARED':
+      return update(state, {lines: {$set: []}, pending: {$set: ''}});
+    case 'NOTIFICATION_RECEIVED': {
+      const pair = state.pair;
+      if (
+        !pair ||
+        action.key !== characteristicKey(pair.serviceUUID, pair.rxUUID)
+      ) {
+        return state;
+      }
+      const {lines, pending} = assembleLines(
+        base64ToBytes(state.pending),
+        base64ToBytes(action.value),
+        state.settings.receiveLineEnding,
+      );
+      return update(state, {
+        lines: current =>
+          appendLines(
+            current,
+            lines.map(line => ({
+              direction: 'received',
+              value: bytesToBase64(line),
+              time: action.receivedAt,
+            })),
+          ),
+        pending: {$set: bytesToBase64(pending)},
+      });
+    }
+    default:
+      return state;
+  }
+};
+
+export default TerminalReducer;
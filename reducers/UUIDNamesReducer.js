@@ -0,0 +1,29 @@
+import update from 'immutability-helper';
+
+// Names users gave their own UUIDs, see UUIDNames.js.
+const INITIAL_STATE = {
+  // fullUUID -> name
+  names: {},
+  // whether the saved names have been read back from storage yet
+  loaded: false,
+};
+
+const UUIDNamesReducer = (state = INITIAL_STATE, action) => {
+  switch (action.type) {
+    case 'UUID_NAMES_LOADED':
+      return update(state, {
+        names: {$merge: action.names},
+        loaded: {$set: true},
+      });
+    case 'UUID_NAMES_IMPORTED':
+      return update(state, {names: {$merge: action.names}});
+    case 'UUID_NAME_SET':
+      return update(state, {names: {[action.uuid]: {$set: action.name}}});
+    case 'UUID_NAME_REMOVED':
+      return update(state, {names: {$unset: [action.uuid]}});
+    default:
+      return state;
+  }
+};
+
+export default UUIDNamesReducer;
@@ -1,7 +1,21 @@
-import { combineReducers } from 'redux';
+import {combineReducers} from 'redux';
 
 import BLEReducer from './BLEReducer';
+import ErrorReducer from './ErrorReducer';
+import UUIDNamesReducer from './UUIDNamesReducer';
+import FormatsReducer from './FormatsReducer';
+import GattReducer from './GattReducer';
+import TerminalReducer from './TerminalReducer';
+import MacrosReducer from './MacrosReducer';
+import PreferencesReducer from './PreferencesReducer';
 
 export default combineReducers({
-    BLEs: BLEReducer,
-  });
\ No newline at end of file
+  BLEs: BLEReducer,
+  errors: ErrorReducer,
+  uuidNames: UUIDNamesReducer,
+  formats: FormatsReducer,
+  gatt: GattReducer,
+  terminal: TerminalReducer,
+  macros: MacrosReducer,
+  preferences: PreferencesReducer,
+});